@@ -0,0 +1,90 @@
+const { prepareDocument } = require('./documents');
+const { validateBookingData, scoreExtraction } = require('./validation');
+const { describeLlmError } = require('./structuredOutput');
+const { summarizeHotel } = require('./hotels');
+const { errorBody } = require('./i18n');
+
+// The document analysis behind /api/analyze-file and batch analysis: prepare the document, extract the booking
+// with Gemini (lib/extraction.js), validate and score it, and resolve the hotel
+
+// A document from a JSON body: { content, contentType, filename, encoding }
+function documentFromBody(body = {}) {
+    return {
+        content: body.content,
+        contentType: body.contentType,
+        filename: body.filename,
+        encoding: body.encoding
+    };
+}
+
+// A document from a multipart upload (multer file)
+function documentFromUpload(file) {
+    return {
+        content: file.buffer,
+        contentType: file.mimetype,
+        filename: file.originalname
+    };
+}
+
+function isEmptyDocument(document) {
+    return !document || !document.content || document.content.length === 0;
+}
+
+// HTTP status and body for a failed analysis: LLM errors keep their own code, anything else is ANALYSIS_FAILED
+function describeAnalysisError(error, locale) {
+    const llmError = describeLlmError(error, locale);
+    if (llmError) {
+        return {
+            status: llmError.status,
+            body: { error: llmError.message, code: llmError.code, details: error.message, issues: llmError.issues }
+        };
+    }
+    return { status: 500, body: errorBody(locale, 'ANALYSIS_FAILED', { details: error.message }) };
+}
+
+function createDocumentAnalysis({ fileAnalyzer, hotelDirectory }) {
+    // Analysis result for one document; LLM errors are thrown (see describeAnalysisError)
+    async function analyzeDocument(document, { locale } = {}) {
+        const prepared = await prepareDocument(document);
+        console.log(`📎 Prepared ${prepared.source} document (${prepared.text.length} chars, ${prepared.inlineParts.length} inline parts)`);
+
+        const extracted = await fileAnalyzer.analyzeFile(prepared, { locale });
+
+        // The extraction is a draft for the user to confirm: report problems instead of rejecting it
+        const validation = validateBookingData(extracted);
+        const scoring = scoreExtraction(validation.value, {
+            source: prepared.source,
+            errors: validation.errors,
+            suspicious: Boolean(extracted.input_warnings?.length)
+        });
+
+        // Which hotel the name refers to: a resolved match is searched as that property, otherwise the user
+        // picks one of the candidates (its id becomes hotel_id) or searches by name
+        await hotelDirectory.refresh();
+        const resolution = hotelDirectory.resolve(validation.value);
+        if (resolution.status === 'ambiguous') scoring.fields_to_confirm.push('hotel_id');
+
+        return {
+            ...extracted,
+            ...validation.value,
+            hotel_id: resolution.hotel ? resolution.hotel.id : null,
+            validation: { valid: validation.valid, errors: validation.errors },
+            ...scoring,
+            hotel_resolution: {
+                status: resolution.status,
+                hotel: summarizeHotel(resolution.hotel),
+                candidates: resolution.candidates
+            }
+        };
+    }
+
+    return { analyzeDocument };
+}
+
+module.exports = {
+    documentFromBody,
+    documentFromUpload,
+    isEmptyDocument,
+    describeAnalysisError,
+    createDocumentAnalysis
+};
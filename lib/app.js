@@ -0,0 +1,157 @@
+const express = require('express');
+const cors = require('cors');
+const { initializeFirebase, createStorage } = require('./storage');
+const { createAuthVerifier } = require('./auth');
+const { createMiddleware, createCorsOptions } = require('./middleware');
+const { createRateLimiter, createDefaultRateLimitStore } = require('./rateLimit');
+const { createRecheckWorker } = require('./recheck');
+const { createNotifier } = require('./notifications');
+const { createDefaultProviderRegistry } = require('./providers');
+const { createPartnerRegistry } = require('./partners');
+const { createHotelDirectory } = require('./hotels');
+const { createClickTracker } = require('./clicks');
+const { createConversionTracker } = require('./conversions');
+const { createFxConverter } = require('./fx');
+const { createFairnessEngine } = require('./fairness');
+const { createSearchCache, createDefaultCacheStore } = require('./searchCache');
+const { createDefaultLlmClient } = require('./llm');
+const { createFileAnalyzer } = require('./extraction');
+const { createDocumentAnalysis } = require('./analysis');
+const { createPriceSearch } = require('./priceSearch');
+const { createBatchProcessor, createDefaultJobStore } = require('./batch');
+const { createHealthRouter } = require('./routes/health');
+const { createAnalyzeRouter } = require('./routes/analyze');
+const { createSearchRouter } = require('./routes/search');
+const { createBatchRouter } = require('./routes/batch');
+const { createHotelsRouter } = require('./routes/hotels');
+const { createBookingsRouter } = require('./routes/bookings');
+const { createAdminRouter } = require('./routes/admin');
+const { createClicksRouter } = require('./routes/clicks');
+const { createCronRouter } = require('./routes/cron');
+
+// Base64 adds a third to the 10MB upload limit
+const UPLOAD_BODY_LIMIT = '15mb';
+const JSON_BODY_LIMIT = '1mb';
+// A batch of documents sent as JSON (base64); larger batches should be uploaded as multipart
+const BATCH_BODY_LIMIT = '30mb';
+
+// TRUST_PROXY: hop count, true/false or an Express trust proxy list; Vercel's single proxy hop by default
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') return process.env.VERCEL ? 1 : false;
+    if (/^\d+$/.test(value)) return Number(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+}
+
+// Builds every service the routes use. Any of them can be passed in instead (tests pass a local db,
+// mock auth, a stub Gemini client and mock price providers); the rest are built from the environment.
+function createServices(overrides = {}) {
+    const services = { ...overrides };
+
+    // Firebase Admin (service account or emulators), the datastore (STORAGE_BACKEND) and auth (AUTH_MODE)
+    if (services.firebaseApp === undefined) services.firebaseApp = initializeFirebase();
+    if (services.db === undefined) {
+        const storage = createStorage({ firebaseApp: services.firebaseApp });
+        services.db = storage.db;
+        services.storageBackend = storage.backend;
+    }
+    services.storageBackend = services.storageBackend || 'custom';
+    const { db } = services;
+    services.authVerifier = services.authVerifier || createAuthVerifier({ firebaseApp: services.firebaseApp });
+
+    // Anonymous / signed-in / per-IP request quotas (RATE_LIMITS, RATE_LIMIT_BACKEND)
+    if (services.rateLimiter === undefined) services.rateLimiter = createRateLimiter({ store: createDefaultRateLimitStore(db) });
+
+    // Partner/competitor decision policy (FAIRNESS_POLICY), every decision is persisted for auditing
+    services.fairnessEngine = services.fairnessEngine || createFairnessEngine({ db });
+
+    // Shared Gemini client for extraction and search (GEMINI_*_MODELS, LLM_DAILY_BUDGET_USD, LLM_MODE)
+    services.llmClient = services.llmClient || createDefaultLlmClient(db);
+
+    // CJ partners (data/partners.json overlaid with Firestore); every affiliate link is built from here
+    services.partnerRegistry = services.partnerRegistry || createPartnerRegistry({ db });
+
+    // Canonical hotels (data/hotels.json overlaid with Firestore) that extracted names are resolved against
+    services.hotelDirectory = services.hotelDirectory || createHotelDirectory({ db });
+
+    // Click-out links (/go/:id) and CJ commissions matched back to the clicks
+    services.clickTracker = services.clickTracker || createClickTracker({ db });
+    services.conversionTracker = services.conversionTracker ||
+        createConversionTracker({ db, clickTracker: services.clickTracker, partners: services.partnerRegistry });
+
+    // Price provider adapters (PRICE_PROVIDERS selects which ones run), offers converted to the booking currency
+    services.fxConverter = services.fxConverter || createFxConverter();
+    services.priceProviders = services.priceProviders ||
+        createDefaultProviderRegistry(undefined, {
+            fx: services.fxConverter,
+            llm: services.llmClient,
+            partners: services.partnerRegistry,
+            hotelDirectory: services.hotelDirectory
+        });
+
+    // Search results cached per hotel/dates/occupancy/conditions (SEARCH_CACHE_BACKEND, SEARCH_CACHE_TTL_SECONDS)
+    services.searchCache = services.searchCache || createSearchCache({
+        searchOffers: services.priceProviders.searchOffers,
+        store: createDefaultCacheStore(db)
+    });
+
+    services.fileAnalyzer = services.fileAnalyzer || createFileAnalyzer({ llmClient: services.llmClient });
+    services.documentAnalysis = services.documentAnalysis || createDocumentAnalysis(services);
+    services.priceSearch = services.priceSearch || createPriceSearch(services);
+
+    // Batches of documents or bookings (BATCH_MAX_ITEMS, BATCH_CONCURRENCY); async jobs need BATCH_JOB_WORKER=inline
+    // on a long-running server and BATCH_JOB_BACKEND=firestore
+    services.batchProcessor = services.batchProcessor || createBatchProcessor({
+        documentAnalysis: services.documentAnalysis,
+        priceSearch: services.priceSearch,
+        fxConverter: services.fxConverter,
+        jobStore: createDefaultJobStore(db)
+    });
+
+    // Background re-check of tracked bookings (price history, new lows and price-drop alerts)
+    services.recheckWorker = services.recheckWorker || createRecheckWorker({
+        db,
+        searchOffers: services.searchCache.searchOffers,
+        hotelDirectory: services.hotelDirectory,
+        notifier: createNotifier({ db })
+    });
+
+    return services;
+}
+
+// The Express app; services are built by createServices and kept on app.locals.services
+function createApp(overrides = {}) {
+    const services = createServices(overrides);
+    const middleware = createMiddleware(services);
+    const app = express();
+    app.locals.services = services;
+
+    // Client IPs (for rate limits) come from X-Forwarded-For behind Vercel's proxy or TRUST_PROXY hops
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+    // CORS allowlist (CORS_ORIGINS), the response language (?locale= / Accept-Language), the per-IP ceiling
+    // before any body is read, then body parsing (only document uploads may be large)
+    app.use(cors(createCorsOptions()));
+    app.use(middleware.localize);
+    app.use(['/api', '/go'], middleware.rateLimit('api'));
+    app.use('/api/analyze-file', express.json({ limit: UPLOAD_BODY_LIMIT }));
+    app.use('/api/batch/analyze', express.json({ limit: BATCH_BODY_LIMIT }));
+    app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+    app.use(createHealthRouter());
+    app.use(createAnalyzeRouter(services, middleware));
+    app.use(createSearchRouter(services, middleware));
+    app.use(createBatchRouter(services, middleware));
+    app.use(createHotelsRouter(services, middleware));
+    app.use(createBookingsRouter(services, middleware));
+    app.use(createAdminRouter(services, middleware));
+    app.use(createClicksRouter(services, middleware));
+    app.use(createCronRouter(services, middleware));
+
+    return app;
+}
+
+module.exports = {
+    createServices,
+    createApp
+};
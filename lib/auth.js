@@ -0,0 +1,42 @@
+// ID token verification. AUTH_MODE:
+//   firebase (default) - Firebase ID tokens; Auth emulator tokens when FIREBASE_AUTH_EMULATOR_HOST is set
+//   mock - development and tests only: "Bearer mock:<uid>" or "Bearer mock:<uid>:<email>" signs in as that user
+
+const AUTH_MODES = ['firebase', 'mock'];
+
+function authError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function verifyMockToken(idToken) {
+    const match = /^mock:([^:]+)(?::(.+))?$/.exec(idToken);
+    if (!match) throw authError('auth/argument-error', 'Mock tokens look like mock:<uid> or mock:<uid>:<email>');
+    const [, uid, email] = match;
+    return { uid, user_id: uid, email: email || null, email_verified: Boolean(email), firebase: { sign_in_provider: 'mock' } };
+}
+
+// Returns { mode, verifyIdToken(idToken) -> decoded token }; verifyIdToken throws for invalid tokens
+function createAuthVerifier({ mode = process.env.AUTH_MODE || 'firebase', firebaseApp = null } = {}) {
+    let selected = AUTH_MODES.includes(mode) ? mode : 'firebase';
+    if (selected === 'mock' && process.env.NODE_ENV === 'production') {
+        console.error('❌ AUTH_MODE=mock is not allowed in production - using Firebase authentication');
+        selected = 'firebase';
+    }
+
+    if (selected === 'mock') {
+        console.warn('⚠️ AUTH_MODE=mock: any "mock:<uid>" token is accepted');
+        return { mode: 'mock', verifyIdToken: async idToken => verifyMockToken(idToken) };
+    }
+
+    return {
+        mode: 'firebase',
+        async verifyIdToken(idToken) {
+            if (!firebaseApp) throw authError('auth/not-configured', 'Firebase authentication is not configured');
+            return firebaseApp.auth().verifyIdToken(idToken);
+        }
+    };
+}
+
+module.exports = { AUTH_MODES, createAuthVerifier };
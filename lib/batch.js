@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { parseSearchRequest } = require('./priceSearch');
+const { isEmptyDocument, describeAnalysisError } = require('./analysis');
+const { errorBody, translate } = require('./i18n');
+const { commitInChunks } = require('./storage');
+
+// Batch analysis and search: several documents or bookings in one request (a whole itinerary), a few processed
+// at a time. Every item gets its own result or error. With async the batch runs as a job whose progress and
+// results are read from the job store.
+
+const BATCH_JOBS_COLLECTION = 'batchJobs';
+const JOB_ITEMS_COLLECTION = 'items';
+
+// BATCH_MAX_ITEMS: items per batch; BATCH_CONCURRENCY: items processed at once (each one calls Gemini and
+// the price providers)
+const DEFAULT_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 20;
+const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+
+// Jobs are kept for a day after they are created
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Run worker(item, index) over items with at most `limit` running at once. Results keep the input order:
+// { ok: true, value } or { ok: false, error }. onSettled(result, index) is called as each item finishes.
+async function mapWithConcurrency(items, limit, worker, onSettled = () => {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { ok: true, value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { ok: false, error };
+            }
+            await onSettled(results[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+// Potential savings over a batch of search results, totalled in `currency`.
+// convert(amount, from) -> amount in `currency` or null.
+async function summarizeBatchSavings(results, { currency = 'ILS', convert = null } = {}) {
+    const byCurrency = {};
+    let total = 0;
+    let withSavings = 0;
+    let unconverted = 0;
+
+    for (const result of results) {
+        if (!result || !String(result.status).startsWith('SAVINGS_FOUND') || !(result.savings > 0)) continue;
+        withSavings++;
+        const itemCurrency = result.currency || 'ILS';
+        byCurrency[itemCurrency] = (byCurrency[itemCurrency] || 0) + result.savings;
+        const converted = itemCurrency === currency ? result.savings : (convert ? await convert(result.savings, itemCurrency) : null);
+        if (typeof converted === 'number') total += converted;
+        else unconverted++;
+    }
+
+    const round = amount => Math.round(amount * 100) / 100;
+    return {
+        total_savings: round(total),
+        currency,
+        items_with_savings: withSavings,
+        unconverted_items: unconverted,
+        savings_by_currency: Object.fromEntries(Object.entries(byCurrency).map(([code, amount]) => [code, round(amount)]))
+    };
+}
+
+// ---------- Job stores: create(job), update(id, patch), get(id) -> job or null ----------
+
+// Per instance: on Vercel a job is only visible to the instance that runs it, use the Firestore store there
+function createMemoryJobStore() {
+    const jobs = new Map();
+
+    function sweep(now) {
+        for (const [id, job] of jobs) {
+            if (job.expiresAt <= now) jobs.delete(id);
+        }
+    }
+
+    return {
+        name: 'memory',
+        async create(job) {
+            sweep(Date.now());
+            jobs.set(job.id, { ...job, expiresAt: Date.now() + JOB_TTL_MS });
+        },
+        async update(id, patch) {
+            const job = jobs.get(id);
+            if (job) jobs.set(id, { ...job, ...patch });
+        },
+        async get(id) {
+            const job = jobs.get(id);
+            if (!job || job.expiresAt <= Date.now()) return null;
+            const { expiresAt, ...rest } = job;
+            return rest;
+        }
+    };
+}
+
+// Shared across instances. Each item result is its own doc in the job's "items" subcollection, stored as JSON
+// (search results hold nested offer lists), so a job stays under the 1 MiB document limit whatever its size.
+// Jobs and items carry expiresAt for a Firestore TTL policy.
+function createFirestoreJobStore(db, { collection = BATCH_JOBS_COLLECTION } = {}) {
+    const expiresAt = () => admin.firestore.Timestamp.fromMillis(Date.now() + JOB_TTL_MS);
+    const toDoc = ({ items, summary, ...job }) => ({
+        ...job,
+        ...(summary !== undefined ? { summary: JSON.stringify(summary) } : {})
+    });
+
+    return {
+        name: 'firestore',
+        async create(job) {
+            await db.collection(collection).doc(job.id).set({ ...toDoc(job), expiresAt: expiresAt() });
+        },
+        async update(id, patch) {
+            const ref = db.collection(collection).doc(id);
+            if (patch.items !== undefined) {
+                await commitInChunks(db, patch.items, (batch, item) => batch.set(ref.collection(JOB_ITEMS_COLLECTION).doc(String(item.index)), {
+                    index: item.index,
+                    item: JSON.stringify(item),
+                    expiresAt: expiresAt()
+                }));
+            }
+            await ref.update(toDoc(patch));
+        },
+        async get(id) {
+            const ref = db.collection(collection).doc(id);
+            const doc = await ref.get();
+            if (!doc.exists) return null;
+            const { summary, expiresAt: expiry, ...job } = doc.data();
+            const items = await ref.collection(JOB_ITEMS_COLLECTION).orderBy('index').get();
+            return {
+                ...job,
+                items: items.empty ? null : items.docs.map(itemDoc => JSON.parse(itemDoc.data().item)),
+                summary: summary ? JSON.parse(summary) : null
+            };
+        }
+    };
+}
+
+// BATCH_JOB_BACKEND: memory (default) or firestore (needs db)
+function createDefaultJobStore(db, backend = process.env.BATCH_JOB_BACKEND || 'memory') {
+    if (backend === 'firestore') {
+        if (db) return createFirestoreJobStore(db);
+        console.warn('⚠️ BATCH_JOB_BACKEND=firestore but Firestore is not available - batch jobs are kept in memory');
+    }
+    return createMemoryJobStore();
+}
+
+// BATCH_JOB_WORKER=inline runs async jobs in the server process that accepted them. That needs a long-running
+// server (a Vercel function is frozen once it has responded) and a job store every instance can read
+// (BATCH_JOB_BACKEND=firestore); without both, async batches are refused.
+function asyncJobsEnabled(jobStore, { worker = process.env.BATCH_JOB_WORKER, serverless = Boolean(process.env.VERCEL) } = {}) {
+    return worker === 'inline' && !serverless && jobStore.name === 'firestore';
+}
+
+// ---------- Batch processor ----------
+
+function createBatchProcessor({
+    documentAnalysis,
+    priceSearch,
+    fxConverter,
+    jobStore = createMemoryJobStore(),
+    asyncJobs = asyncJobsEnabled(jobStore),
+    maxItems = DEFAULT_MAX_ITEMS,
+    concurrency = DEFAULT_CONCURRENCY
+}) {
+    // Returns null when the batch can be run, otherwise { status, body }
+    function checkBatch(items, locale) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return { status: 400, body: errorBody(locale, 'BATCH_EMPTY') };
+        }
+        if (items.length > maxItems) {
+            return { status: 400, body: errorBody(locale, 'BATCH_TOO_LARGE', { max_items: maxItems }) };
+        }
+        return null;
+    }
+
+    async function analyzeItem(document, { locale }) {
+        if (isEmptyDocument(document)) {
+            return { status: 'error', error: errorBody(locale, 'NO_FILE') };
+        }
+        try {
+            return { status: 'ok', result: await documentAnalysis.analyzeDocument(document, { locale }) };
+        } catch (error) {
+            console.error('❌ Batch analysis item failed:', error.message);
+            return { status: 'error', error: describeAnalysisError(error, locale).body };
+        }
+    }
+
+    async function searchItem(bookingData, { locale, rankingOptions, context }) {
+        const parsed = parseSearchRequest(bookingData, {}, locale);
+        if (parsed.error) {
+            const { status: code, message, errors } = parsed.error.body;
+            return { status: 'error', error: { error: message, code, errors } };
+        }
+        try {
+            return { status: 'ok', result: await priceSearch.runPriceSearch(parsed.bookingData, rankingOptions, undefined, context) };
+        } catch (error) {
+            console.error('❌ Batch search item failed:', error.message);
+            return { status: 'error', error: { error: translate(locale, 'errors.SEARCH_FAILED'), code: 'SEARCH_FAILED', details: error.message } };
+        }
+    }
+
+    // Totals over the item results; search batches add the potential savings in options.currency
+    async function summarize(type, items, { currency }) {
+        const summary = {
+            items: items.length,
+            succeeded: items.filter(item => item.status === 'ok').length,
+            failed: items.filter(item => item.status === 'error').length
+        };
+        if (type !== 'search') return summary;
+
+        const convert = async (amount, from) => {
+            try {
+                const { rate } = await fxConverter.getRate(from, currency);
+                return rate ? amount * rate : null;
+            } catch (error) {
+                console.error('⚠️ FX conversion failed for the batch savings:', error.message);
+                return null;
+            }
+        };
+        return {
+            ...summary,
+            savings: await summarizeBatchSavings(items.map(item => item.result), { currency, convert })
+        };
+    }
+
+    // type: 'analyze' (documents) or 'search' (bookingData items). options: { locale, currency, rankingOptions,
+    // context } (context as for runPriceSearch). onProgress(completed) is called as items finish.
+    async function runBatch(type, inputs, options, onProgress = () => {}) {
+        const processItem = type === 'analyze' ? analyzeItem : searchItem;
+        let completed = 0;
+
+        console.log(`📦 Batch ${type}: ${inputs.length} items, ${concurrency} at a time`);
+        const settled = await mapWithConcurrency(inputs, concurrency, input => processItem(input, options), () => onProgress(++completed));
+        // processItem reports its own errors; a rejection here is a bug, reported as that item's failure
+        const items = settled.map((outcome, index) => ({
+            index,
+            ...(outcome.ok ? outcome.value : {
+                status: 'error',
+                error: errorBody(options.locale, type === 'analyze' ? 'ANALYSIS_FAILED' : 'SEARCH_FAILED', { details: outcome.error.message })
+            })
+        }));
+
+        return { items, summary: await summarize(type, items, options) };
+    }
+
+    // Start the batch as a job and return it right away (status 'queued'); the job is updated as items finish.
+    // Only with asyncJobs (see asyncJobsEnabled): the instance must stay up until the job completes.
+    async function startJob(type, inputs, options, userId) {
+        if (!asyncJobs) throw new Error('Async batch jobs are not enabled (BATCH_JOB_WORKER, BATCH_JOB_BACKEND)');
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            userId,
+            status: 'queued',
+            total: inputs.length,
+            completed: 0,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        await jobStore.create(job);
+
+        setImmediate(async () => {
+            try {
+                await jobStore.update(job.id, { status: 'running' });
+                const { items, summary } = await runBatch(type, inputs, options, completed => jobStore.update(job.id, { completed }));
+                await jobStore.update(job.id, { status: 'completed', items, summary, finishedAt: new Date().toISOString() });
+                console.log(`📦 Batch job ${job.id} completed (${summary.succeeded}/${summary.items} items succeeded)`);
+            } catch (error) {
+                console.error(`❌ Batch job ${job.id} failed:`, error);
+                await jobStore.update(job.id, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() })
+                    .catch(storeError => console.error('⚠️ Could not record the batch job failure:', storeError.message));
+            }
+        });
+
+        return job;
+    }
+
+    async function getJob(id) {
+        return jobStore.get(id);
+    }
+
+    return { checkBatch, runBatch, startJob, getJob, maxItems, concurrency, jobStore, asyncJobs };
+}
+
+module.exports = {
+    BATCH_JOBS_COLLECTION,
+    mapWithConcurrency,
+    summarizeBatchSavings,
+    createMemoryJobStore,
+    createFirestoreJobStore,
+    createDefaultJobStore,
+    asyncJobsEnabled,
+    createBatchProcessor
+};
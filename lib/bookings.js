@@ -0,0 +1,192 @@
+const admin = require('firebase-admin');
+const { todayISO, toISOString } = require('./dates');
+const { validateBookingData } = require('./validation');
+const { parseCancellationPolicy } = require('./conditions');
+const { normalizeAlertPreferences } = require('./notifications');
+
+// Tracked-booking lifecycle: active -> paused / rebooked, and active or paused -> expired once
+// the stay has started or free cancellation has ended (re-booking is no longer possible then)
+
+const BOOKING_STATUSES = ['active', 'paused', 'rebooked', 'expired'];
+
+// Statuses a user may move a booking to from each status; expired is only ever set by us
+const USER_TRANSITIONS = {
+    active: ['paused', 'rebooked'],
+    paused: ['active', 'rebooked'],
+    expired: ['active'],
+    rebooked: []
+};
+
+// Booking fields the user may edit (the same ones /api/track accepts)
+const EDITABLE_BOOKING_FIELDS = ['hotel_name', 'hotel_id', 'address', 'city', 'country', 'check_in_date', 'check_out_date',
+    'original_price', 'currency', 'room_type', 'num_rooms', 'adults', 'children', 'child_ages', 'free_cancellation',
+    'breakfast_included', 'cancellation_policy', 'meal_plan'];
+
+// Fields whose change makes earlier prices incomparable (the lowest price is reset)
+const SEARCH_FIELDS = EDITABLE_BOOKING_FIELDS.filter(field => field !== 'original_price');
+
+// Why a booking should no longer be tracked, or null: 'check_in_passed' or 'cancellation_deadline_passed'
+function getExpiryReason(booking, today = todayISO()) {
+    if (booking.check_in_date && booking.check_in_date < today) return 'check_in_passed';
+    const { refundable, deadline } = parseCancellationPolicy(booking.cancellation_policy, booking.free_cancellation, booking.check_in_date);
+    if (refundable === true && deadline && deadline < today) return 'cancellation_deadline_passed';
+    return null;
+}
+
+// Status to store when a booking is read or re-checked: active and paused bookings past their expiry become expired
+function resolveStatus(booking, today = todayISO()) {
+    const status = booking.status || 'active';
+    if ((status === 'active' || status === 'paused') && getExpiryReason(booking, today)) return 'expired';
+    return status;
+}
+
+// Firestore update for a booking that has just expired
+function expiryUpdate(booking, today = todayISO()) {
+    return {
+        status: 'expired',
+        expiredReason: getExpiryReason(booking, today),
+        statusChangedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Validate a PATCH against the current booking. Returns { update, errors } where update is the Firestore update.
+// Accepts booking fields, status (with rebookedPrice / rebookedSite for "rebooked") and alertPreferences
+// (options.verifiedEmail as for normalizeAlertPreferences).
+function normalizeBookingPatch(input, current, today = todayISO(), { verifiedEmail = null } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { update: null, errors: ['Request body must be an object'] };
+    }
+
+    const errors = [];
+    const allowed = [...EDITABLE_BOOKING_FIELDS, 'status', 'rebookedPrice', 'rebookedSite', 'alertPreferences'];
+    for (const field of Object.keys(input)) {
+        if (!allowed.includes(field)) errors.push(`${field} cannot be changed`);
+    }
+
+    const update = {};
+    const fieldChanges = Object.fromEntries(EDITABLE_BOOKING_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+    // A new hotel name without a confirmed hotel_id is another hotel: the re-check resolves it from the name again
+    if ('hotel_name' in fieldChanges && fieldChanges.hotel_name !== current.hotel_name && !('hotel_id' in fieldChanges) && current.hotel_id) {
+        fieldChanges.hotel_id = null;
+    }
+    const merged = { ...current, ...fieldChanges };
+
+    if (Object.keys(fieldChanges).length > 0) {
+        if (current.status === 'rebooked') {
+            errors.push('A rebooked booking can no longer be edited');
+        }
+        const validation = validateBookingData(merged, { required: true });
+        if (!validation.valid) {
+            errors.push(...validation.errors.map(error => error.message));
+        } else {
+            for (const field of Object.keys(fieldChanges)) update[field] = validation.value[field] ?? null;
+            Object.assign(merged, update);
+        }
+        if (SEARCH_FIELDS.some(field => field in fieldChanges && fieldChanges[field] !== current[field])) {
+            update.lowestPrice = null;
+            update.lowestPriceSite = null;
+            update.lowestPriceAt = null;
+            update.lastCheckedAt = null;
+        }
+    }
+
+    if (input.alertPreferences !== undefined) {
+        const { preferences, errors: alertErrors } = normalizeAlertPreferences(input.alertPreferences, current.alertPreferences, { verifiedEmail });
+        errors.push(...alertErrors);
+        update.alertPreferences = preferences;
+    }
+
+    const currentStatus = resolveStatus(current, today);
+    const status = input.status ?? currentStatus;
+    if (!BOOKING_STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${BOOKING_STATUSES.join(', ')}`);
+    } else if (status !== currentStatus && !USER_TRANSITIONS[currentStatus].includes(status)) {
+        errors.push(`A booking cannot go from ${currentStatus} to ${status}`);
+    } else if (status === 'active' && getExpiryReason(merged, today)) {
+        errors.push('The booking has expired; change its dates or cancellation policy to track it again');
+    }
+
+    // Without rebookedPrice the user re-booked the lowest price we found
+    if (status === 'rebooked' && currentStatus !== 'rebooked') {
+        const usingLowest = input.rebookedPrice === undefined;
+        const price = Number(usingLowest ? current.lowestPrice : input.rebookedPrice);
+        if (!isFinite(price) || price <= 0) {
+            errors.push('rebookedPrice must be a positive number');
+        } else if (price >= merged.original_price) {
+            errors.push('rebookedPrice must be lower than the original price');
+        } else if (input.rebookedSite !== undefined && input.rebookedSite !== null && typeof input.rebookedSite !== 'string') {
+            errors.push('rebookedSite must be a string');
+        } else {
+            update.rebookedPrice = price;
+            update.rebookedSite = input.rebookedSite ?? (usingLowest ? current.lowestPriceSite : null) ?? null;
+            update.savedAmount = Math.round((merged.original_price - price) * 100) / 100;
+            update.rebookedAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+    } else if (input.rebookedPrice !== undefined || input.rebookedSite !== undefined) {
+        errors.push('rebookedPrice and rebookedSite are only accepted with status "rebooked"');
+    }
+
+    if (status !== (current.status || 'active') && errors.length === 0) {
+        update.status = status;
+        update.statusChangedAt = admin.firestore.FieldValue.serverTimestamp();
+        if (status === 'expired') update.expiredReason = getExpiryReason(merged, today);
+        if (currentStatus === 'expired') update.expiredReason = null;
+    }
+
+    return { update: errors.length > 0 ? null : update, errors };
+}
+
+// API view of a booking document (timestamps as ISO strings)
+function serializeBooking(id, booking) {
+    const serialized = { id, ...booking, status: booking.status || 'active' };
+    for (const field of ['createdAt', 'lastCheckedAt', 'lowestPriceAt', 'lastAlertAt', 'statusChangedAt', 'rebookedAt']) {
+        if (field in booking) serialized[field] = toISOString(booking[field]);
+    }
+    return serialized;
+}
+
+// Money saved per user: realised savings from rebooked bookings and the savings still available
+// on the ones being tracked. convert(amount, from) -> amount in `currency` or null.
+async function summarizeSavings(bookings, { currency = 'ILS', convert = null } = {}) {
+    const counts = Object.fromEntries(BOOKING_STATUSES.map(status => [status, 0]));
+    const saved = {};
+    const available = {};
+    let totalSaved = 0;
+    let unconverted = 0;
+
+    for (const booking of bookings) {
+        const status = booking.status || 'active';
+        counts[status] = (counts[status] || 0) + 1;
+        const bookingCurrency = booking.currency || 'ILS';
+
+        if (status === 'rebooked' && typeof booking.savedAmount === 'number') {
+            saved[bookingCurrency] = (saved[bookingCurrency] || 0) + booking.savedAmount;
+            const converted = bookingCurrency === currency ? booking.savedAmount : (convert ? await convert(booking.savedAmount, bookingCurrency) : null);
+            if (typeof converted === 'number') totalSaved += converted;
+            else unconverted++;
+        } else if ((status === 'active' || status === 'paused') && typeof booking.lowestPrice === 'number' && booking.lowestPrice < booking.original_price) {
+            available[bookingCurrency] = (available[bookingCurrency] || 0) + (booking.original_price - booking.lowestPrice);
+        }
+    }
+
+    const round = byCurrency => Object.fromEntries(Object.entries(byCurrency).map(([code, amount]) => [code, Math.round(amount * 100) / 100]));
+    return {
+        bookings: counts,
+        total_saved: Math.round(totalSaved * 100) / 100,
+        currency,
+        unconverted_bookings: unconverted,
+        saved_by_currency: round(saved),
+        available_savings_by_currency: round(available)
+    };
+}
+
+module.exports = {
+    BOOKING_STATUSES,
+    EDITABLE_BOOKING_FIELDS,
+    getExpiryReason,
+    resolveStatus,
+    expiryUpdate,
+    normalizeBookingPatch,
+    serializeBooking,
+    summarizeSavings
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Click-out tracking: the links a search returns are registered together, as one link set per search, and
+// served as /go/<set ID>.<index>. Following one logs a click and redirects to the real URL; affiliate links carry
+// the click ID as the CJ "sid" so commission reports can be matched back to the click (see lib/conversions.js).
+// Link sets expire after CLICK_LINK_TTL_DAYS; clicks are kept for the commission reports.
+
+const LINKS_COLLECTION = 'clickLinks';
+const CLICKS_COLLECTION = 'clicks';
+
+const LINK_TTL_MS = (Number(process.env.CLICK_LINK_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+function newId() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+// CJ's click-tracking domains
+const CJ_CLICK_HOSTS = ['www.anrdoezrs.net', 'www.jdoqocy.com', 'www.tkqlhce.com', 'www.dpbolvw.net', 'www.kqzyfj.com'];
+
+function isCjClickUrl(url) {
+    try {
+        return CJ_CLICK_HOSTS.includes(new URL(url).host);
+    } catch (e) {
+        return false;
+    }
+}
+
+// CJ passes "sid" through to the commission report; it must come before the url= parameter
+function withCjSid(url, sid) {
+    if (!isCjClickUrl(url)) return url;
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) return `${url}?sid=${sid}`;
+    return `${url.slice(0, queryStart + 1)}sid=${sid}&${url.slice(queryStart + 1)}`;
+}
+
+// "<set ID>.<index>" -> { setId, index }; IDs from before link sets name a single link (index null)
+function parseLinkId(id) {
+    const [setId, index] = String(id).split('.');
+    return { setId, index: index === undefined ? null : Number(index) };
+}
+
+// One link of a stored set (with the set's search context), or null when it is unknown or expired
+function linkFromSet(set, index, now = Date.now()) {
+    if (!set) return null;
+    if (index === null) return set.links ? null : set;
+    if (set.expiresAt <= now || !Number.isInteger(index) || !set.links?.[index]) return null;
+    const { links, expiresAt, ...context } = set;
+    return { ...context, ...links[index] };
+}
+
+// Per instance and bounded: expired link sets are dropped, then the oldest link sets and clicks past the caps
+function createMemoryClickStore({ maxLinkSets = 5000, maxClicks = 10000 } = {}) {
+    const linkSets = new Map();
+    const clicks = new Map();
+
+    function evictOldest(entries, maxEntries) {
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        name: 'memory',
+        async saveLinks(set) {
+            if (linkSets.size >= maxLinkSets) {
+                const now = Date.now();
+                for (const [id, stored] of linkSets) {
+                    if (stored.expiresAt <= now) linkSets.delete(id);
+                }
+            }
+            linkSets.set(set.id, set);
+            evictOldest(linkSets, maxLinkSets);
+        },
+        async getLink(id) {
+            const { setId, index } = parseLinkId(id);
+            return linkFromSet(linkSets.get(setId), index);
+        },
+        async saveClick(click) {
+            clicks.set(click.id, click);
+            evictOldest(clicks, maxClicks);
+        },
+        async getClick(id) {
+            return clicks.get(id) || null;
+        },
+        async findLatestClick({ partnerId, before, after }) {
+            return [...clicks.values()]
+                .filter(click => click.partnerId === partnerId && click.clickedAt <= before && click.clickedAt >= after)
+                .sort((a, b) => b.clickedAt.localeCompare(a.clickedAt))[0] || null;
+        },
+        async listClicks({ from, to }) {
+            return [...clicks.values()].filter(click => click.clickedAt >= from && click.clickedAt <= to);
+        }
+    };
+}
+
+// Timestamps are stored as ISO strings so both stores compare them the same way. A link set is one document
+// (one write per search) with expiresAt for a Firestore TTL policy.
+function createFirestoreClickStore(db) {
+    return {
+        name: 'firestore',
+        async saveLinks({ expiresAt, ...set }) {
+            await db.collection(LINKS_COLLECTION).doc(set.id).set({
+                ...set,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt)
+            });
+        },
+        async getLink(id) {
+            const { setId, index } = parseLinkId(id);
+            const doc = await db.collection(LINKS_COLLECTION).doc(setId).get();
+            if (!doc.exists) return null;
+            const { createdAt, expiresAt, ...set } = doc.data();
+            return linkFromSet(expiresAt ? { ...set, expiresAt: expiresAt.toMillis() } : set, index);
+        },
+        async saveClick(click) {
+            await db.collection(CLICKS_COLLECTION).doc(click.id).set(click);
+        },
+        async getClick(id) {
+            const doc = await db.collection(CLICKS_COLLECTION).doc(id).get();
+            return doc.exists ? doc.data() : null;
+        },
+        // Needs the composite index partnerId + clickedAt (firestore.indexes.json)
+        async findLatestClick({ partnerId, before, after }) {
+            const snapshot = await db.collection(CLICKS_COLLECTION)
+                .where('partnerId', '==', partnerId)
+                .where('clickedAt', '<=', before)
+                .where('clickedAt', '>=', after)
+                .orderBy('clickedAt', 'desc')
+                .limit(1)
+                .get();
+            return snapshot.empty ? null : snapshot.docs[0].data();
+        },
+        async listClicks({ from, to }) {
+            const snapshot = await db.collection(CLICKS_COLLECTION)
+                .where('clickedAt', '>=', from)
+                .where('clickedAt', '<=', to)
+                .get();
+            return snapshot.docs.map(doc => doc.data());
+        }
+    };
+}
+
+function createClickTracker({ db = null, store = db ? createFirestoreClickStore(db) : createMemoryClickStore() } = {}) {
+    // links: [{ url, site, provider, partnerId, is_affiliate, placement }]; context: { searchId, userId, decision, rule, baseUrl }
+    // Returns the links with tracked_link set (/go/:id); if the store fails the untracked links are returned
+    async function registerLinks(links, { searchId, userId = null, decision = null, rule = null, baseUrl = '' }) {
+        const set = {
+            id: newId(),
+            searchId,
+            userId,
+            decision,
+            rule,
+            links: links.map(link => ({
+                url: link.url,
+                site: link.site || null,
+                provider: link.provider || null,
+                partnerId: link.partnerId || null,
+                is_affiliate: Boolean(link.is_affiliate),
+                placement: link.placement || 'offer_list'
+            })),
+            expiresAt: Date.now() + LINK_TTL_MS
+        };
+
+        try {
+            await store.saveLinks(set);
+        } catch (error) {
+            console.error('⚠️ Failed to register click-out links:', error.message);
+            return links.map(link => ({ ...link, tracked_link: link.url }));
+        }
+        return links.map((link, index) => ({ ...link, tracked_link: `${baseUrl}/go/${set.id}.${index}` }));
+    }
+
+    // Log a click on a registered link; returns { url } to redirect to, or null for an unknown ID
+    async function recordClick(linkId, { userId = null, userAgent = null, referrer = null } = {}) {
+        const link = await store.getLink(linkId);
+        if (!link) return null;
+
+        const click = {
+            id: newId(),
+            linkId,
+            searchId: link.searchId,
+            site: link.site,
+            provider: link.provider,
+            partnerId: link.partnerId,
+            is_affiliate: link.is_affiliate,
+            placement: link.placement,
+            decision: link.decision,
+            rule: link.rule,
+            // The signed-in user on the click itself, else whoever ran the search
+            userId: userId || link.userId || null,
+            userAgent,
+            referrer,
+            clickedAt: new Date().toISOString()
+        };
+
+        // A failed click log never blocks the redirect (awaited so serverless instances don't drop it)
+        try {
+            await store.saveClick(click);
+        } catch (error) {
+            console.error('⚠️ Failed to log click:', error.message);
+        }
+
+        return { url: withCjSid(link.url, click.id), click };
+    }
+
+    return {
+        registerLinks,
+        recordClick,
+        getClick: id => store.getClick(id),
+        findLatestClick: query => store.findLatestClick(query),
+        listClicks: range => store.listClicks(range),
+        store
+    };
+}
+
+module.exports = {
+    LINKS_COLLECTION,
+    CLICKS_COLLECTION,
+    withCjSid,
+    createMemoryClickStore,
+    createFirestoreClickStore,
+    createClickTracker
+};
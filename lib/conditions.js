@@ -0,0 +1,201 @@
+// Deterministic comparison of an offer's conditions against the original booking:
+// room type, meal plan and cancellation, each scored separately.
+
+const STATUS = {
+    MATCH: 'match',
+    PARTIAL: 'partial',
+    MISMATCH: 'mismatch',
+    UNKNOWN: 'unknown',
+    NOT_REQUIRED: 'not_required'
+};
+
+const STATUS_SCORES = {
+    match: 1,
+    partial: 0.5,
+    unknown: 0.5,
+    mismatch: 0
+};
+
+// ---------- Room type ----------
+
+const ROOM_SYNONYMS = {
+    dbl: 'double', twn: 'twin', sgl: 'single', std: 'standard', sup: 'superior', dlx: 'deluxe',
+    exec: 'executive', kingsize: 'king', queensize: 'queen', ste: 'suite',
+    br: 'bedroom', bdr: 'bedroom', vw: 'view'
+};
+
+// Words that say nothing about which room it is
+const ROOM_STOPWORDS = new Set(['room', 'rooms', 'the', 'a', 'an', 'with', 'and', 'bed', 'beds', 'guest', 'non', 'smoking', 'nonsmoking']);
+
+// Bed setups that can never be the same room
+const BED_TYPES = ['king', 'queen', 'twin', 'double', 'single'];
+
+function normalizeRoomTokens(name) {
+    return [...new Set(String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\u0590-\u05ff\s-]/g, ' ')
+        .split(/[\s-]+/)
+        .filter(Boolean)
+        .map(token => ROOM_SYNONYMS[token] || token)
+        .filter(token => !ROOM_STOPWORDS.has(token)))].sort();
+}
+
+function compareRoomType(original, offered) {
+    if (!original) return { status: STATUS.NOT_REQUIRED, original: null, offered: offered || null };
+    if (!offered) return { status: STATUS.UNKNOWN, original, offered: null };
+
+    const a = normalizeRoomTokens(original);
+    const b = normalizeRoomTokens(offered);
+    const shared = a.filter(token => b.includes(token)).length;
+    const similarity = a.length + b.length === 0 ? 0 : Math.round((shared / new Set([...a, ...b]).size) * 100) / 100;
+
+    const bedsA = a.filter(token => BED_TYPES.includes(token));
+    const bedsB = b.filter(token => BED_TYPES.includes(token));
+    const bedConflict = bedsA.length > 0 && bedsB.length > 0 && !bedsA.some(bed => bedsB.includes(bed));
+
+    let status;
+    if (bedConflict) status = STATUS.MISMATCH;
+    else if (similarity === 1) status = STATUS.MATCH;
+    else if (similarity >= 0.5) status = STATUS.PARTIAL;
+    else status = STATUS.MISMATCH;
+
+    return { status, original, offered, similarity };
+}
+
+// ---------- Meal plan ----------
+
+// Ordered from least to most included
+const MEAL_PLANS = ['RO', 'BB', 'HB', 'FB', 'AI'];
+
+const MEAL_PLAN_PATTERNS = [
+    ['AI', /\b(ai|all[\s-]?inclusive|ultra all inclusive)\b/i],
+    ['FB', /\b(fb|full[\s-]?board)\b/i],
+    ['HB', /\b(hb|half[\s-]?board|breakfast (and|&) dinner)\b/i],
+    ['BB', /\b(bb|b&b|bed (and|&) breakfast|breakfast( is)? included|with breakfast|breakfast buffet)\b|ארוחת בוקר/i],
+    ['RO', /\b(ro|room only|no meals|without breakfast|accommodation only)\b|ללא ארוחות/i]
+];
+
+function normalizeMealPlan(mealPlan, breakfastIncluded = null) {
+    if (mealPlan) {
+        const upper = String(mealPlan).trim().toUpperCase();
+        if (MEAL_PLANS.includes(upper)) return upper;
+        const found = MEAL_PLAN_PATTERNS.find(([, pattern]) => pattern.test(mealPlan));
+        if (found) return found[0];
+    }
+    if (breakfastIncluded === true) return 'BB';
+    if (breakfastIncluded === false) return 'RO';
+    return null;
+}
+
+// An offer matches when it includes at least the meals of the original booking
+function compareMealPlan(originalPlan, offeredPlan) {
+    if (!originalPlan || originalPlan === 'RO') {
+        return { status: STATUS.NOT_REQUIRED, original: originalPlan, offered: offeredPlan };
+    }
+    if (!offeredPlan) return { status: STATUS.UNKNOWN, original: originalPlan, offered: null };
+
+    const status = MEAL_PLANS.indexOf(offeredPlan) >= MEAL_PLANS.indexOf(originalPlan) ? STATUS.MATCH : STATUS.MISMATCH;
+    return { status, original: originalPlan, offered: offeredPlan };
+}
+
+// ---------- Cancellation ----------
+
+function toISODate(date) {
+    return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+function shiftDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - days);
+    return toISODate(date);
+}
+
+// Parse a free-text cancellation policy into { refundable, deadline (YYYY-MM-DD or null) }
+function parseCancellationPolicy(policy, freeCancellation = null, checkInDate = null) {
+    const text = String(policy || '');
+    let refundable = typeof freeCancellation === 'boolean' ? freeCancellation : null;
+
+    if (/non[\s-]?refundable|no refund|not refundable|ללא החזר/i.test(text)) refundable = false;
+    else if (/free cancell?ation|fully refundable|cancel (for )?free|without (penalty|charge)|ביטול חינם/i.test(text)) refundable = true;
+
+    let deadline = null;
+    const isoMatch = text.match(/(\d{4}-\d{2}-\d{2})/);
+    const namedMatch = text.match(/(\d{1,2}\s+[A-Za-z]{3,9}\.?\s+\d{4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})/);
+    const relativeMatch = text.match(/(\d+)\s*(hours?|hrs?|days?)\s*(before|prior)/i);
+
+    if (isoMatch) {
+        deadline = isoMatch[1];
+    } else if (namedMatch) {
+        deadline = toISODate(new Date(`${namedMatch[1].replace('.', '')} UTC`));
+    } else if (relativeMatch && checkInDate) {
+        const amount = Number(relativeMatch[1]);
+        const days = /^h/i.test(relativeMatch[2]) ? Math.ceil(amount / 24) : amount;
+        deadline = shiftDays(checkInDate, days);
+    }
+
+    if (deadline && refundable === null) refundable = true;
+    return { refundable, deadline };
+}
+
+// The offer must be refundable when the booking was, and not with an earlier deadline
+function compareCancellation(original, offered) {
+    if (original.refundable !== true) {
+        return { status: STATUS.NOT_REQUIRED, original, offered };
+    }
+    if (offered.refundable === null) return { status: STATUS.UNKNOWN, original, offered };
+    if (offered.refundable === false) return { status: STATUS.MISMATCH, original, offered };
+
+    if (original.deadline && offered.deadline && offered.deadline < original.deadline) {
+        return { status: STATUS.PARTIAL, original, offered, note: 'Free cancellation ends earlier than in the original booking' };
+    }
+    return { status: STATUS.MATCH, original, offered };
+}
+
+// ---------- Report ----------
+
+// booking: { room_type, free_cancellation, breakfast_included, meal_plan, cancellation_policy, check_in_date }
+function buildConditionReport(booking, offer) {
+    const checkIn = booking.check_in_date || null;
+    const conditions = {
+        room_type: compareRoomType(booking.room_type, offer.room_type),
+        meal_plan: compareMealPlan(
+            normalizeMealPlan(booking.meal_plan, booking.breakfast_included),
+            normalizeMealPlan(offer.meal_plan, offer.breakfast_included)
+        ),
+        cancellation: compareCancellation(
+            parseCancellationPolicy(booking.cancellation_policy, booking.free_cancellation, checkIn),
+            parseCancellationPolicy(offer.cancellation_policy, offer.free_cancellation, checkIn)
+        )
+    };
+
+    const scored = Object.values(conditions).filter(condition => condition.status !== STATUS.NOT_REQUIRED);
+    const score = scored.length === 0 ? 1 :
+        Math.round((scored.reduce((sum, condition) => sum + STATUS_SCORES[condition.status], 0) / scored.length) * 100) / 100;
+
+    return {
+        all_match: scored.every(condition => condition.status === STATUS.MATCH),
+        score,
+        conditions
+    };
+}
+
+// Annotate offers with their condition report; conditions_match now comes from the engine, not the provider
+function matchOffers(offers, booking) {
+    return offers.map(offer => {
+        const report = buildConditionReport(booking, offer);
+        return { ...offer, conditions_match: report.all_match, conditions_report: report };
+    });
+}
+
+module.exports = {
+    STATUS,
+    MEAL_PLANS,
+    normalizeRoomTokens,
+    compareRoomType,
+    normalizeMealPlan,
+    compareMealPlan,
+    parseCancellationPolicy,
+    compareCancellation,
+    buildConditionReport,
+    matchOffers
+};
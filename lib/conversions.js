@@ -0,0 +1,264 @@
+const admin = require('firebase-admin');
+
+// CJ commission (conversion) ingestion: CSV commission-detail reports or webhook JSON, normalized,
+// stored idempotently by commission ID and matched back to the click that produced them.
+
+const CONVERSIONS_COLLECTION = 'conversions';
+const DEFAULT_MATCH_WINDOW_DAYS = 7;
+
+// Report column / JSON key (lowercase, letters and digits only) -> field
+const FIELD_ALIASES = {
+    commissionId: ['commissionid', 'actionid', 'id'],
+    eventDate: ['eventdate', 'postingdate', 'date'],
+    actionStatus: ['actionstatus', 'status'],
+    advertiserId: ['advertiserid', 'advertisercid', 'cid'],
+    advertiserName: ['advertisername', 'advertiser'],
+    sid: ['sid', 'shopperid'],
+    orderId: ['orderid'],
+    saleAmount: ['saleamount', 'saleamountusd', 'saleamountpubcurrency'],
+    commissionAmount: ['commissionamount', 'pubcommissionamountusd', 'pubcommissionamountpubcurrency', 'publishercommission', 'commission'],
+    currency: ['currency', 'pubcurrency']
+};
+
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF. Returns one object per row keyed by header.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    if (!header) return [];
+    return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), (cells[index] || '').trim()])));
+}
+
+function toAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = Number(String(value).replace(/[^\d.-]/g, ''));
+    return isFinite(amount) ? amount : null;
+}
+
+// One report row / webhook item -> { conversion } or { error }
+function normalizeConversion(raw, source) {
+    const byKey = new Map(Object.entries(raw || {}).map(([key, value]) => [normalizeKey(key), value]));
+    const pick = field => {
+        const key = FIELD_ALIASES[field].find(alias => byKey.has(alias) && byKey.get(alias) !== '');
+        return key ? byKey.get(key) : null;
+    };
+
+    const commissionId = pick('commissionId');
+    if (!commissionId) return { error: 'missing commission ID' };
+
+    const eventDate = new Date(pick('eventDate'));
+    if (isNaN(eventDate.getTime())) return { error: `commission ${commissionId}: invalid event date` };
+
+    const usdReport = byKey.has('pubcommissionamountusd') || byKey.has('saleamountusd');
+    return {
+        conversion: {
+            commissionId: String(commissionId),
+            eventDate: eventDate.toISOString(),
+            actionStatus: pick('actionStatus') ? String(pick('actionStatus')).toLowerCase() : null,
+            advertiserId: pick('advertiserId') ? String(pick('advertiserId')) : null,
+            advertiserName: pick('advertiserName') || null,
+            sid: pick('sid') ? String(pick('sid')) : null,
+            orderId: pick('orderId') ? String(pick('orderId')) : null,
+            saleAmount: toAmount(pick('saleAmount')),
+            commissionAmount: toAmount(pick('commissionAmount')),
+            currency: pick('currency') || (usdReport ? 'USD' : null),
+            source
+        }
+    };
+}
+
+function createMemoryConversionStore() {
+    const conversions = new Map();
+    return {
+        name: 'memory',
+        async exists(id) {
+            return conversions.has(id);
+        },
+        async save(conversion) {
+            conversions.set(conversion.commissionId, conversion);
+        },
+        async list({ from, to }) {
+            return [...conversions.values()].filter(conversion => conversion.eventDate >= from && conversion.eventDate <= to);
+        }
+    };
+}
+
+function createFirestoreConversionStore(db) {
+    return {
+        name: 'firestore',
+        async exists(id) {
+            return (await db.collection(CONVERSIONS_COLLECTION).doc(id).get()).exists;
+        },
+        async save(conversion) {
+            await db.collection(CONVERSIONS_COLLECTION).doc(conversion.commissionId).set({
+                ...conversion,
+                ingestedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        },
+        async list({ from, to }) {
+            const snapshot = await db.collection(CONVERSIONS_COLLECTION)
+                .where('eventDate', '>=', from)
+                .where('eventDate', '<=', to)
+                .get();
+            return snapshot.docs.map(doc => doc.data());
+        }
+    };
+}
+
+function emptyBucket() {
+    return { clicks: 0, conversions: 0, commission: 0, sales: 0 };
+}
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function createConversionTracker({
+    db = null,
+    clickTracker,
+    partners,
+    store = db ? createFirestoreConversionStore(db) : createMemoryConversionStore(),
+    matchWindowDays = Number(process.env.CONVERSION_MATCH_WINDOW_DAYS) || DEFAULT_MATCH_WINDOW_DAYS
+}) {
+    // The click that earned the commission: the CJ sid is our click ID; without it, the partner's
+    // latest click in the window before the sale (marked as a weaker time_window match)
+    async function matchClick(conversion) {
+        if (conversion.sid) {
+            const click = await clickTracker.getClick(conversion.sid);
+            if (click) return { click, match: 'sid' };
+        }
+        const partner = conversion.advertiserId ? partners.findByCjId(conversion.advertiserId) : null;
+        if (partner) {
+            try {
+                const after = new Date(new Date(conversion.eventDate).getTime() - matchWindowDays * 86400000).toISOString();
+                const click = await clickTracker.findLatestClick({ partnerId: partner.id, before: conversion.eventDate, after });
+                if (click) return { click, match: 'time_window' };
+            } catch (error) {
+                console.error('⚠️ Time-window click lookup failed:', error.message);
+            }
+        }
+        return { click: null, match: 'unmatched' };
+    }
+
+    // rows: raw report rows / webhook items. Returns counts plus the per-row errors.
+    async function ingest(rows, source) {
+        const summary = { received: rows.length, created: 0, updated: 0, matched: 0, unmatched: 0, errors: [] };
+
+        for (const raw of rows) {
+            const { conversion, error } = normalizeConversion(raw, source);
+            if (error) {
+                summary.errors.push(error);
+                continue;
+            }
+
+            const { click, match } = await matchClick(conversion);
+            const existed = await store.exists(conversion.commissionId);
+            await store.save({
+                ...conversion,
+                partnerId: click?.partnerId || partners.findByCjId(conversion.advertiserId)?.id || null,
+                match,
+                clickId: click?.id || null,
+                searchId: click?.searchId || null,
+                decision: click?.decision || null,
+                rule: click?.rule || null,
+                placement: click?.placement || null
+            });
+
+            summary[existed ? 'updated' : 'created']++;
+            summary[click ? 'matched' : 'unmatched']++;
+        }
+
+        console.log(`💸 Ingested ${summary.received} CJ commissions (${summary.matched} matched to clicks, ${summary.errors.length} rejected)`);
+        return summary;
+    }
+
+    // Clicks, conversions and commission over a period, split by fairness decision and rule
+    async function summarize({ from, to }) {
+        const [clicks, conversions] = await Promise.all([
+            clickTracker.listClicks({ from, to }),
+            store.list({ from, to })
+        ]);
+        const counted = conversions.filter(conversion => !['reversed', 'cancelled', 'canceled'].includes(conversion.actionStatus));
+
+        const total = emptyBucket();
+        const byDecision = {};
+        const byRule = {};
+        const bucket = (groups, key) => (groups[key || 'unknown'] = groups[key || 'unknown'] || emptyBucket());
+
+        for (const click of clicks) {
+            for (const target of [total, bucket(byDecision, click.decision), bucket(byRule, click.rule)]) target.clicks++;
+        }
+        for (const conversion of counted) {
+            for (const target of [total, bucket(byDecision, conversion.decision), bucket(byRule, conversion.rule)]) {
+                target.conversions++;
+                target.commission += conversion.commissionAmount || 0;
+                target.sales += conversion.saleAmount || 0;
+            }
+        }
+        const roundBucket = target => ({ ...target, commission: round(target.commission), sales: round(target.sales) });
+
+        const searches = new Set(clicks.map(click => click.searchId).filter(Boolean));
+        const currencies = [...new Set(counted.map(conversion => conversion.currency).filter(Boolean))];
+        return {
+            from,
+            to,
+            ...roundBucket(total),
+            currency: currencies.length === 1 ? currencies[0] : (currencies.length ? 'mixed' : null),
+            searches_with_clicks: searches.size,
+            revenue_per_clicked_search: searches.size ? round(total.commission / searches.size) : 0,
+            matched_conversions: counted.filter(conversion => conversion.match !== 'unmatched').length,
+            by_decision: Object.fromEntries(Object.entries(byDecision).map(([key, target]) => [key, roundBucket(target)])),
+            by_rule: Object.fromEntries(Object.entries(byRule).map(([key, target]) => [key, roundBucket(target)]))
+        };
+    }
+
+    return { ingest, summarize, store };
+}
+
+module.exports = {
+    CONVERSIONS_COLLECTION,
+    parseCsv,
+    normalizeConversion,
+    createMemoryConversionStore,
+    createFirestoreConversionStore,
+    createConversionTracker
+};
@@ -0,0 +1,19 @@
+// Shared date helpers (Firestore Timestamps, ISO strings and plain dates)
+
+function todayISO() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+function toISOString(value) {
+    const millis = toMillis(value);
+    return millis ? new Date(millis).toISOString() : null;
+}
+
+module.exports = { todayISO, toMillis, toISOString };
@@ -0,0 +1,144 @@
+// Turn an uploaded booking confirmation (PDF, .eml, HTML, image or text) into
+// prompt text plus inline parts that Gemini can read.
+
+// pdf-parse's index runs a self-test when required directly, so load the library file
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { simpleParser } = require('mailparser');
+
+// Below this many characters a PDF is most likely scanned - send the file itself instead
+const MIN_PDF_TEXT_LENGTH = 80;
+const MAX_PROMPT_TEXT_LENGTH = 30000;
+
+const EMAIL_TYPES = ['message/rfc822', 'application/eml'];
+
+function toBuffer(content, encoding) {
+    if (Buffer.isBuffer(content)) return content;
+    if (typeof content !== 'string') return Buffer.alloc(0);
+    if (encoding === 'base64') {
+        // Accept data URLs as well as bare base64
+        return Buffer.from(content.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    }
+    return Buffer.from(content, 'utf8');
+}
+
+// &amp; goes last so "&amp;lt;" stays the text "&lt;" instead of being decoded twice
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;|&apos;/gi, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/gi, '&');
+}
+
+// Good-enough HTML to text for confirmation emails (tables become lines)
+function htmlToText(html) {
+    const text = String(html || '')
+        .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|tr|h[1-6]|li|table)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ');
+    return decodeEntities(text)
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n+/g, '\n')
+        .trim();
+}
+
+function detectKind(contentType = '', filename = '') {
+    const type = contentType.toLowerCase();
+    const name = filename.toLowerCase();
+    if (type.startsWith('image/')) return 'image';
+    if (type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+    if (EMAIL_TYPES.includes(type) || name.endsWith('.eml')) return 'email';
+    if (type === 'text/html' || name.endsWith('.html') || name.endsWith('.htm')) return 'html';
+    return 'text';
+}
+
+async function preparePdf(buffer) {
+    try {
+        const parsed = await pdfParse(buffer);
+        const text = (parsed.text || '').trim();
+        if (text.length >= MIN_PDF_TEXT_LENGTH) {
+            return { source: 'pdf_text', text, inlineParts: [] };
+        }
+        console.log('📄 PDF has little extractable text, sending the file inline');
+    } catch (error) {
+        console.warn('⚠️ PDF text extraction failed, sending the file inline:', error.message);
+    }
+    return {
+        source: 'pdf_inline',
+        text: '',
+        inlineParts: [{ mime_type: 'application/pdf', data: buffer.toString('base64') }]
+    };
+}
+
+async function prepareEmail(buffer) {
+    const mail = await simpleParser(buffer);
+    const sections = [];
+
+    if (mail.subject) sections.push(`Subject: ${mail.subject}`);
+    if (mail.from?.text) sections.push(`From: ${mail.from.text}`);
+    const body = mail.text && mail.text.trim() ? mail.text.trim() : htmlToText(mail.html || mail.textAsHtml || '');
+    if (body) sections.push(body);
+
+    const inlineParts = [];
+    const attachmentNames = [];
+    for (const attachment of mail.attachments || []) {
+        const kind = detectKind(attachment.contentType, attachment.filename || '');
+        if (kind === 'pdf') {
+            const pdf = await preparePdf(attachment.content);
+            if (pdf.text) sections.push(`--- Attachment: ${attachment.filename || 'document.pdf'} ---\n${pdf.text}`);
+            inlineParts.push(...pdf.inlineParts);
+        } else if (kind === 'image' && attachment.contentDisposition === 'attachment') {
+            // Inline images in HTML emails are logos; only real attachments can be booking screenshots
+            inlineParts.push({ mime_type: attachment.contentType, data: attachment.content.toString('base64') });
+        } else if (kind === 'html') {
+            sections.push(`--- Attachment: ${attachment.filename} ---\n${htmlToText(attachment.content.toString('utf8'))}`);
+        } else {
+            continue;
+        }
+        attachmentNames.push(attachment.filename || attachment.contentType);
+    }
+
+    return { source: 'email', text: sections.join('\n\n'), inlineParts, attachments: attachmentNames };
+}
+
+// Entry point: { content, contentType, filename, encoding } -> { source, text, inlineParts, attachments }
+async function prepareDocument({ content, contentType = '', filename = '', encoding } = {}) {
+    const kind = detectKind(contentType, filename);
+    let prepared;
+
+    switch (kind) {
+        case 'image': {
+            const data = Buffer.isBuffer(content) ? content.toString('base64') : String(content || '').replace(/^data:[^;]+;base64,/, '');
+            prepared = { source: 'image', text: '', inlineParts: [{ mime_type: contentType, data }] };
+            break;
+        }
+        case 'pdf':
+            // PDFs in the JSON body are always base64
+            prepared = await preparePdf(toBuffer(content, encoding || 'base64'));
+            break;
+        case 'email':
+            prepared = await prepareEmail(toBuffer(content, encoding));
+            break;
+        case 'html':
+            prepared = { source: 'html', text: htmlToText(toBuffer(content, encoding).toString('utf8')), inlineParts: [] };
+            break;
+        default: {
+            const text = toBuffer(content, encoding).toString('utf8');
+            // Pasted confirmation emails often arrive as HTML under a generic type
+            prepared = { source: 'text', text: /<html|<body|<table/i.test(text) ? htmlToText(text) : text, inlineParts: [] };
+        }
+    }
+
+    return {
+        attachments: [],
+        ...prepared,
+        text: prepared.text.slice(0, MAX_PROMPT_TEXT_LENGTH)
+    };
+}
+
+module.exports = { prepareDocument, htmlToText, detectKind };
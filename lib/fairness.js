@@ -0,0 +1,184 @@
+const admin = require('firebase-admin');
+
+// Partner vs competitor decision policy.
+// The gap rule: show the partner while (competitor savings - partner savings) <= thresholdPercent% of partner savings.
+
+const DECISIONS_COLLECTION = 'fairnessDecisions';
+
+const DEFAULT_POLICY = {
+    version: 'default-40',
+    thresholdPercent: 40,
+    // Savings smaller than this (booking currency) are not worth sending the user anywhere
+    minAbsoluteSavings: 0,
+    // Only offers whose conditions match the booking may win
+    requireConditionMatch: false,
+    partnerOverrides: {}
+};
+
+const OVERRIDABLE_FIELDS = ['thresholdPercent', 'minAbsoluteSavings', 'requireConditionMatch'];
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// Validate a policy object, filling defaults. Throws on invalid values so a bad config fails loudly.
+function normalizePolicy(raw = {}) {
+    const policy = { ...DEFAULT_POLICY, ...raw, partnerOverrides: { ...(raw.partnerOverrides || {}) } };
+    const problems = [];
+
+    if (!isNonNegativeNumber(policy.thresholdPercent)) problems.push('thresholdPercent must be a non-negative number');
+    if (!isNonNegativeNumber(policy.minAbsoluteSavings)) problems.push('minAbsoluteSavings must be a non-negative number');
+    if (typeof policy.requireConditionMatch !== 'boolean') problems.push('requireConditionMatch must be a boolean');
+
+    for (const [partnerId, override] of Object.entries(policy.partnerOverrides)) {
+        for (const field of Object.keys(override)) {
+            if (!OVERRIDABLE_FIELDS.includes(field)) problems.push(`partnerOverrides.${partnerId}.${field} is not overridable`);
+        }
+        if (override.thresholdPercent !== undefined && !isNonNegativeNumber(override.thresholdPercent)) {
+            problems.push(`partnerOverrides.${partnerId}.thresholdPercent must be a non-negative number`);
+        }
+        if (override.minAbsoluteSavings !== undefined && !isNonNegativeNumber(override.minAbsoluteSavings)) {
+            problems.push(`partnerOverrides.${partnerId}.minAbsoluteSavings must be a non-negative number`);
+        }
+        if (override.requireConditionMatch !== undefined && typeof override.requireConditionMatch !== 'boolean') {
+            problems.push(`partnerOverrides.${partnerId}.requireConditionMatch must be a boolean`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid fairness policy: ${problems.join('; ')}`);
+    }
+    return policy;
+}
+
+// Policy from FAIRNESS_POLICY (JSON), falling back to the default 40% rule
+function loadPolicyFromEnv(json = process.env.FAIRNESS_POLICY) {
+    if (!json) return normalizePolicy();
+    return normalizePolicy(JSON.parse(json));
+}
+
+// The policy that applies to one partner (base policy + that partner's overrides)
+function resolvePolicy(policy, partnerId) {
+    const { partnerOverrides, ...base } = policy;
+    return { ...base, ...((partnerId && partnerOverrides[partnerId]) || {}) };
+}
+
+function isEligible(offer, savings, policy) {
+    if (savings <= 0) return { eligible: false, reason: 'no_savings' };
+    if (savings < policy.minAbsoluteSavings) return { eligible: false, reason: 'below_min_savings' };
+    if (policy.requireConditionMatch && !offer.conditions_match) return { eligible: false, reason: 'conditions_mismatch' };
+    return { eligible: true, reason: null };
+}
+
+// Pure decision function.
+// input: { originalPrice, partner: offer|null, competitor: offer|null } where offer = { price, partnerId, conditions_match }
+// Returns the decision plus everything needed to audit it.
+function evaluateFairness({ originalPrice, partner, competitor }, policy = DEFAULT_POLICY) {
+    const effective = resolvePolicy(policy, partner?.partnerId);
+    const partnerSavings = partner ? originalPrice - partner.price : null;
+    const competitorSavings = competitor ? originalPrice - competitor.price : null;
+    const partnerCheck = partner ? isEligible(partner, partnerSavings, effective) : { eligible: false, reason: 'no_offer' };
+    const competitorCheck = competitor ? isEligible(competitor, competitorSavings, effective) : { eligible: false, reason: 'no_offer' };
+
+    const result = {
+        partnerSavings,
+        competitorSavings,
+        savingsGap: null,
+        threshold: null,
+        thresholdPercent: effective.thresholdPercent,
+        partnerEligibility: partnerCheck,
+        competitorEligibility: competitorCheck,
+        policyVersion: policy.version || null
+    };
+
+    if (!partnerCheck.eligible && !competitorCheck.eligible) {
+        return { ...result, showPartner: false, recommend: false, rule: 'no_eligible_offer', explanation: 'No offer satisfies the policy' };
+    }
+    if (!competitorCheck.eligible) {
+        return { ...result, showPartner: true, recommend: true, rule: 'only_partner_eligible', explanation: 'Only the partner offer satisfies the policy' };
+    }
+    if (!partnerCheck.eligible) {
+        return { ...result, showPartner: false, recommend: true, rule: 'only_competitor_eligible', explanation: 'Only the competitor offer satisfies the policy' };
+    }
+
+    // Both eligible: partner savings are positive here, so the threshold can never go negative
+    const savingsGap = competitorSavings - partnerSavings;
+    const threshold = partnerSavings * (effective.thresholdPercent / 100);
+    const showPartner = savingsGap <= threshold;
+
+    return {
+        ...result,
+        savingsGap,
+        threshold: Math.round(threshold),
+        showPartner,
+        recommend: true,
+        rule: 'savings_gap',
+        explanation: showPartner ?
+            'Gap is small - showing profitable partner link' :
+            'Gap is significant - showing fair competitor link'
+    };
+}
+
+function summarizeOffer(offer) {
+    if (!offer) return null;
+    return {
+        site: offer.site || null,
+        price: offer.price,
+        partnerId: offer.partnerId || null,
+        provider: offer.provider || null,
+        provenance: offer.provenance || null,
+        conditions_match: Boolean(offer.conditions_match)
+    };
+}
+
+// Fairness engine bound to a policy and (optionally) Firestore for the audit trail
+function createFairnessEngine({ db = null, policy = loadPolicyFromEnv() } = {}) {
+    const activePolicy = normalizePolicy(policy);
+
+    // Decide and persist the decision with its inputs; persistence never blocks or fails the search
+    function decide(input, context = {}) {
+        const decision = evaluateFairness(input, activePolicy);
+
+        if (db) {
+            db.collection(DECISIONS_COLLECTION).add({
+                originalPrice: input.originalPrice,
+                currency: context.currency || null,
+                hotel_name: context.hotel_name || null,
+                searchId: context.searchId || null,
+                partner: summarizeOffer(input.partner),
+                competitor: summarizeOffer(input.competitor),
+                policy: resolvePolicy(activePolicy, input.partner?.partnerId),
+                policyVersion: activePolicy.version || null,
+                decision: {
+                    showPartner: decision.showPartner,
+                    recommend: decision.recommend,
+                    rule: decision.rule,
+                    partnerSavings: decision.partnerSavings,
+                    competitorSavings: decision.competitorSavings,
+                    savingsGap: decision.savingsGap,
+                    threshold: decision.threshold
+                },
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            }).catch(error => console.error('⚠️ Failed to persist fairness decision:', error.message));
+        }
+
+        return decision;
+    }
+
+    // Drop offers the policy could never pick, so the cheapest remaining offer is the real candidate
+    function filterCandidates(offers) {
+        return offers.filter(offer => !resolvePolicy(activePolicy, offer.partnerId).requireConditionMatch || offer.conditions_match);
+    }
+
+    return { decide, filterCandidates, policy: activePolicy };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    DECISIONS_COLLECTION,
+    normalizePolicy,
+    loadPolicyFromEnv,
+    resolvePolicy,
+    evaluateFairness,
+    createFairnessEngine
+};
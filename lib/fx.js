@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { todayISO } = require('./dates');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'data', 'fx-rates.json');
+
+// Rate source backed by a local JSON file: { "base": "USD", "date": "YYYY-MM-DD", "rates": { "ILS": 3.72, ... } }
+function createFileRateSource(filePath = process.env.FX_RATES_FILE || DEFAULT_RATES_FILE) {
+    return {
+        name: 'file',
+        async getRates() {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        }
+    };
+}
+
+// Rate source backed by an HTTP endpoint returning the same shape (e.g. a Frankfurter/ECB mirror)
+function createHttpRateSource(url = process.env.FX_RATES_URL, { timeout = 10000 } = {}) {
+    return {
+        name: 'http',
+        async getRates() {
+            const response = await axios.get(url, { timeout });
+            return response.data;
+        }
+    };
+}
+
+function createDefaultRateSource() {
+    return process.env.FX_RATES_URL ? createHttpRateSource() : createFileRateSource();
+}
+
+// FX converter with a once-per-day rates cache. Any object with getRates() can be injected as the source.
+function createFxConverter({ rateSource = createDefaultRateSource() } = {}) {
+    let cached = null;
+    let cachedOn = null;
+    let pending = null;
+
+    async function getRates() {
+        const today = todayISO();
+        if (cached && cachedOn === today) return cached;
+        if (!pending) {
+            pending = rateSource.getRates()
+                .then(table => {
+                    if (!table || !table.base || !table.rates) {
+                        throw new Error(`Invalid FX rates from ${rateSource.name || 'rate source'}`);
+                    }
+                    cached = { ...table, rates: { ...table.rates, [table.base]: 1 } };
+                    cachedOn = today;
+                    return cached;
+                })
+                .finally(() => { pending = null; });
+        }
+        return pending;
+    }
+
+    // Rate to multiply an amount in `from` by to get `to`, or null if either currency is unknown
+    async function getRate(from, to) {
+        if (from === to) return { rate: 1, date: null };
+        const table = await getRates();
+        const fromRate = table.rates[from];
+        const toRate = table.rates[to];
+        if (!fromRate || !toRate) return { rate: null, date: table.date };
+        return { rate: toRate / fromRate, date: table.date };
+    }
+
+    // Convert an offer into the booking currency, keeping the provider's own price alongside
+    async function convertOffer(offer, targetCurrency) {
+        const target = (targetCurrency || 'ILS').toUpperCase();
+        const fromCurrency = offer.currency || target;
+
+        if (typeof offer.price !== 'number') {
+            return { ...offer, provider_price: null, provider_currency: offer.currency, currency: target, fx_rate: null, fx_rate_date: null };
+        }
+
+        const { rate, date } = await getRate(fromCurrency, target);
+        if (rate === null) {
+            console.log(`⚠️ No FX rate for ${fromCurrency} -> ${target}, dropping price from ${offer.site}`);
+            return {
+                ...offer,
+                price: null,
+                provenance: 'unavailable',
+                provider_price: offer.price,
+                provider_currency: fromCurrency,
+                currency: target,
+                fx_rate: null,
+                fx_rate_date: date
+            };
+        }
+
+        return {
+            ...offer,
+            price: Math.round(offer.price * rate * 100) / 100,
+            provider_price: offer.price,
+            // null when the provider did not state a currency and we assumed the booking's
+            provider_currency: offer.currency,
+            currency: target,
+            fx_rate: rate === 1 ? 1 : Math.round(rate * 1e6) / 1e6,
+            fx_rate_date: date
+        };
+    }
+
+    // Without rates (the source failed) offers in other currencies are returned as they are, marked
+    // converted: false, rather than failing the whole search
+    async function convertOffers(offers, targetCurrency) {
+        let failure = null;
+        const converted = await Promise.all(offers.map(offer => convertOffer(offer, targetCurrency)
+            .then(result => ({ ...result, converted: true }))
+            .catch(error => {
+                failure = error;
+                return { ...offer, converted: false };
+            })));
+        if (failure) {
+            console.error(`⚠️ FX conversion failed, ${converted.filter(offer => !offer.converted).length} offers left unconverted:`, failure.message);
+        }
+        return converted;
+    }
+
+    return { getRates, getRate, convertOffer, convertOffers };
+}
+
+module.exports = {
+    createFxConverter,
+    createFileRateSource,
+    createHttpRateSource
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// Guards around Gemini. Going in: user and document text is cleaned and fenced off as data, and text that
+// tries to give the model instructions is detected. Coming out: links must point at known booking domains
+// and prices must fall in a plausible band around the original price.
+
+// Zero-width, bidi and control characters (used to hide instructions from the person reading a document)
+const INVISIBLE_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+
+// Phrases addressed to the model rather than to a hotel guest
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+)?(the\s+)?(previous|prior|above|earlier|preceding|system)\s+(instructions?|prompts?|rules|messages?)/i,
+    /\byou\s+are\s+now\b/i,
+    /\b(system|developer)\s+(prompt|message|instructions?)\b/i,
+    /^\s*(system|assistant|developer)\s*:/im,
+    /\bnew\s+instructions?\s*:/i,
+    /\b(respond|reply|answer|return|output)\s+(only\s+)?with\s+(the\s+following|this)\b/i,
+    /\b(set|make)\s+(the\s+)?("?(original_price|price|direct_link|conditions_match|partnerId)"?)\s+(to|=)/i,
+    /התעל(ם|מו)\s+מ(כל\s+)?ה(הוראות|הנחיות)/
+];
+
+// Booking sites whose links may be passed on as they are (subdomains included); BOOKING_LINK_DOMAINS adds more
+const DEFAULT_BOOKING_DOMAINS = [
+    'expedia.com', 'expedia.co.il', 'agoda.com', 'booking.com', 'priceline.com', 'trivago.com', 'kayak.com',
+    'hotels.com', 'addresshotels.com', 'mytrip.com',
+    // CJ click domains
+    'anrdoezrs.net', 'jdoqocy.com', 'tkqlhce.com', 'dpbolvw.net', 'kqzyfj.com'
+];
+
+// Offer price / original price outside [min, max] is flagged (PRICE_PLAUSIBILITY_BAND="min,max")
+const DEFAULT_PRICE_BAND = { min: 0.3, max: 3 };
+
+// ---------- Input ----------
+
+// A user-supplied value for a quoted spot in a prompt: one line, no quotes or braces, bounded length
+function sanitizePromptValue(value, maxLength = 200) {
+    if (value === null || value === undefined) return null;
+    const cleaned = String(value)
+        .replace(INVISIBLE_CHARS, '')
+        .replace(/[\r\n\t]+/g, ' ')
+        .replace(/["`]/g, "'")
+        .replace(/[{}<>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength);
+    return cleaned || null;
+}
+
+// Instruction-like phrases found in the text (at most 5), empty when there are none
+function detectPromptInjection(text) {
+    if (typeof text !== 'string' || !text) return [];
+    const visible = text.replace(INVISIBLE_CHARS, '');
+    return INJECTION_PATTERNS
+        .map(pattern => pattern.exec(visible))
+        .filter(Boolean)
+        .map(match => match[0].trim().slice(0, 80))
+        .slice(0, 5);
+}
+
+// Document text between markers derived from its own hash, so the document can't contain the closing
+// marker and continue as instructions (and the same document always gives the same prompt)
+function fenceUntrustedText(text, label = 'DOCUMENT') {
+    const cleaned = String(text || '').replace(INVISIBLE_CHARS, '');
+    const marker = `${label}-${crypto.createHash('sha256').update(cleaned).digest('hex').slice(0, 12)}`;
+    return {
+        marker,
+        text: `<<<BEGIN ${marker}>>>\n${cleaned}\n<<<END ${marker}>>>`
+    };
+}
+
+// ---------- Output ----------
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Allowed link domains: the defaults, every partner's link and deep-link template hosts, and BOOKING_LINK_DOMAINS
+function bookingLinkDomains(partners = null, extra = process.env.BOOKING_LINK_DOMAINS) {
+    const domains = new Set(DEFAULT_BOOKING_DOMAINS);
+    for (const partner of partners ? partners.list() : []) {
+        for (const url of [partner.baseUrl, partner.deepLinkTemplate]) {
+            const host = url && hostnameOf(String(url).replace(/\{\w+\}/g, 'x'));
+            if (host) domains.add(host.replace(/^www\./, ''));
+        }
+    }
+    (extra || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean).forEach(domain => domains.add(domain));
+    return [...domains];
+}
+
+// https links to an allowed domain or one of its subdomains, without embedded credentials
+function isAllowedBookingLink(link, domains = DEFAULT_BOOKING_DOMAINS) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) return false;
+    const host = url.hostname.toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Drop offer links that point anywhere else; the offer then gets a generated link (see partners.buildOfferLink)
+function guardOfferLinks(offers, domains) {
+    return offers.map(offer => {
+        if (!offer.direct_link || isAllowedBookingLink(offer.direct_link, domains)) return offer;
+        console.warn(`🛡️ Rejected link from ${offer.provider} (${offer.site}): ${hostnameOf(offer.direct_link) || 'invalid URL'}`);
+        return { ...offer, direct_link: null };
+    });
+}
+
+function loadPriceBand(value = process.env.PRICE_PLAUSIBILITY_BAND) {
+    if (!value) return DEFAULT_PRICE_BAND;
+    const [min, max] = value.split(',').map(Number);
+    if (!(min >= 0) || !(max > min)) {
+        throw new Error(`Invalid PRICE_PLAUSIBILITY_BAND "${value}": expected "min,max" ratios with max > min`);
+    }
+    return { min, max };
+}
+
+// 'price_too_low' / 'price_too_high' when the price is implausible for the original price, otherwise null
+function checkPricePlausibility(price, originalPrice, band = DEFAULT_PRICE_BAND) {
+    if (typeof price !== 'number' || typeof originalPrice !== 'number' || originalPrice <= 0) return null;
+    if (price < originalPrice * band.min) return 'price_too_low';
+    if (price > originalPrice * band.max) return 'price_too_high';
+    return null;
+}
+
+// Split offers into plausible ones and flagged ones ({ site, provider, price, currency, reason })
+function flagImplausibleOffers(offers, originalPrice, band = DEFAULT_PRICE_BAND) {
+    const plausible = [];
+    const flagged = [];
+    for (const offer of offers) {
+        const reason = checkPricePlausibility(offer.price, originalPrice, band);
+        if (!reason) {
+            plausible.push(offer);
+            continue;
+        }
+        console.log(`⚠️ Flagged implausible price from ${offer.site}: ${offer.price} (${reason})`);
+        flagged.push({ site: offer.site, provider: offer.provider, price: offer.price, currency: offer.currency, reason });
+    }
+    return { offers: plausible, flagged };
+}
+
+module.exports = {
+    DEFAULT_BOOKING_DOMAINS,
+    DEFAULT_PRICE_BAND,
+    sanitizePromptValue,
+    detectPromptInjection,
+    fenceUntrustedText,
+    bookingLinkDomains,
+    isAllowedBookingLink,
+    guardOfferLinks,
+    loadPriceBand,
+    checkPricePlausibility,
+    flagImplausibleOffers
+};
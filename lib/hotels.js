@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+// Hotel directory: canonical hotel records (name, chain, city, country, coordinates, provider IDs) that turn a
+// free-text hotel name into one specific property. Records come from data/hotels.json (HOTELS_FILE) overlaid
+// with the "hotels" Firestore collection, like the partner registry.
+
+const HOTELS_COLLECTION = 'hotels';
+const DEFAULT_HOTELS_FILE = path.join(__dirname, '..', 'data', 'hotels.json');
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+const EDITABLE_FIELDS = ['name', 'aliases', 'chain', 'address', 'city', 'country', 'coordinates', 'providerIds'];
+
+// Name similarity (0-1) needed to resolve a hotel, to offer it as a candidate, and the lead the best match
+// needs over the runner-up ("Hilton" alone matches every Hilton equally and is never resolved)
+const MATCH_SCORE = 0.8;
+const CANDIDATE_SCORE = 0.45;
+const CLEAR_LEAD = 0.15;
+const MAX_CANDIDATES = 5;
+// A query naming only the chain, anywhere / in the hotel's city
+const CHAIN_SCORE = 0.5;
+const CHAIN_IN_CITY_SCORE = 0.85;
+// A stated city or country that differs from the record's
+const LOCATION_MISMATCH_FACTOR = 0.6;
+
+// Words that don't tell hotels apart
+const GENERIC_WORDS = new Set(['hotel', 'hotels', 'the', 'and', 'by', 'of', 'at', 'a', 'מלון']);
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function tokens(value) {
+    return normalizeName(value).split(' ').filter(word => word && !GENERIC_WORDS.has(word));
+}
+
+// Dice coefficient of two token lists
+function similarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const other = new Set(b);
+    const shared = new Set(a.filter(word => other.has(word))).size;
+    return (2 * shared) / (new Set(a).size + other.size);
+}
+
+function containsPhrase(text, phrase) {
+    return Boolean(phrase) && ` ${text} `.includes(` ${phrase} `);
+}
+
+// English country name -> ISO code, built on first use
+let countryCodesByName = null;
+
+function countryCodes() {
+    if (!countryCodesByName) {
+        countryCodesByName = new Map();
+        for (let first = 65; first <= 90; first++) {
+            for (let second = 65; second <= 90; second++) {
+                const code = String.fromCharCode(first, second);
+                const name = regionNames.of(code);
+                if (name !== code) countryCodesByName.set(normalizeName(name), code);
+            }
+        }
+    }
+    return countryCodesByName;
+}
+
+// "IL" / "Israel" / "israel" -> "IL"; null when unknown
+function toCountryCode(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = value.trim();
+    if (/^[a-z]{2}$/i.test(text)) return text.toUpperCase();
+    return countryCodes().get(normalizeName(text)) || null;
+}
+
+function isString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Validate a new hotel (or a partial edit merged onto the current one). Returns { hotel, errors }.
+function normalizeHotel(input = {}, current = null) {
+    const errors = [];
+    const hotel = { ...(current || {}) };
+
+    if (!current) {
+        if (typeof input.id !== 'string' || !/^[a-z0-9_-]{2,80}$/.test(input.id)) {
+            errors.push('id must be 2-80 lowercase letters, digits, dashes or underscores');
+        }
+        hotel.id = input.id;
+    }
+
+    for (const field of Object.keys(input)) {
+        if (field !== 'id' && !EDITABLE_FIELDS.includes(field)) errors.push(`${field} is not a hotel field`);
+    }
+    for (const field of EDITABLE_FIELDS) {
+        if (input[field] !== undefined) hotel[field] = input[field];
+    }
+
+    if (!isString(hotel.name)) errors.push('name is required');
+    if (!isString(hotel.city)) errors.push('city is required');
+    if (typeof hotel.country !== 'string' || !/^[A-Z]{2}$/.test(hotel.country)) errors.push('country must be an ISO 3166 alpha-2 code');
+    for (const field of ['chain', 'address']) {
+        if (hotel[field] != null && !isString(hotel[field])) errors.push(`${field} must be a non-empty string or null`);
+    }
+    if (hotel.aliases !== undefined && (!Array.isArray(hotel.aliases) || !hotel.aliases.every(isString))) {
+        errors.push('aliases must be a list of names');
+    }
+    const { coordinates } = hotel;
+    if (coordinates != null && !(
+        typeof coordinates === 'object' &&
+        typeof coordinates.lat === 'number' && Math.abs(coordinates.lat) <= 90 &&
+        typeof coordinates.lng === 'number' && Math.abs(coordinates.lng) <= 180
+    )) {
+        errors.push('coordinates must be { lat, lng } in degrees');
+    }
+    const providerIds = hotel.providerIds || {};
+    if (typeof providerIds !== 'object' || Array.isArray(providerIds) ||
+        !Object.entries(providerIds).every(([key, value]) => /^[a-z0-9_]+$/.test(key) && (isString(value) || Number.isInteger(value)))) {
+        errors.push('providerIds must map provider IDs to property IDs');
+    }
+
+    if (errors.length > 0) return { hotel: null, errors };
+
+    return {
+        hotel: {
+            ...hotel,
+            name: hotel.name.trim(),
+            aliases: (hotel.aliases || []).map(alias => alias.trim()),
+            chain: hotel.chain?.trim() || null,
+            address: hotel.address?.trim() || null,
+            city: hotel.city.trim(),
+            coordinates: coordinates ? { lat: coordinates.lat, lng: coordinates.lng } : null,
+            providerIds: Object.fromEntries(Object.entries(providerIds).map(([key, value]) => [key, String(value)]))
+        },
+        errors
+    };
+}
+
+// How well a hotel matches the query ({ hotel_name, city, country, address }), 0-1
+function scoreHotel(hotel, query) {
+    const cityName = normalizeName(hotel.city);
+    const location = normalizeName([query.city, query.address].filter(Boolean).join(' '));
+    const inCity = containsPhrase(location, cityName) || containsPhrase(normalizeName(query.hotel_name), cityName);
+
+    // The stated city counts as part of the name: "Hilton" in Tel Aviv is "Hilton Tel Aviv"
+    const asked = [tokens(query.hotel_name), ...(inCity ? [tokens(`${query.hotel_name} ${hotel.city}`)] : [])];
+    const known = [hotel.name, `${hotel.name} ${hotel.city}`, ...hotel.aliases].map(tokens);
+    let score = Math.max(...asked.flatMap(a => known.map(b => similarity(a, b))));
+
+    // Only the chain was named: every hotel of the chain is a candidate, and the chain's hotel in the stated city
+    // a match (two of its hotels in one city are then too close to resolve)
+    const chainWords = tokens(hotel.chain);
+    if (chainWords.length > 0 && asked[0].length > 0 && asked[0].every(word => chainWords.includes(word))) {
+        score = Math.max(score, inCity ? CHAIN_IN_CITY_SCORE : CHAIN_SCORE);
+    }
+
+    if (isString(query.city) && !inCity) score *= LOCATION_MISMATCH_FACTOR;
+    const country = toCountryCode(query.country);
+    if (country && country !== hotel.country) score *= LOCATION_MISMATCH_FACTOR;
+
+    return Math.round(score * 100) / 100;
+}
+
+// Public view of a record (what the analyze result and search response return)
+function summarizeHotel(hotel) {
+    if (!hotel) return null;
+    const { id, name, chain, address, city, country, coordinates } = hotel;
+    return { id, name, chain, address, city, country, coordinates };
+}
+
+// Text searches and generic deep links use: the name, plus the city when the name doesn't say it
+function hotelSearchName(hotel) {
+    return containsPhrase(normalizeName(hotel.name), normalizeName(hotel.city)) ? hotel.name : `${hotel.name}, ${hotel.city}`;
+}
+
+// Search query fields for a booking, narrowed to the resolved hotel when there is one
+function hotelQueryFields(hotel, hotelName) {
+    if (!hotel) return { hotel_name: hotelName, hotel_id: null, providerIds: null, location: null };
+    return {
+        hotel_name: hotelSearchName(hotel),
+        hotel_id: hotel.id,
+        providerIds: Object.keys(hotel.providerIds).length > 0 ? hotel.providerIds : null,
+        location: [hotel.address, hotel.city, regionNames.of(hotel.country)].filter(Boolean).join(', ')
+    };
+}
+
+function loadHotelsFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`⚠️ Could not read hotels file ${filePath}:`, error.message);
+        return [];
+    }
+}
+
+// Directory with a synchronous in-memory view, refreshed from Firestore at most once per refreshIntervalMs
+function createHotelDirectory({
+    db = null,
+    filePath = process.env.HOTELS_FILE || DEFAULT_HOTELS_FILE,
+    refreshIntervalMs = REFRESH_INTERVAL_MS
+} = {}) {
+    const defaults = new Map(loadHotelsFile(filePath).map(raw => [raw.id, normalizeHotel(raw).hotel]).filter(([, hotel]) => hotel));
+    let overrides = new Map();
+    let loadedAt = 0;
+    let pending = null;
+
+    function all() {
+        return new Map([...defaults, ...overrides]);
+    }
+
+    // Pull Firestore records; failures keep the last known view
+    async function refresh({ force = false } = {}) {
+        if (!db || (!force && Date.now() - loadedAt < refreshIntervalMs)) return;
+        if (!pending) {
+            pending = db.collection(HOTELS_COLLECTION).get()
+                .then(snapshot => {
+                    const next = new Map();
+                    snapshot.forEach(doc => {
+                        const { updatedAt, ...data } = doc.data();
+                        const { hotel } = normalizeHotel({ id: doc.id, ...data });
+                        if (hotel) next.set(doc.id, hotel);
+                    });
+                    overrides = next;
+                    loadedAt = Date.now();
+                })
+                .catch(error => console.error('⚠️ Failed to load hotels from Firestore:', error.message))
+                .finally(() => { pending = null; });
+        }
+        await pending;
+    }
+
+    async function save(hotel) {
+        if (db) {
+            await db.collection(HOTELS_COLLECTION).doc(hotel.id).set({
+                ...hotel,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            console.warn(`⚠️ No Firestore - hotel ${hotel.id} change is kept in memory only`);
+        }
+        overrides.set(hotel.id, hotel);
+    }
+
+    function list() {
+        return [...all().values()];
+    }
+
+    function get(id) {
+        return (id && all().get(id)) || null;
+    }
+
+    // { status: 'resolved' | 'ambiguous' | 'not_found', hotel, candidates: [{ ...hotel summary, score }] }
+    // query: { hotel_name, city, country, address } as extracted from the booking
+    function resolve(query = {}) {
+        if (!isString(query.hotel_name)) return { status: 'not_found', hotel: null, candidates: [] };
+
+        const scored = list()
+            .map(hotel => ({ hotel, score: scoreHotel(hotel, query) }))
+            .filter(match => match.score >= CANDIDATE_SCORE)
+            .sort((a, b) => b.score - a.score);
+        const candidates = scored.slice(0, MAX_CANDIDATES).map(({ hotel, score }) => ({ ...summarizeHotel(hotel), score }));
+
+        const [best, runnerUp] = scored;
+        if (best && best.score >= MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= CLEAR_LEAD)) {
+            return { status: 'resolved', hotel: best.hotel, candidates };
+        }
+        return { status: candidates.length > 0 ? 'ambiguous' : 'not_found', hotel: null, candidates };
+    }
+
+    // The hotel a booking is for: the one the user confirmed (hotel_id) or an unambiguous match
+    async function identify(bookingData) {
+        await refresh();
+        if (bookingData.hotel_id) {
+            const hotel = get(bookingData.hotel_id);
+            if (!hotel) console.warn(`⚠️ Unknown hotel_id ${bookingData.hotel_id} - searching by name`);
+            return { status: hotel ? 'confirmed' : 'not_found', hotel };
+        }
+        const { status, hotel } = resolve(bookingData);
+        return { status, hotel };
+    }
+
+    // Returns { hotel } or { errors } (errors with status for the admin routes)
+    async function create(input) {
+        await refresh();
+        if (input?.id && get(input.id)) return { errors: [`Hotel ${input.id} already exists`], status: 409 };
+        const { hotel, errors } = normalizeHotel(input);
+        if (errors.length > 0) return { errors, status: 400 };
+        await save(hotel);
+        return { hotel };
+    }
+
+    async function update(id, patch) {
+        await refresh();
+        const current = get(id);
+        if (!current) return { errors: [`Hotel ${id} not found`], status: 404 };
+        const { hotel, errors } = normalizeHotel(patch, current);
+        if (errors.length > 0) return { errors, status: 400 };
+        await save(hotel);
+        return { hotel };
+    }
+
+    return { refresh, list, get, resolve, identify, create, update };
+}
+
+module.exports = {
+    HOTELS_COLLECTION,
+    MATCH_SCORE,
+    normalizeHotel,
+    scoreHotel,
+    summarizeHotel,
+    hotelSearchName,
+    hotelQueryFields,
+    toCountryCode,
+    createHotelDirectory
+};
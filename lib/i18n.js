@@ -0,0 +1,73 @@
+// API message catalogs (lib/locales/<locale>.json) and locale negotiation. Every user-facing error carries a
+// stable code next to its localized text, so clients branch on the code and show the text.
+
+const CATALOGS = {
+    he: require('./locales/he.json'),
+    en: require('./locales/en.json')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// DEFAULT_LOCALE: used when neither ?locale= nor Accept-Language names a supported language
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'he';
+
+// Region each language is served as on provider sites (hotels.com "he_IL", Booking.com "en-us", ...)
+const LOCALE_REGIONS = { he: 'IL', en: 'US' };
+
+// "en-GB" / "EN" / "iw" -> supported locale, or null
+function resolveLocale(value) {
+    if (typeof value !== 'string') return null;
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    if (language === 'iw') return 'he';
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// ?locale= wins over Accept-Language; anything unsupported falls back to DEFAULT_LOCALE
+function negotiateLocale(req) {
+    const requested = resolveLocale(req.query?.locale);
+    if (requested) return requested;
+    // The default first: it is what acceptsLanguages returns without a header or for "*"
+    return req.acceptsLanguages([DEFAULT_LOCALE, ...SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE)]) || DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Catalog text for the key with "{name}" filled from params; missing keys fall back to the default locale,
+// then to the key itself
+function translate(locale, key, params = {}) {
+    const text = lookup(CATALOGS[locale] || {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+// Error response body: { error: localized text, code, ...details }
+function errorBody(locale, code, details = {}) {
+    return { error: translate(locale, `errors.${code}`), code, ...details };
+}
+
+// "he" -> "he_IL" (separator "_") or "he-IL"
+function localeTag(locale, separator = '_') {
+    const language = resolveLocale(locale) || DEFAULT_LOCALE;
+    return `${language}${separator}${LOCALE_REGIONS[language]}`;
+}
+
+// Sets req.locale and answers in it (Content-Language); responses vary by Accept-Language
+function localize(req, res, next) {
+    req.locale = negotiateLocale(req);
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    negotiateLocale,
+    translate,
+    errorBody,
+    localeTag,
+    localize
+};
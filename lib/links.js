@@ -0,0 +1,160 @@
+const { DEFAULT_OCCUPANCY, distributeGuests } = require('./occupancy');
+const { DEFAULT_LOCALE, resolveLocale, localeTag, translate } = require('./i18n');
+
+// Deep links: placeholder templates for partner sites (see lib/partners.js) and the
+// hand-written competitor URLs that don't go through a partner.
+
+// Placeholders a deep-link template may use
+const TEMPLATE_PLACEHOLDERS = ['hotel', 'check_in', 'check_out', 'rooms', 'adults', 'children', 'child_ages', 'room_adults', 'room_children',
+    'city', 'country', 'hotel_id', 'locale', 'language', 'currency'];
+
+// Expedia selects the site language by Windows language ID
+const EXPEDIA_LANGUAGE_IDS = { he: 1037, en: 1033 };
+
+// Get dynamic check-in date (tomorrow)
+function getDefaultCheckIn() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return tomorrow.toISOString().split('T')[0];
+}
+
+// Get dynamic check-out date (day after tomorrow)
+function getDefaultCheckOut() {
+    const dayAfter = new Date();
+    dayAfter.setDate(dayAfter.getDate() + 2);
+    return dayAfter.toISOString().split('T')[0];
+}
+
+// Expedia-group child format: "<room number>_<age>" for every child, e.g. "1_5,2_7"
+function formatRoomChildren(guests) {
+    return guests.flatMap((room, index) => room.child_ages.map(age => `${index + 1}_${age}`)).join(',');
+}
+
+// Values for every template placeholder; child placeholders are empty when there are no children.
+// hotel: the resolved directory record (lib/hotels.js) - without it city, country and hotel_id (the partner's own
+// property ID) are empty. locale: the user's language ("he_IL" style in {locale}); currency is empty unless given.
+function buildLinkParams(hotelName, checkIn, checkOut, occupancy = DEFAULT_OCCUPANCY, { hotel = null, partnerId = null, locale = DEFAULT_LOCALE, currency = null } = {}) {
+    const guests = distributeGuests(occupancy);
+    return {
+        hotel: encodeURIComponent(hotelName || translate(locale, 'links.hotel_fallback')),
+        check_in: checkIn || getDefaultCheckIn(),
+        check_out: checkOut || getDefaultCheckOut(),
+        rooms: String(occupancy.rooms),
+        adults: String(occupancy.adults),
+        children: String(occupancy.children),
+        child_ages: occupancy.child_ages.join(','),
+        room_adults: guests.map(room => room.adults).join(','),
+        room_children: formatRoomChildren(guests),
+        city: hotel ? encodeURIComponent(hotel.city) : '',
+        country: hotel ? hotel.country : '',
+        hotel_id: encodeURIComponent(hotel?.providerIds?.[partnerId] || ''),
+        locale: localeTag(locale),
+        language: resolveLocale(locale) || DEFAULT_LOCALE,
+        currency: currency || ''
+    };
+}
+
+// "{name}" is replaced by the placeholder value; a "[...]" segment is dropped when any placeholder in it is empty,
+// e.g. "&adults={adults}[&childAges={child_ages}]"
+function renderLinkTemplate(template, params) {
+    const fill = text => text.replace(/\{(\w+)\}/g, (match, key) => params[key] ?? '');
+    return fill(template.replace(/\[([^\]]*)\]/g, (match, segment) => {
+        const keys = [...segment.matchAll(/\{(\w+)\}/g)].map(found => found[1]);
+        return keys.every(key => params[key]) ? segment : '';
+    }));
+}
+
+// Placeholders in a template that don't exist (for validating partner templates)
+function unknownPlaceholders(template) {
+    return [...String(template).matchAll(/\{(\w+)\}/g)]
+        .map(found => found[1])
+        .filter(key => !TEMPLATE_PLACEHOLDERS.includes(key));
+}
+
+// Language and currency parameters of the competitor sites, only for the values given (sites that keep the
+// language in the domain or path get none)
+function siteLocaleParams(site, { locale = null, currency = null } = {}) {
+    const language = resolveLocale(locale);
+    const params = [];
+    switch (site) {
+        case 'expedia':
+            if (language) params.push(`langid=${EXPEDIA_LANGUAGE_IDS[language]}`);
+            break;
+        case 'agoda':
+            if (language) params.push(`locale=${localeTag(language, '-').toLowerCase()}`);
+            if (currency) params.push(`currencyCode=${currency}`);
+            break;
+        case 'booking.com':
+        case 'booking':
+            if (language) params.push(`lang=${language === 'en' ? 'en-us' : language}`);
+            if (currency) params.push(`selected_currency=${currency}`);
+            break;
+        case 'trivago':
+            if (currency) params.push(`currency=${currency}`);
+            break;
+        case 'hotels.com':
+            if (language) params.push(`locale=${localeTag(language)}`);
+            if (currency) params.push(`currency=${currency}`);
+            break;
+    }
+    return params.map(param => `&${param}`).join('');
+}
+
+// Generate direct link for competitors (no affiliate); options: { locale, currency } of the user
+function generateDirectLink(result, hotelName, checkIn, checkOut, occupancy = DEFAULT_OCCUPANCY, options = {}) {
+    return competitorSearchUrl(result, hotelName, checkIn, checkOut, occupancy, options.locale) +
+        siteLocaleParams(result.site.toLowerCase(), options);
+}
+
+// Search URL on a competitor site - IMPROVED URLs
+function competitorSearchUrl(result, hotelName, checkIn, checkOut, occupancy, locale) {
+    const hotelSearch = encodeURIComponent(hotelName || translate(locale, 'links.hotel_fallback'));
+    const checkin = checkIn || getDefaultCheckIn();
+    const checkout = checkOut || getDefaultCheckOut();
+    const { rooms, adults, children, child_ages } = occupancy;
+    const guests = distributeGuests(occupancy);
+    const childAges = child_ages.join(',');
+
+    // Format dates for different sites
+    const checkinFormatted = checkin.replace(/-/g, '/');
+    const checkoutFormatted = checkout.replace(/-/g, '/');
+
+    switch(result.site.toLowerCase()) {
+        case 'expedia':
+            return `https://www.expedia.com/Hotel-Search?destination=${hotelSearch}&startDate=${checkinFormatted}&endDate=${checkoutFormatted}&rooms=${rooms}&adults=${guests.map(room => room.adults).join(',')}${children ? `&children=${formatRoomChildren(guests)}` : ''}`;
+        case 'agoda':
+            return `https://www.agoda.com/search?city=${hotelSearch}&checkIn=${checkin}&checkOut=${checkout}&rooms=${rooms}&adults=${adults}${children ? `&children=${children}&childages=${childAges}` : ''}`;
+        case 'priceline':
+            return `https://www.priceline.com/relax/at/${hotelSearch}/${checkin}/${checkout}/${rooms}-rooms-${adults}-adults${children ? `-${children}-children` : ''}`;
+        case 'booking.com':
+        case 'booking':
+            return `https://www.booking.com/searchresults.html?ss=${hotelSearch}&checkin=${checkin}&checkout=${checkout}&no_rooms=${rooms}&group_adults=${adults}${children ? `&group_children=${children}${child_ages.map(age => `&age=${age}`).join('')}` : ''}`;
+        case 'trivago':
+            return `https://www.trivago.com/search?query=${hotelSearch}&checkin=${checkin}&checkout=${checkout}&adults=${adults}&rooms=${rooms}${children ? `&children=${children}&childrenAges=${childAges}` : ''}`;
+        case 'kayak':
+            return `https://www.kayak.com/hotels/${hotelSearch}/${checkin}/${checkout}/${adults}adults${children ? `/${children}children-${child_ages.join('-')}` : ''}${rooms > 1 ? `/${rooms}rooms` : ''}`;
+        case 'hotels.com': {
+            // Fix Hotels.com URL format and add proper encoding
+            const hotelEncoded = encodeURIComponent(hotelSearch);
+            const roomParams = guests.map((room, index) =>
+                `&q-room-${index}-adults=${room.adults}&q-room-${index}-children=${room.child_ages.length}` +
+                room.child_ages.map((age, childIndex) => `&q-room-${index}-child-${childIndex}-age=${age}`).join('')
+            ).join('');
+            return `https://www.hotels.com/search.do?q-destination=${hotelEncoded}&q-check-in=${checkin}&q-check-out=${checkout}&q-rooms=${rooms}${roomParams}`;
+        }
+        default:
+            // For unknown sites, create a generic Google search
+            return `https://www.google.com/search?q="${hotelSearch}"+hotel+booking+${checkin}+${checkout}+${adults}+adults+site:${result.site.toLowerCase().replace(/[^a-z]/g, '')}.com`;
+    }
+}
+
+module.exports = {
+    TEMPLATE_PLACEHOLDERS,
+    getDefaultCheckIn,
+    getDefaultCheckOut,
+    formatRoomChildren,
+    buildLinkParams,
+    renderLinkTemplate,
+    unknownPlaceholders,
+    generateDirectLink
+};
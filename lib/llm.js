@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const admin = require('firebase-admin');
+const { todayISO } = require('./dates');
+
+// Shared Gemini client: per-task model lists with fallback, jittered retries on 429/503 (all within one
+// wall-clock limit per request), token usage and cost tracking against a daily budget, and record/replay of responses.
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const USAGE_COLLECTION = 'llmUsage';
+
+// First model is preferred, the rest are fallbacks. Override with GEMINI_<TASK>_MODELS (comma separated).
+const DEFAULT_MODELS = {
+    search: ['gemini-1.5-pro-latest', 'gemini-1.5-flash-latest'],
+    extract: ['gemini-1.5-flash-latest', 'gemini-1.5-pro-latest']
+};
+
+// USD per 1M tokens; unknown models are costed with the most expensive entry so budgets stay conservative
+const DEFAULT_PRICING = {
+    'gemini-1.5-pro-latest': { input: 1.25, output: 5.00 },
+    'gemini-1.5-flash-latest': { input: 0.075, output: 0.30 }
+};
+
+const RETRYABLE_STATUSES = [429, 500, 503];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED'];
+
+// Wall-clock limit for one generate() call across every retry and fallback model (LLM_TOTAL_TIMEOUT_MS)
+const DEFAULT_TOTAL_TIMEOUT_MS = 60000;
+
+function modelsFromEnv(task) {
+    const configured = process.env[`GEMINI_${task.toUpperCase()}_MODELS`];
+    if (!configured) return DEFAULT_MODELS[task] || DEFAULT_MODELS.search;
+    return configured.split(',').map(model => model.trim()).filter(Boolean);
+}
+
+function isRetryable(error) {
+    return RETRYABLE_STATUSES.includes(error.response?.status) || RETRYABLE_CODES.includes(error.code);
+}
+
+// Worth trying the next model: overloaded/rate limited, or this model does not exist (any more)
+function shouldFallBack(error) {
+    return isRetryable(error) || error.response?.status === 404;
+}
+
+// Full jitter: a random delay up to base * 2^attempt, or the server's Retry-After when it sends one
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, error) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function costOf(model, usage, pricing) {
+    const rates = pricing[model] || Object.values(pricing).reduce((max, rate) => (rate.output > max.output ? rate : max));
+    return (usage.prompt_tokens * rates.input + usage.output_tokens * rates.output) / 1e6;
+}
+
+function readUsage(data) {
+    const metadata = data?.usageMetadata || {};
+    return {
+        prompt_tokens: metadata.promptTokenCount || 0,
+        output_tokens: metadata.candidatesTokenCount || 0,
+        total_tokens: metadata.totalTokenCount || 0
+    };
+}
+
+// Every text part of the candidate; Gemini may split one answer over several parts
+function candidateText(candidate) {
+    const texts = (candidate?.content?.parts || []).map(part => part.text).filter(text => typeof text === 'string');
+    return texts.join('') || null;
+}
+
+function llmError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// ---------- Usage stores (daily totals per instance or shared through Firestore) ----------
+
+function createMemoryUsageStore() {
+    const days = new Map();
+    return {
+        name: 'memory',
+        async get(date) {
+            return days.get(date) || { cost_usd: 0, total_tokens: 0, requests: 0 };
+        },
+        async add(date, { cost_usd, total_tokens }) {
+            const current = days.get(date) || { cost_usd: 0, total_tokens: 0, requests: 0 };
+            days.set(date, {
+                cost_usd: current.cost_usd + cost_usd,
+                total_tokens: current.total_tokens + total_tokens,
+                requests: current.requests + 1
+            });
+        }
+    };
+}
+
+function createFirestoreUsageStore(db, { collection = USAGE_COLLECTION } = {}) {
+    return {
+        name: 'firestore',
+        async get(date) {
+            const doc = await db.collection(collection).doc(date).get();
+            return doc.exists ? doc.data() : { cost_usd: 0, total_tokens: 0, requests: 0 };
+        },
+        async add(date, { cost_usd, total_tokens }) {
+            const increment = admin.firestore.FieldValue.increment;
+            await db.collection(collection).doc(date).set({
+                cost_usd: increment(cost_usd),
+                total_tokens: increment(total_tokens),
+                requests: increment(1)
+            }, { merge: true });
+        }
+    };
+}
+
+// ---------- Record / replay ----------
+
+// Fixture key: the request without the model, so a replay works whichever model answered when recording
+function fixtureKey(task, payload) {
+    return crypto.createHash('sha256').update(JSON.stringify({ task, payload })).digest('hex').slice(0, 32);
+}
+
+// mode: live (default), record (call the API and save every response) or replay (fixtures only, never the network)
+function createRecorder({ mode = 'live', dir = null } = {}) {
+    if (mode !== 'live' && !dir) throw new Error(`LLM_MODE=${mode} needs LLM_FIXTURES_DIR`);
+
+    const fileFor = (task, payload) => path.join(dir, `${task}-${fixtureKey(task, payload)}.json`);
+
+    return {
+        mode,
+        async replay(task, payload) {
+            const file = fileFor(task, payload);
+            try {
+                return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') throw llmError('LLM_FIXTURE_MISSING', `No recorded response for this ${task} request (${path.basename(file)})`);
+                throw error;
+            }
+        },
+        async record(task, payload, recorded) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(fileFor(task, payload), JSON.stringify(recorded, null, 2));
+        }
+    };
+}
+
+// ---------- Client ----------
+
+function createLlmClient({
+    apiKey = process.env.GEMINI_API_KEY,
+    models = modelsFromEnv,
+    pricing = DEFAULT_PRICING,
+    dailyBudgetUsd = Number(process.env.LLM_DAILY_BUDGET_USD) || null,
+    usageStore = createMemoryUsageStore(),
+    recorder = createRecorder({ mode: process.env.LLM_MODE || 'live', dir: process.env.LLM_FIXTURES_DIR }),
+    maxRetries = Number(process.env.LLM_MAX_RETRIES ?? 2),
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    totalTimeoutMs = Number(process.env.LLM_TOTAL_TIMEOUT_MS) || DEFAULT_TOTAL_TIMEOUT_MS,
+    http = axios
+} = {}) {
+    const retry = { baseDelayMs, maxDelayMs };
+
+    function timeoutError(task) {
+        return llmError('LLM_TIMEOUT', `The ${task} request did not finish within ${totalTimeoutMs}ms`);
+    }
+
+    async function checkBudget() {
+        if (!dailyBudgetUsd) return;
+        const spent = await usageStore.get(todayISO());
+        if (spent.cost_usd >= dailyBudgetUsd) {
+            throw llmError('LLM_BUDGET_EXCEEDED', `Daily LLM budget of $${dailyBudgetUsd} reached ($${spent.cost_usd.toFixed(4)} spent)`);
+        }
+    }
+
+    // Each attempt gets at most the time left before the deadline; a retry that can't start in time isn't made
+    async function callModel(model, payload, { timeout, deadline, signal }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const remaining = Math.max(1, deadline - Date.now());
+                const response = await http.post(`${API_BASE}/${model}:generateContent?key=${apiKey}`, payload, { timeout: Math.min(timeout, remaining), signal });
+                return response.data;
+            } catch (error) {
+                if (!isRetryable(error) || attempt >= maxRetries) throw error;
+                const delay = backoffDelay(attempt, retry, error);
+                if (Date.now() + delay >= deadline) throw error;
+                console.warn(`🔁 ${model} failed (${error.response?.status || error.code}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+                await sleep(delay);
+                signal?.throwIfAborted();
+            }
+        }
+    }
+
+    // task: 'search' | 'extract' (selects the model list); payload: the generateContent body; signal: an AbortSignal
+    // that cancels the request, retries and fallback
+    // Returns { text, candidate, model, usage: { prompt_tokens, output_tokens, total_tokens, cost_usd }, replayed }
+    async function generate(task, payload, { timeout = 30000, signal } = {}) {
+        let data;
+        let model;
+
+        if (recorder.mode === 'replay') {
+            ({ model, data } = await recorder.replay(task, payload));
+        } else {
+            if (!apiKey) throw llmError('LLM_NOT_CONFIGURED', 'GEMINI_API_KEY is not set');
+            await checkBudget();
+
+            const deadline = Date.now() + totalTimeoutMs;
+            const candidates = typeof models === 'function' ? models(task) : models[task];
+            let lastError;
+            for (const candidateModel of candidates) {
+                if (Date.now() >= deadline) throw timeoutError(task);
+                signal?.throwIfAborted();
+                try {
+                    data = await callModel(candidateModel, payload, { timeout, deadline, signal });
+                    model = candidateModel;
+                    break;
+                } catch (error) {
+                    lastError = error;
+                    if (!shouldFallBack(error)) throw error;
+                    console.warn(`⚠️ ${candidateModel} unavailable (${error.response?.status || error.code}), trying the next model`);
+                }
+            }
+            if (!data) throw lastError;
+
+            if (recorder.mode === 'record') {
+                await recorder.record(task, payload, { model, data });
+            }
+        }
+
+        const usage = readUsage(data);
+        usage.cost_usd = costOf(model, usage, pricing);
+        if (recorder.mode !== 'replay') {
+            usageStore.add(todayISO(), usage).catch(error => console.error('⚠️ Failed to record LLM usage:', error.message));
+        }
+        console.log(`🧮 ${task} via ${model}: ${usage.total_tokens} tokens ($${usage.cost_usd.toFixed(5)})`);
+
+        const candidate = data?.candidates?.[0];
+        return {
+            text: candidateText(candidate),
+            candidate,
+            model,
+            usage,
+            replayed: recorder.mode === 'replay'
+        };
+    }
+
+    return {
+        generate,
+        isAvailable: () => Boolean(apiKey) || recorder.mode === 'replay',
+        getUsage: (date = todayISO()) => usageStore.get(date),
+        dailyBudgetUsd
+    };
+}
+
+// LLM_USAGE_BACKEND=firestore shares the daily budget between instances (falls back to memory without db)
+function createDefaultLlmClient(db, options = {}) {
+    const usageStore = process.env.LLM_USAGE_BACKEND === 'firestore' && db ?
+        createFirestoreUsageStore(db) :
+        createMemoryUsageStore();
+    return createLlmClient({ usageStore, ...options });
+}
+
+module.exports = {
+    DEFAULT_MODELS,
+    DEFAULT_PRICING,
+    DEFAULT_TOTAL_TIMEOUT_MS,
+    USAGE_COLLECTION,
+    createLlmClient,
+    createDefaultLlmClient,
+    createMemoryUsageStore,
+    createFirestoreUsageStore,
+    createRecorder,
+    fixtureKey
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const { errorBody, localize } = require('./i18n');
+const { verifiedEmail } = require('./notifications');
+
+// Express middleware shared by the route modules in lib/routes
+
+// Multipart uploads (forwarded .eml files, PDFs, screenshots) are kept in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Routes for signed-in users only (run after verifyFirebaseToken). Error texts follow req.locale (see lib/i18n.js).
+const requireUser = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json(errorBody(req.locale, 'AUTH_REQUIRED'));
+    }
+    next();
+};
+
+// Admin-only routes: Firebase custom claim admin=true, or a verified email listed in ADMIN_EMAILS (comma separated).
+// Anyone can sign up with an admin's address, so an unverified email never counts.
+const requireAdmin = (req, res, next) => {
+    if (!req.user) {
+        return requireUser(req, res, next);
+    }
+    const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+    const email = verifiedEmail(req.user);
+    if (req.user.admin !== true && !(email && adminEmails.includes(email.toLowerCase()))) {
+        return res.status(403).json(errorBody(req.locale, 'ADMIN_REQUIRED'));
+    }
+    next();
+};
+
+// "Authorization: Bearer <secret>" check in constant time (hashed first so the lengths always match)
+function hasBearerSecret(req, secret) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(req.headers.authorization || ''), digest(`Bearer ${secret}`));
+}
+
+// Vercel Cron sends "Authorization: Bearer <CRON_SECRET>" when CRON_SECRET is set
+const verifyCronSecret = (req, res, next) => {
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret) {
+        if (process.env.VERCEL) {
+            return res.status(500).json(errorBody(req.locale, 'CRON_NOT_CONFIGURED'));
+        }
+        return next();
+    }
+    if (!hasBearerSecret(req, cronSecret)) {
+        return res.status(401).json(errorBody(req.locale, 'CRON_UNAUTHORIZED'));
+    }
+    next();
+};
+
+// Allowlist entry -> RegExp; "*" matches one or more subdomain labels
+function originPattern(origin) {
+    const escaped = origin.split('*').map(part => part.replace(/[.+?^$()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`, 'i');
+}
+
+// CORS: CORS_ORIGINS is a comma-separated allowlist ("https://app.example.com,https://*.vercel.app").
+// Without it any origin may call the API, but without credentials (the API uses Bearer tokens, not cookies).
+function createCorsOptions(allowlist = process.env.CORS_ORIGINS) {
+    const common = {
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization'],
+        exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+        optionsSuccessStatus: 200
+    };
+    const origins = (allowlist || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+    if (origins.length === 0) {
+        if (process.env.NODE_ENV === 'production') {
+            console.warn('⚠️ CORS_ORIGINS is not set - any origin can call the API');
+        }
+        return { ...common, origin: true, credentials: false };
+    }
+
+    const patterns = origins.map(originPattern);
+    return {
+        ...common,
+        origin: (origin, callback) => callback(null, !origin || patterns.some(pattern => pattern.test(origin))),
+        credentials: true
+    };
+}
+
+// Middleware bound to the app's datastore, token verifier and rate limiter
+function createMiddleware({ db, authVerifier, rateLimiter }) {
+    // Verify the Firebase ID token (or a mock token, see lib/auth.js). Without a token req.user is null and
+    // the route decides (requireUser); a token that is present but invalid or expired is rejected with 401.
+    const verifyFirebaseToken = async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            req.user = null;
+            return next();
+        }
+        const idToken = authHeader.slice('Bearer '.length).trim();
+        try {
+            req.user = await authVerifier.verifyIdToken(idToken);
+        } catch (error) {
+            req.user = null;
+            if (error.code === 'auth/not-configured') {
+                return res.status(503).json(errorBody(req.locale, 'AUTH_UNAVAILABLE'));
+            }
+            const expired = error.code === 'auth/id-token-expired';
+            return res.status(401)
+                .set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${expired ? 'expired' : 'invalid'}"`)
+                .json(errorBody(req.locale, expired ? 'AUTH_TOKEN_EXPIRED' : 'AUTH_TOKEN_INVALID'));
+        }
+        next();
+    };
+
+    // Routes that store data answer 503 when no datastore is configured
+    const requireStorage = (req, res, next) => {
+        if (!db) {
+            return res.status(503).json(errorBody(req.locale, 'STORAGE_UNAVAILABLE'));
+        }
+        next();
+    };
+
+    // Per-rule request limits (lib/rateLimit.js); without a limiter every request is let through
+    const rateLimit = name => (rateLimiter ? rateLimiter.middleware(name) : (req, res, next) => next());
+
+    return { localize, verifyFirebaseToken, requireUser, requireStorage, requireAdmin, verifyCronSecret, rateLimit, upload };
+}
+
+module.exports = {
+    upload,
+    requireUser,
+    requireAdmin,
+    hasBearerSecret,
+    verifyCronSecret,
+    createCorsOptions,
+    createMiddleware
+};
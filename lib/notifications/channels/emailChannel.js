@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+
+// SMTP email channel - configured through SMTP_* environment variables
+function createEmailChannel({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT, 10) || 587,
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.ALERT_FROM_EMAIL || process.env.SMTP_USER,
+    transport
+} = {}) {
+    let transporter = transport || null;
+
+    function getTransporter() {
+        if (!transporter) {
+            transporter = nodemailer.createTransport({
+                host,
+                port,
+                secure: port === 465,
+                auth: user ? { user, pass } : undefined
+            });
+        }
+        return transporter;
+    }
+
+    return {
+        name: 'email',
+        isConfigured: () => Boolean(transport || host),
+        async send(alert) {
+            if (!alert.recipient?.email) {
+                throw new Error('No email address for this booking');
+            }
+            const info = await getTransporter().sendMail({
+                from,
+                to: alert.recipient.email,
+                subject: alert.subject,
+                text: alert.text
+            });
+            return { delivered: true, messageId: info.messageId };
+        }
+    };
+}
+
+module.exports = { createEmailChannel };
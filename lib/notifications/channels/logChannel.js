@@ -0,0 +1,26 @@
+const fs = require('fs');
+
+// Alerts kept in `sent` (the newest ones)
+const MAX_SENT = 100;
+
+// Test channel: writes alerts to the console (and to ALERT_LOG_FILE when set)
+function createLogChannel({ logFile = process.env.ALERT_LOG_FILE } = {}) {
+    const sent = [];
+
+    return {
+        name: 'log',
+        sent,
+        isConfigured: () => true,
+        async send(alert) {
+            sent.push(alert);
+            if (sent.length > MAX_SENT) sent.splice(0, sent.length - MAX_SENT);
+            console.log(`📣 [alert:log] ${alert.subject} - ${alert.text}`);
+            if (logFile) {
+                await fs.promises.appendFile(logFile, JSON.stringify({ ...alert, loggedAt: new Date().toISOString() }) + '\n');
+            }
+            return { delivered: true };
+        }
+    };
+}
+
+module.exports = { createLogChannel };
@@ -0,0 +1,76 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Webhook URLs come from users, so the server must not be pointed at internal hosts: every address the
+// host resolves to has to be public, the connection uses the checked address and redirects are not followed
+// (separate lists: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 ranges)
+const BLOCKED_RANGES = { 4: new net.BlockList(), 6: new net.BlockList() };
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES[4].addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES[6].addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_RANGES[family].check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedAddressError(hostname, address) {
+    const error = new Error(`Webhook host ${hostname} resolves to a non-public address (${address})`);
+    error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+    return error;
+}
+
+// dns.lookup for the webhook agent: fails unless every resolved address is public
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Generic HTTPS webhook channel - posts the alert as JSON, signed when ALERT_WEBHOOK_SECRET is set
+function createWebhookChannel({ secret = process.env.ALERT_WEBHOOK_SECRET, timeout = 10000, lookup = publicLookup } = {}) {
+    const httpsAgent = new https.Agent({ lookup });
+
+    return {
+        name: 'webhook',
+        isConfigured: () => true,
+        async send(alert) {
+            const url = alert.recipient?.webhookUrl;
+            if (!url || !url.startsWith('https://')) {
+                throw new Error('No HTTPS webhook URL for this booking');
+            }
+            // IP literals are connected to without a lookup
+            const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+                throw blockedAddressError(hostname, hostname);
+            }
+
+            const body = JSON.stringify({
+                event: 'price_drop',
+                subject: alert.subject,
+                ...alert.payload
+            });
+            const headers = { 'Content-Type': 'application/json' };
+            if (secret) {
+                headers['X-PriceDrop-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+            }
+
+            const response = await axios.post(url, body, { headers, timeout, httpsAgent, maxRedirects: 0, proxy: false });
+            return { delivered: true, status: response.status };
+        }
+    };
+}
+
+module.exports = { createWebhookChannel, isPublicAddress, publicLookup };
@@ -0,0 +1,212 @@
+const admin = require('firebase-admin');
+const { toMillis } = require('../dates');
+const { translate } = require('../i18n');
+const { createEmailChannel } = require('./channels/emailChannel');
+const { createWebhookChannel } = require('./channels/webhookChannel');
+const { createLogChannel } = require('./channels/logChannel');
+
+const ALERTS_COLLECTION = 'alerts';
+const CHANNEL_NAMES = ['email', 'webhook', 'log'];
+
+const DEFAULT_ALERT_PREFERENCES = {
+    enabled: true,
+    channels: ['email'],
+    email: null,
+    webhookUrl: null,
+    minDropAmount: 0,
+    minDropPercent: 0,
+    quietPeriodHours: 24
+};
+
+// The signed-in user's email if Firebase has verified it, else null
+function verifiedEmail(user) {
+    return user?.email && user.email_verified === true ? user.email : null;
+}
+
+// Validate user-supplied alert preferences and merge them over the current ones. Alerts only go to the
+// account's verified email (options.verifiedEmail), so nobody can have us mail an address they don't own.
+function normalizeAlertPreferences(input = {}, current = DEFAULT_ALERT_PREFERENCES, { verifiedEmail = null } = {}) {
+    const errors = [];
+    const preferences = { ...DEFAULT_ALERT_PREFERENCES, ...current };
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { preferences, errors: ['alertPreferences must be an object'] };
+    }
+
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') errors.push('enabled must be true or false');
+        else preferences.enabled = input.enabled;
+    }
+
+    if (input.channels !== undefined) {
+        const unknown = Array.isArray(input.channels) ? input.channels.filter(c => !CHANNEL_NAMES.includes(c)) : null;
+        if (!unknown) errors.push('channels must be an array');
+        else if (unknown.length > 0) errors.push(`Unknown channels: ${unknown.join(', ')}`);
+        else preferences.channels = [...new Set(input.channels)];
+    }
+
+    if (input.email !== undefined) {
+        if (input.email !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email)) errors.push('email is not a valid address');
+        else if (input.email !== null && input.email.toLowerCase() !== verifiedEmail?.toLowerCase()) errors.push('email must be your account\'s verified email address');
+        else preferences.email = input.email;
+    }
+
+    if (input.webhookUrl !== undefined) {
+        if (input.webhookUrl !== null && !/^https:\/\/\S+$/.test(input.webhookUrl)) errors.push('webhookUrl must be an https:// URL');
+        else preferences.webhookUrl = input.webhookUrl;
+    }
+
+    for (const field of ['minDropAmount', 'minDropPercent', 'quietPeriodHours']) {
+        if (input[field] === undefined) continue;
+        const value = Number(input[field]);
+        if (input[field] === null || isNaN(value) || value < 0) errors.push(`${field} must be a non-negative number`);
+        else preferences[field] = value;
+    }
+
+    if (preferences.minDropPercent > 100) errors.push('minDropPercent cannot exceed 100');
+    if (preferences.channels.includes('webhook') && !preferences.webhookUrl) errors.push('webhookUrl is required for the webhook channel');
+
+    return { preferences, errors };
+}
+
+// Decide whether a re-checked price should trigger an alert for this booking
+function shouldNotify(booking, price, now = Date.now()) {
+    const preferences = { ...DEFAULT_ALERT_PREFERENCES, ...(booking.alertPreferences || {}) };
+    const originalPrice = Number(booking.original_price);
+
+    if (!preferences.enabled) return { notify: false, reason: 'alerts_disabled' };
+    if (!originalPrice || typeof price !== 'number') return { notify: false, reason: 'missing_price' };
+
+    const dropAmount = originalPrice - price;
+    const dropPercent = (dropAmount / originalPrice) * 100;
+    if (dropAmount <= 0) return { notify: false, reason: 'no_drop' };
+
+    // Any configured threshold that is exceeded is enough; with none configured every drop counts
+    const amountMet = preferences.minDropAmount > 0 && dropAmount > preferences.minDropAmount;
+    const percentMet = preferences.minDropPercent > 0 && dropPercent > preferences.minDropPercent;
+    const noThreshold = !(preferences.minDropAmount > 0) && !(preferences.minDropPercent > 0);
+    if (!amountMet && !percentMet && !noThreshold) return { notify: false, reason: 'below_threshold' };
+
+    // Suppress duplicates: never alert twice for the same (or a higher) price
+    if (typeof booking.lastAlertPrice === 'number' && price >= booking.lastAlertPrice) {
+        return { notify: false, reason: 'duplicate_price' };
+    }
+
+    const lastAlertAt = toMillis(booking.lastAlertAt);
+    if (lastAlertAt && now - lastAlertAt < preferences.quietPeriodHours * 60 * 60 * 1000) {
+        return { notify: false, reason: 'quiet_period' };
+    }
+
+    return { notify: true, dropAmount, dropPercent: Math.round(dropPercent * 10) / 10 };
+}
+
+// Alert texts are in the booking's locale (bookings tracked before locales existed get the default)
+function buildAlert(bookingId, booking, result, drop) {
+    const currency = booking.currency || 'ILS';
+    const preferences = { ...DEFAULT_ALERT_PREFERENCES, ...(booking.alertPreferences || {}) };
+
+    return {
+        bookingId,
+        subject: translate(booking.locale, 'alerts.price_drop.subject', { hotel: booking.hotel_name }),
+        text: translate(booking.locale, 'alerts.price_drop.text', {
+            hotel: booking.hotel_name,
+            check_in: booking.check_in_date,
+            check_out: booking.check_out_date,
+            price: result.price,
+            currency,
+            site: result.site,
+            amount: drop.dropAmount,
+            percent: drop.dropPercent,
+            original_price: booking.original_price
+        }) + (result.direct_link ? `\n${result.direct_link}` : ''),
+        recipient: {
+            email: preferences.email || booking.userEmail || null,
+            webhookUrl: preferences.webhookUrl
+        },
+        payload: {
+            bookingId,
+            hotel_name: booking.hotel_name,
+            check_in_date: booking.check_in_date,
+            check_out_date: booking.check_out_date,
+            original_price: booking.original_price,
+            new_price: result.price,
+            currency,
+            site: result.site,
+            link: result.direct_link || null,
+            savings: drop.dropAmount,
+            savings_percent: drop.dropPercent
+        }
+    };
+}
+
+function createDefaultChannels() {
+    return {
+        email: createEmailChannel(),
+        webhook: createWebhookChannel(),
+        log: createLogChannel()
+    };
+}
+
+// Price-drop notifier: evaluates a re-check result and fans the alert out to the booking's channels
+function createNotifier({ db, channels = createDefaultChannels() } = {}) {
+    async function notifyPriceDrop(doc, result) {
+        const booking = doc.data();
+        const drop = shouldNotify(booking, result.price);
+        if (!drop.notify) {
+            return { sent: false, reason: drop.reason };
+        }
+
+        const alert = buildAlert(doc.id, booking, result, drop);
+        const preferences = { ...DEFAULT_ALERT_PREFERENCES, ...(booking.alertPreferences || {}) };
+        const deliveries = [];
+
+        for (const name of preferences.channels) {
+            const channel = channels[name];
+            if (!channel || !channel.isConfigured()) {
+                deliveries.push({ channel: name, delivered: false, error: 'Channel not configured' });
+                continue;
+            }
+            try {
+                const outcome = await channel.send(alert);
+                deliveries.push({ channel: name, ...outcome });
+            } catch (error) {
+                console.error(`❌ Alert delivery via ${name} failed for ${doc.id}:`, error.message);
+                deliveries.push({ channel: name, delivered: false, error: error.message });
+            }
+        }
+
+        const delivered = deliveries.some(d => d.delivered);
+        if (db) {
+            const batch = db.batch();
+            batch.set(doc.ref.collection(ALERTS_COLLECTION).doc(), {
+                price: result.price,
+                site: result.site || null,
+                savings: drop.dropAmount,
+                deliveries,
+                sentAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            if (delivered) {
+                batch.update(doc.ref, {
+                    lastAlertPrice: result.price,
+                    lastAlertAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            await batch.commit();
+        }
+
+        console.log(`📣 Price-drop alert for ${doc.id}: ${delivered ? 'delivered' : 'not delivered'}`);
+        return { sent: delivered, deliveries };
+    }
+
+    return { notifyPriceDrop };
+}
+
+module.exports = {
+    ALERTS_COLLECTION,
+    CHANNEL_NAMES,
+    DEFAULT_ALERT_PREFERENCES,
+    createNotifier,
+    normalizeAlertPreferences,
+    shouldNotify,
+    verifiedEmail
+};
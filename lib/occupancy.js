@@ -0,0 +1,64 @@
+// Occupancy (rooms, adults, child ages) shared by the search prompts, providers and deep links
+
+const DEFAULT_OCCUPANCY = { rooms: 1, adults: 2, children: 0, child_ages: [] };
+
+// Sites need an age per child; when the booking only says how many children, assume this age
+const DEFAULT_CHILD_AGE = 8;
+
+// Largest booking we search for (what the booking sites accept); validation rejects anything above
+const MAX_OCCUPANCY = { rooms: 9, adults: 30, children: 10 };
+
+// Build the occupancy from bookingData (num_rooms / adults / children / child_ages).
+// Counts are clamped to MAX_OCCUPANCY so data that skipped validation can't build huge room lists.
+function normalizeOccupancy(bookingData = {}) {
+    const rooms = Number.isInteger(bookingData.num_rooms) && bookingData.num_rooms > 0 ?
+        Math.min(bookingData.num_rooms, MAX_OCCUPANCY.rooms) : DEFAULT_OCCUPANCY.rooms;
+    const adults = Number.isInteger(bookingData.adults) && bookingData.adults > 0 ?
+        Math.min(bookingData.adults, MAX_OCCUPANCY.adults) : DEFAULT_OCCUPANCY.adults;
+    const knownAges = Array.isArray(bookingData.child_ages) ?
+        bookingData.child_ages.slice(0, MAX_OCCUPANCY.children).filter(Number.isInteger) : [];
+    const children = Math.min(
+        Math.max(Number.isInteger(bookingData.children) ? bookingData.children : 0, knownAges.length),
+        MAX_OCCUPANCY.children
+    );
+
+    const childAges = [...knownAges];
+    while (childAges.length < children) childAges.push(DEFAULT_CHILD_AGE);
+
+    return {
+        rooms,
+        adults,
+        children,
+        child_ages: childAges,
+        child_ages_assumed: knownAges.length < children
+    };
+}
+
+// Spread guests over the rooms as evenly as possible: [{ adults, child_ages }]
+function distributeGuests(occupancy) {
+    const rooms = Array.from({ length: occupancy.rooms }, () => ({ adults: 0, child_ages: [] }));
+    for (let i = 0; i < occupancy.adults; i++) rooms[i % rooms.length].adults++;
+    occupancy.child_ages.forEach((age, i) => rooms[i % rooms.length].child_ages.push(age));
+    return rooms;
+}
+
+// "2 rooms, 4 adults, 2 children (ages 5, 7)" - used in the Gemini prompts and logs
+function describeOccupancy(occupancy) {
+    const parts = [
+        `${occupancy.rooms} room${occupancy.rooms === 1 ? '' : 's'}`,
+        `${occupancy.adults} adult${occupancy.adults === 1 ? '' : 's'}`
+    ];
+    if (occupancy.children > 0) {
+        parts.push(`${occupancy.children} child${occupancy.children === 1 ? '' : 'ren'} (ages ${occupancy.child_ages.join(', ')})`);
+    }
+    return parts.join(', ');
+}
+
+module.exports = {
+    DEFAULT_OCCUPANCY,
+    DEFAULT_CHILD_AGE,
+    MAX_OCCUPANCY,
+    normalizeOccupancy,
+    distributeGuests,
+    describeOccupancy
+};
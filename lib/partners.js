@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const { buildLinkParams, renderLinkTemplate, unknownPlaceholders, generateDirectLink } = require('./links');
+
+// CJ Affiliate partner registry: name, CJ IDs, tracking base URL, deep-link template, enabled flag, commission.
+// Partners come from data/partners.json (PARTNERS_FILE) overlaid with the "partners" Firestore collection,
+// so an admin edit in Firestore wins over the bundled defaults.
+
+const PARTNERS_COLLECTION = 'partners';
+const DEFAULT_PARTNERS_FILE = path.join(__dirname, '..', 'data', 'partners.json');
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const EDITABLE_FIELDS = ['name', 'cjId', 'cjWebsiteId', 'baseUrl', 'deepLinkTemplate', 'siteAliases', 'commissionRate', 'enabled'];
+
+function isHttpsUrl(value) {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Validate a new partner (or a partial edit merged onto the current one). Returns { partner, errors }.
+function normalizePartner(input = {}, current = null) {
+    const errors = [];
+    const partner = { ...(current || {}) };
+
+    if (!current) {
+        if (typeof input.id !== 'string' || !/^[a-z0-9_]{2,40}$/.test(input.id)) {
+            errors.push('id must be 2-40 lowercase letters, digits or underscores');
+        }
+        partner.id = input.id;
+    }
+
+    for (const field of Object.keys(input)) {
+        if (field !== 'id' && !EDITABLE_FIELDS.includes(field)) errors.push(`${field} is not a partner field`);
+    }
+    for (const field of EDITABLE_FIELDS) {
+        if (input[field] !== undefined) partner[field] = input[field];
+    }
+
+    if (typeof partner.name !== 'string' || !partner.name.trim()) errors.push('name is required');
+    if (!/^\d+$/.test(String(partner.cjId ?? ''))) errors.push('cjId must be a numeric CJ advertiser ID');
+    if (partner.cjWebsiteId != null && !/^\d+$/.test(String(partner.cjWebsiteId))) errors.push('cjWebsiteId must be numeric');
+    if (!isHttpsUrl(partner.baseUrl)) errors.push('baseUrl must be an https URL');
+    if (typeof partner.deepLinkTemplate !== 'string' || !isHttpsUrl(partner.deepLinkTemplate.replace(/\[[^\]]*\]|\{\w+\}/g, 'x'))) {
+        errors.push('deepLinkTemplate must be an https URL template');
+    } else {
+        const unknown = unknownPlaceholders(partner.deepLinkTemplate);
+        if (unknown.length > 0) errors.push(`deepLinkTemplate has unknown placeholders: ${unknown.join(', ')}`);
+    }
+    if (partner.siteAliases !== undefined && (!Array.isArray(partner.siteAliases) || !partner.siteAliases.every(alias => typeof alias === 'string' && alias.trim()))) {
+        errors.push('siteAliases must be a list of site names');
+    }
+    if (partner.commissionRate != null && !(typeof partner.commissionRate === 'number' && partner.commissionRate >= 0 && partner.commissionRate <= 1)) {
+        errors.push('commissionRate must be a fraction between 0 and 1');
+    }
+    if (partner.enabled !== undefined && typeof partner.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+    if (errors.length > 0) return { partner: null, errors };
+
+    return {
+        partner: {
+            ...partner,
+            name: partner.name.trim(),
+            cjId: String(partner.cjId),
+            cjWebsiteId: partner.cjWebsiteId != null ? String(partner.cjWebsiteId) : null,
+            siteAliases: (partner.siteAliases || [partner.name]).map(alias => alias.trim().toLowerCase()),
+            commissionRate: partner.commissionRate ?? null,
+            enabled: partner.enabled !== false
+        },
+        errors
+    };
+}
+
+function loadPartnersFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`⚠️ Could not read partners file ${filePath}:`, error.message);
+        return [];
+    }
+}
+
+// Registry with a synchronous in-memory view (providers and link builders read it on every search)
+// that is refreshed from Firestore at most once per refreshIntervalMs.
+function createPartnerRegistry({
+    db = null,
+    filePath = process.env.PARTNERS_FILE || DEFAULT_PARTNERS_FILE,
+    refreshIntervalMs = REFRESH_INTERVAL_MS
+} = {}) {
+    const defaults = new Map(loadPartnersFile(filePath).map(raw => [raw.id, normalizePartner(raw).partner]).filter(([, partner]) => partner));
+    let overrides = new Map();
+    let loadedAt = 0;
+    let pending = null;
+
+    function all() {
+        return new Map([...defaults, ...overrides]);
+    }
+
+    // Pull Firestore overrides; failures keep the last known view
+    async function refresh({ force = false } = {}) {
+        if (!db || (!force && Date.now() - loadedAt < refreshIntervalMs)) return;
+        if (!pending) {
+            pending = db.collection(PARTNERS_COLLECTION).get()
+                .then(snapshot => {
+                    const next = new Map();
+                    snapshot.forEach(doc => {
+                        const { partner } = normalizePartner({ id: doc.id, ...stripMeta(doc.data()) });
+                        if (partner) next.set(doc.id, partner);
+                    });
+                    overrides = next;
+                    loadedAt = Date.now();
+                })
+                .catch(error => console.error('⚠️ Failed to load partners from Firestore:', error.message))
+                .finally(() => { pending = null; });
+        }
+        await pending;
+    }
+
+    function stripMeta(data) {
+        const { updatedAt, ...partner } = data;
+        return partner;
+    }
+
+    async function save(partner) {
+        if (db) {
+            await db.collection(PARTNERS_COLLECTION).doc(partner.id).set({
+                ...partner,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            console.warn(`⚠️ No Firestore - partner ${partner.id} change is kept in memory only`);
+        }
+        overrides.set(partner.id, partner);
+    }
+
+    function list({ includeDisabled = false } = {}) {
+        return [...all().values()].filter(partner => includeDisabled || partner.enabled);
+    }
+
+    function get(id) {
+        return all().get(id) || null;
+    }
+
+    function getEnabled(id) {
+        const partner = get(id);
+        return partner && partner.enabled ? partner : null;
+    }
+
+    // Map a site name returned by a provider to an enabled partner; the longest matching alias wins
+    // ("Address Hotels" is Address Hotels, not Hotels.com)
+    function findBySite(site) {
+        const name = String(site || '').toLowerCase();
+        let best = null;
+        let bestLength = 0;
+        for (const partner of list()) {
+            for (const alias of partner.siteAliases) {
+                if (name.includes(alias) && alias.length > bestLength) {
+                    best = partner;
+                    bestLength = alias.length;
+                }
+            }
+        }
+        return best;
+    }
+
+    // Disabled partners included: their old commissions still need attributing
+    function findByCjId(cjId) {
+        return list({ includeDisabled: true }).find(partner => partner.cjId === String(cjId)) || null;
+    }
+
+    // Returns { partner } or { errors } (errors with status for the admin routes)
+    async function create(input) {
+        await refresh();
+        if (input?.id && get(input.id)) return { errors: [`Partner ${input.id} already exists`], status: 409 };
+        const { partner, errors } = normalizePartner(input);
+        if (errors.length > 0) return { errors, status: 400 };
+        await save(partner);
+        return { partner };
+    }
+
+    async function update(id, patch) {
+        await refresh();
+        const current = get(id);
+        if (!current) return { errors: [`Partner ${id} not found`], status: 404 };
+        const { partner, errors } = normalizePartner(patch, current);
+        if (errors.length > 0) return { errors, status: 400 };
+        await save(partner);
+        return { partner };
+    }
+
+    // Partners are disabled, never deleted, so past clicks and conversions keep their partner
+    function disable(id) {
+        return update(id, { enabled: false });
+    }
+
+    // Affiliate deep link for an enabled partner, or null when the partner is unknown or disabled.
+    // options: { hotel, locale, currency } - the resolved directory record (for templates that link to the
+    // partner's own property page) and the user's language and currency
+    function buildAffiliateLink(partnerId, hotelName, checkIn, checkOut, occupancy, options = {}) {
+        const partner = getEnabled(partnerId);
+        if (!partner) return null;
+        const params = buildLinkParams(hotelName, checkIn, checkOut, occupancy, { ...options, partnerId });
+        const targetUrl = renderLinkTemplate(partner.deepLinkTemplate, params);
+        return `${partner.baseUrl}?url=${encodeURIComponent(targetUrl)}`;
+    }
+
+    // Every outgoing link: the offer's own link when its conditions match, the partner's affiliate link,
+    // or a plain competitor link. Returns { link, is_affiliate }.
+    function buildOfferLink(offer, asPartner, hotelName, checkIn, checkOut, occupancy, options = {}) {
+        if (offer.direct_link && offer.conditions_match) {
+            return { link: offer.direct_link, is_affiliate: asPartner };
+        }
+        const affiliateLink = asPartner ? buildAffiliateLink(offer.partnerId, hotelName, checkIn, checkOut, occupancy, options) : null;
+        if (affiliateLink) {
+            return { link: affiliateLink, is_affiliate: true };
+        }
+        return { link: generateDirectLink(offer, hotelName, checkIn, checkOut, occupancy, options), is_affiliate: false };
+    }
+
+    return {
+        refresh,
+        list,
+        get,
+        getEnabled,
+        findBySite,
+        findByCjId,
+        create,
+        update,
+        disable,
+        buildAffiliateLink,
+        buildOfferLink
+    };
+}
+
+module.exports = {
+    PARTNERS_COLLECTION,
+    normalizePartner,
+    createPartnerRegistry
+};
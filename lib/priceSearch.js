@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const { PROVENANCE, mergeOffers, pickCheapest, isComparable } = require('./providers');
+const { validateBookingData } = require('./validation');
+const { normalizeOccupancy, describeOccupancy } = require('./occupancy');
+const { matchOffers } = require('./conditions');
+const { parseRankingQuery, rankOffers, isRefundable } = require('./ranking');
+const { loadPriceBand, flagImplausibleOffers } = require('./guard');
+const { summarizeHotel, hotelQueryFields } = require('./hotels');
+const { translate } = require('./i18n');
+
+// The price search behind /api/search and /api/search/stream: both provider searches, condition matching,
+// the fairness decision and the ranked offer list with click-out links
+
+// Validate search input shared by /api/search and /api/search/stream (messages in the request's locale)
+// Returns { error: { status, body } } or { bookingData, rankingOptions }
+function parseSearchRequest(bookingData, query, locale) {
+    const validation = validateBookingData(bookingData, { required: true });
+    if (!validation.valid) {
+        return {
+            error: {
+                status: 400,
+                body: {
+                    status: 'INVALID_BOOKING_DATA',
+                    message: translate(locale, 'errors.INVALID_BOOKING_DATA'),
+                    errors: validation.errors
+                }
+            }
+        };
+    }
+    const ranking = parseRankingQuery(query);
+    if (ranking.errors.length > 0) {
+        return {
+            error: {
+                status: 400,
+                body: {
+                    status: 'INVALID_RANKING_OPTIONS',
+                    message: translate(locale, 'errors.INVALID_RANKING_OPTIONS'),
+                    errors: ranking.errors
+                }
+            }
+        };
+    }
+    return { bookingData: validation.value, rankingOptions: ranking.options };
+}
+
+// Provider's own price/currency next to the converted value used for the comparison
+function describePriceConversion(offer) {
+    if (!offer) return null;
+    return {
+        provider_price: offer.provider_price ?? offer.price,
+        provider_currency: offer.provider_currency || offer.currency,
+        currency_assumed: !offer.provider_currency,
+        converted_price: offer.price,
+        currency: offer.currency,
+        rate: offer.fx_rate ?? null,
+        rate_date: offer.fx_rate_date ?? null
+    };
+}
+
+// priceBand: offers priced outside it relative to the original (PRICE_PLAUSIBILITY_BAND) are flagged, never shown.
+// hotelDirectory: narrows the searches and links to the resolved hotel (lib/hotels.js); without it the name is used as-is
+function createPriceSearch({ searchCache, fairnessEngine, partnerRegistry, clickTracker, hotelDirectory = null, priceBand = loadPriceBand() }) {
+    // Dual Search Strategy with the Fairness Rule (as per Business Logic)
+    // emit(event, data) reports each stage as it completes (used by the streaming endpoint); returns the response body
+    // context: { userId, baseUrl } for the click-out links, locale for the texts and provider links, signal (an
+    // AbortSignal) to stop the search when nobody waits for it any more (rejects with the abort reason)
+    async function runPriceSearch(bookingData, rankingOptions, emit = () => {}, context = {}) {
+        const { signal } = context;
+        const searchId = crypto.randomUUID();
+        const t = (key, params) => translate(context.locale, key, params);
+        const { hotel_name, check_in_date, check_out_date, original_price, currency, room_type, free_cancellation, breakfast_included, meal_plan, cancellation_policy } = bookingData;
+        const occupancy = normalizeOccupancy(bookingData);
+
+        // The specific property: the hotel_id the user confirmed, or an unambiguous match for the name
+        const identity = hotelDirectory ? await hotelDirectory.identify(bookingData) : { status: 'not_found', hotel: null };
+        const hotelFields = hotelQueryFields(identity.hotel, hotel_name);
+        const hotelIdentity = { hotel: summarizeHotel(identity.hotel), hotel_resolution: identity.status };
+        // Provider links open the resolved hotel in the user's language, priced in the booking currency
+        const linkOptions = { hotel: identity.hotel, locale: context.locale, currency: currency || 'ILS' };
+
+        console.log('\n=== DUAL SEARCH STRATEGY ===');
+        console.log(`🏨 Hotel: ${hotel_name}${identity.hotel ? ` (${identity.status} as ${identity.hotel.id})` : ''}`);
+        console.log(`📅 Dates: ${check_in_date} to ${check_out_date}`);
+        console.log(`💰 Original Price: ${original_price} ${currency}`);
+        console.log(`🏠 Room Type: ${room_type || 'Not specified'}`);
+        console.log(`👨‍👩‍👧 Occupancy: ${describeOccupancy(occupancy)}`);
+        console.log(`❌ Free Cancellation: ${free_cancellation ? 'YES' : 'NO'}`);
+        console.log(`🍳 Breakfast Included: ${breakfast_included ? 'YES' : 'NO'}`);
+
+        const bookingConditions = {
+            room_type,
+            free_cancellation,
+            breakfast_included,
+            meal_plan,
+            cancellation_policy
+        };
+
+        const searchQuery = {
+            ...hotelFields,
+            check_in_date,
+            check_out_date,
+            currency: currency || 'ILS',
+            occupancy,
+            conditions: bookingConditions
+        };
+
+        // Pick up partner changes made on other instances
+        await partnerRegistry.refresh();
+        signal?.throwIfAborted();
+
+        // One search scope: fetch (through the cache), check conditions, pick the cheapest candidate, report it
+        const runSearch = async (scope, label) => {
+            emit(`${scope}_search_started`, { scope });
+            const search = await searchCache.searchOffers(searchQuery, scope, { signal });
+            const plausible = flagImplausibleOffers(search.offers, original_price, priceBand);
+            const offers = matchOffers(plausible.offers, { ...bookingConditions, check_in_date });
+            const cheapest = pickCheapest(fairnessEngine.filterCandidates(offers));
+
+            if (cheapest) {
+                console.log(`✅ ${label} Result: ${cheapest.site} - ${cheapest.price} ${currency} (${cheapest.provenance}, cache ${search.cache})`);
+            } else {
+                console.log(`⚠️ ${label}: no verifiable price found (cache ${search.cache})`);
+            }
+
+            search.errors.forEach(error => emit('search_error', { type: 'provider_error', fatal: false, scope, ...error }));
+            emit(`${scope}_search_finished`, {
+                scope,
+                cheapest: cheapest ? {
+                    site: cheapest.site,
+                    price: cheapest.price,
+                    currency: cheapest.currency,
+                    provenance: cheapest.provenance,
+                    conditions_match: cheapest.conditions_match
+                } : null,
+                offers_found: offers.length,
+                offers_flagged: plausible.flagged.length,
+                cache: search.cache
+            });
+            return { search, offers, cheapest, flagged: plausible.flagged.map(offer => ({ ...offer, scope })) };
+        };
+
+        // SEARCH A (Broad): cheapest price anywhere on the internet across all broad providers
+        // SEARCH B (Partner-Focused): cheapest price only from partner sites (Gemini, CJ feed, Hotels.com)
+        // Both run in parallel and go through the search cache
+        console.log('\n🔍 Starting Search A (Broad) and Search B (Partners)...');
+        const [broad, partner] = await Promise.all([
+            runSearch('broad', 'Search A'),
+            runSearch('partner', 'Search B')
+        ]);
+        // Nothing is decided or recorded for a search that was abandoned
+        signal?.throwIfAborted();
+        const { search: broadSearch, offers: broadOffers, cheapest: broadSearchResults } = broad;
+        const { search: partnerSearch, offers: partnerOffers, cheapest: partnerSearchResults } = partner;
+
+        const priceVerification = {
+            broad: broadSearchResults ? broadSearchResults.provenance : PROVENANCE.UNAVAILABLE,
+            partner: partnerSearchResults ? partnerSearchResults.provenance : PROVENANCE.UNAVAILABLE,
+            provider_errors: [...broadSearch.errors, ...partnerSearch.errors],
+            flagged_offers: [...broad.flagged, ...partner.flagged],
+            cache: { broad: broadSearch.cache, partner: partnerSearch.cache }
+        };
+
+        // Every offer from both searches, ranked for side-by-side comparison
+        const rankedOffers = rankOffers(
+            buildOfferList(broadOffers, partnerOffers, { hotelFields, linkOptions, check_in_date, check_out_date, original_price, occupancy }),
+            rankingOptions
+        );
+
+        // Nothing could be verified - say so instead of inventing a price
+        if (!broadSearchResults && !partnerSearchResults) {
+            console.log('❓ Could not verify any price');
+            return {
+                status: 'PRICE_UNVERIFIED',
+                title: t('search.price_unverified.title'),
+                message: t('search.price_unverified.message'),
+                original_price: original_price,
+                currency: currency || 'ILS',
+                ...hotelIdentity,
+                price_verification: priceVerification
+            };
+        }
+
+        // Apply the fairness policy (threshold, minimum savings, condition requirements, partner overrides)
+        const decision = fairnessEngine.decide({
+            originalPrice: original_price,
+            partner: partnerSearchResults,
+            competitor: broadSearchResults
+        }, { hotel_name, currency: currency || 'ILS', searchId });
+        console.log('\n=== FAIRNESS RULE ===');
+        console.log(`💵 Partner Savings: ${decision.partnerSavings} ${currency}`);
+        console.log(`💵 Competitor Savings: ${decision.competitorSavings} ${currency}`);
+        console.log(`📊 Savings Gap: ${decision.savingsGap} ${currency}`);
+        console.log(`🎯 Decision Threshold (${decision.thresholdPercent}%): ${decision.threshold} ${currency}`);
+        console.log(`⚖️ Decision: ${decision.recommend ? (decision.showPartner ? 'SHOW PARTNER' : 'SHOW COMPETITOR') : 'NOTHING TO SHOW'} (${decision.explanation})`);
+        emit('decision', {
+            recommend: decision.recommend,
+            show_partner: decision.showPartner,
+            rule: decision.rule,
+            explanation: decision.explanation,
+            partner_savings: decision.partnerSavings,
+            competitor_savings: decision.competitorSavings,
+            policy_version: decision.policyVersion
+        });
+
+        // No offer saves money under the policy
+        if (!decision.recommend) {
+            console.log('❌ No savings found anywhere');
+            const offers = await trackOfferLinks(rankedOffers.offers, null, { searchId, userId: context.userId, decision: null, rule: decision.rule, baseUrl: context.baseUrl });
+            return {
+                status: 'NO_SAVINGS_FOUND',
+                search_id: searchId,
+                title: t('search.no_savings.title'),
+                message: t('search.no_savings.message'),
+                original_price: original_price,
+                currency: currency || 'ILS',
+                conditions_checked: bookingConditions,
+                occupancy,
+                ...hotelIdentity,
+                rule_applied: decision.explanation,
+                price_verification: priceVerification,
+                offers: offers.list,
+                offers_pagination: rankedOffers.pagination
+            };
+        }
+
+        // Generate appropriate link based on decision
+        const chosenResult = decision.showPartner ? partnerSearchResults : broadSearchResults;
+
+        const { link: targetLink } = partnerRegistry.buildOfferLink(chosenResult, decision.showPartner, hotelFields.hotel_name, check_in_date, check_out_date, occupancy, linkOptions);
+        const offers = await trackOfferLinks(rankedOffers.offers, {
+            url: targetLink,
+            site: chosenResult.site,
+            provider: chosenResult.provider,
+            partnerId: chosenResult.partnerId,
+            is_affiliate: decision.showPartner
+        }, { searchId, userId: context.userId, decision: decision.showPartner ? 'partner' : 'competitor', rule: decision.rule, baseUrl: context.baseUrl });
+        const link = offers.chosen;
+
+        const finalSavings = original_price - chosenResult.price;
+
+        console.log(`🎉 Final Choice: ${chosenResult.site} - Savings: ${finalSavings} ${currency}`);
+
+        const responseStatus = decision.showPartner ? 'SAVINGS_FOUND_PARTNER' : 'SAVINGS_FOUND_COMPETITOR';
+        const responseData = {
+            status: responseStatus,
+            search_id: searchId,
+            title: t('search.savings_found.title', { site: chosenResult.site }),
+            savings: finalSavings,
+            newPrice: chosenResult.price,
+            provider: chosenResult.site,
+            currency: currency || 'ILS',
+            rule_applied: decision.explanation,
+            is_affiliate: decision.showPartner,
+            provenance: chosenResult.provenance,
+            price_verification: priceVerification,
+            price_conversion: describePriceConversion(chosenResult),
+            conditions_match: chosenResult.conditions_match,
+            conditions_report: chosenResult.conditions_report,
+            original_conditions: bookingConditions,
+            occupancy,
+            ...hotelIdentity,
+            business_logic: {
+                original_price: original_price,
+                partner_price: partnerSearchResults ? partnerSearchResults.price : null,
+                competitor_price: broadSearchResults ? broadSearchResults.price : null,
+                partner_savings: decision.partnerSavings,
+                competitor_savings: decision.competitorSavings,
+                savings_gap: decision.savingsGap,
+                threshold_40_percent: decision.threshold,
+                threshold_percent: decision.thresholdPercent,
+                rule: decision.rule,
+                policy_version: decision.policyVersion,
+                partner_price_conversion: describePriceConversion(partnerSearchResults),
+                competitor_price_conversion: describePriceConversion(broadSearchResults),
+                decision: decision.showPartner ? 'partner' : 'competitor'
+            },
+            offers: offers.list,
+            offers_pagination: rankedOffers.pagination,
+            target_link: targetLink
+        };
+
+        if (decision.showPartner) {
+            responseData.affiliateLink = link;
+        } else {
+            responseData.directLink = link;
+        }
+
+        return responseData;
+    }
+
+    // Swap every outgoing link for its /go/:id click-out link; the real URL stays in target_link.
+    // chosen: the recommended link ({ url, site, provider, partnerId, is_affiliate }) or null. Returns { list, chosen }.
+    async function trackOfferLinks(offers, chosen, context) {
+        const links = offers.map(offer => ({
+            url: offer.link,
+            site: offer.site,
+            provider: offer.provider,
+            partnerId: offer.partnerId,
+            is_affiliate: offer.is_affiliate,
+            placement: 'offer_list'
+        }));
+        if (chosen) links.push({ ...chosen, placement: 'recommended' });
+
+        const tracked = await clickTracker.registerLinks(links, context);
+        return {
+            list: offers.map((offer, index) => ({ ...offer, link: tracked[index].tracked_link, target_link: offer.link })),
+            chosen: chosen ? tracked[tracked.length - 1].tracked_link : null
+        };
+    }
+
+    // Flatten both searches into one comparable list: price, savings, conditions and a link per offer
+    function buildOfferList(broadOffers, partnerOffers, { hotelFields, linkOptions, check_in_date, check_out_date, original_price, occupancy }) {
+        const tagged = [
+            // Partner offers first so an offer found by both searches keeps its affiliate link
+            ...partnerOffers.map(offer => ({ ...offer, search: 'partner' })),
+            ...broadOffers.map(offer => ({ ...offer, search: 'broad' }))
+        ];
+
+        return mergeOffers(tagged)
+            .filter(offer => offer.provenance !== PROVENANCE.UNAVAILABLE && offer.price > 0)
+            .map(offer => {
+                const asPartner = offer.search === 'partner' && Boolean(offer.partnerId);
+                // Prices not for this stay or not in the booking currency are shown without savings (and never
+                // recommended, see pickCheapest)
+                const savings = isComparable(offer) ? original_price - offer.price : null;
+                return {
+                    site: offer.site,
+                    provider: offer.provider,
+                    partnerId: offer.partnerId || null,
+                    search: offer.search,
+                    price: offer.price,
+                    currency: offer.currency,
+                    savings,
+                    savings_percent: savings === null ? null : Math.round((savings / original_price) * 1000) / 10,
+                    provenance: offer.provenance,
+                    stay_priced: offer.stay_priced !== false,
+                    converted: offer.converted !== false,
+                    price_conversion: describePriceConversion(offer),
+                    conditions_match: offer.conditions_match,
+                    conditions_report: offer.conditions_report,
+                    refundable: isRefundable(offer),
+                    ...partnerRegistry.buildOfferLink(offer, asPartner, hotelFields.hotel_name, check_in_date, check_out_date, occupancy, linkOptions)
+                };
+            });
+    }
+
+    return { runPriceSearch };
+}
+
+module.exports = {
+    parseSearchRequest,
+    describePriceConversion,
+    createPriceSearch
+};
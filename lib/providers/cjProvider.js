@@ -0,0 +1,71 @@
+const axios = require('axios');
+const { createPartnerRegistry } = require('../partners');
+const { normalizeOffer } = require('./offer');
+
+const CJ_API_URL = 'https://ads.api.cj.com/query';
+
+// GraphQL query against the CJ product feed, restricted to our approved partner advertisers
+function buildProductQuery({ companyId, websiteId, keywords, advertiserIds }) {
+    return `{
+  shoppingProducts(companyId: "${companyId}", partnerIds: [${advertiserIds.map(id => `"${id}"`).join(', ')}], keywords: ${JSON.stringify(keywords)}, limit: 20) {
+    resultList {
+      advertiserId
+      advertiserName
+      title
+      price { amount currency }
+      linkCode(pid: "${websiteId}") { clickUrl }
+    }
+  }
+}`;
+}
+
+function mapProduct(product, partners) {
+    const partner = partners.getEnabled(partners.findByCjId(product.advertiserId)?.id);
+    const partnerId = partner ? partner.id : null;
+    return normalizeOffer({
+        provider: 'cj',
+        site: partner ? partner.name : product.advertiserName,
+        price: product.price?.amount,
+        currency: product.price?.currency,
+        room_type: product.title,
+        partnerId,
+        is_partner: true,
+        // Feed items carry no dates or stay conditions: a real price, but not for this exact stay
+        provenance: 'partially_sourced',
+        conditions_match: false,
+        stay_priced: false,
+        direct_link: product.linkCode?.clickUrl
+    });
+}
+
+// CJ Affiliate product feed adapter (partner offers only)
+function createCjProvider({
+    apiKey = process.env.CJ_AFFILIATE_KEY,
+    companyId = process.env.CJ_COMPANY_ID,
+    websiteId = process.env.CJ_WEBSITE_ID,
+    timeout = 15000,
+    partners = createPartnerRegistry()
+} = {}) {
+    return {
+        id: 'cj',
+        scopes: ['partner'],
+        isEnabled: () => Boolean(apiKey && companyId && websiteId),
+        async search(query, scope, { signal } = {}) {
+            const advertiserIds = partners.list().map(partner => partner.cjId);
+            if (advertiserIds.length === 0) return [];
+            const graphql = buildProductQuery({ companyId, websiteId, keywords: [query.hotel_name], advertiserIds });
+
+            const response = await axios.post(CJ_API_URL, graphql, {
+                headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'text/plain' },
+                timeout,
+                signal
+            });
+
+            const products = response.data?.data?.shoppingProducts?.resultList || [];
+            console.log(`🛒 CJ product feed returned ${products.length} offers`);
+            return products.map(product => mapProduct(product, partners)).filter(offer => offer.partnerId);
+        }
+    };
+}
+
+module.exports = { createCjProvider, mapProduct };
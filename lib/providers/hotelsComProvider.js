@@ -0,0 +1,189 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { normalizeOffer } = require('./offer');
+const { DEFAULT_OCCUPANCY, distributeGuests } = require('../occupancy');
+const { createPartnerRegistry } = require('../partners');
+const { MATCH_SCORE, scoreHotel } = require('../hotels');
+
+const RAPID_API_URL = 'https://api.ean.com/v3/properties/availability';
+const RAPID_GEOGRAPHY_URL = 'https://api.ean.com/v3/properties/geography';
+const RAPID_CONTENT_URL = 'https://api.ean.com/v3/properties/content';
+
+// Half the side of the square (in degrees, about 500 m) searched around a hotel's coordinates for its property ID
+const LOOKUP_RADIUS_DEGREES = 0.005;
+
+// Expedia Rapid signature: sha512(apiKey + secret + unix timestamp)
+function buildAuthHeader(apiKey, secret, now = Date.now()) {
+    const timestamp = Math.floor(now / 1000);
+    const signature = crypto.createHash('sha512').update(`${apiKey}${secret}${timestamp}`).digest('hex');
+    return `EAN APIKey=${apiKey},Signature=${signature},timestamp=${timestamp}`;
+}
+
+function hasBreakfast(rate) {
+    return Object.values(rate.amenities || {}).some(amenity => /breakfast/i.test(amenity.name || ''));
+}
+
+// Rapid occupancy per room: "<adults>" or "<adults>-<age>,<age>"
+function toRapidOccupancies(occupancy) {
+    return distributeGuests(occupancy).map(room =>
+        room.child_ages.length > 0 ? `${room.adults}-${room.child_ages.join(',')}` : String(room.adults)
+    );
+}
+
+// Sum the inclusive totals of every requested room; null if any room is not priced
+function totalForOccupancies(rate, occupancies) {
+    let value = 0;
+    let currency = null;
+    for (const occupancy of occupancies) {
+        const total = rate.occupancy_pricing?.[occupancy]?.totals?.inclusive?.request_currency;
+        if (!total) return null;
+        value += Number(total.value);
+        currency = total.currency;
+    }
+    return { value, currency };
+}
+
+// Flatten Rapid availability (property -> rooms -> rates) into normalized offers
+function mapAvailability(properties, occupancies) {
+    const offers = [];
+    for (const property of properties || []) {
+        for (const room of property.rooms || []) {
+            for (const rate of room.rates || []) {
+                const total = totalForOccupancies(rate, occupancies);
+                if (!total) continue;
+                offers.push(normalizeOffer({
+                    provider: 'hotels_com',
+                    site: 'Hotels.com',
+                    price: total.value,
+                    currency: total.currency,
+                    room_type: room.room_name,
+                    free_cancellation: rate.refundable,
+                    meal_plan: hasBreakfast(rate) ? 'BB' : 'RO',
+                    partnerId: 'hotels_com',
+                    is_partner: true,
+                    provenance: 'sourced'
+                }));
+            }
+        }
+    }
+    return offers;
+}
+
+// GeoJSON square around a point, for the Rapid geography search
+function squareAround({ lat, lng }, radius = LOOKUP_RADIUS_DEGREES) {
+    const ring = [[lng - radius, lat - radius], [lng + radius, lat - radius], [lng + radius, lat + radius], [lng - radius, lat + radius]];
+    return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+// The Rapid property (from the content API response) that is clearly this directory hotel, or null
+function matchProperty(hotel, properties) {
+    const scored = Object.values(properties || {})
+        .map(property => ({
+            id: property.property_id,
+            score: scoreHotel(hotel, { hotel_name: property.name, city: property.address?.city, country: property.address?.country_code })
+        }))
+        .filter(match => match.id && match.score >= MATCH_SCORE)
+        .sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = scored;
+    return best && (!runnerUp || runnerUp.score < best.score) ? String(best.id) : null;
+}
+
+// Hotels.com rates through the Expedia Rapid API. Rapid needs a property ID: the directory's providerIds.hotels_com,
+// or, for directory hotels without one, the property near the hotel's coordinates whose name matches. Looked-up IDs
+// are saved to the directory; hotels that can't be matched are skipped rather than guessed.
+function createHotelsComProvider({
+    apiKey = process.env.HOTELS_COM_API_KEY,
+    secret = process.env.HOTELS_COM_API_SECRET,
+    timeout = 15000,
+    partners = createPartnerRegistry(),
+    hotelDirectory = null,
+    http = axios
+} = {}) {
+    // hotel_id -> Rapid property ID (null when nothing matched), so each hotel is looked up once per instance
+    const lookups = new Map();
+
+    function headers() {
+        return { Authorization: buildAuthHeader(apiKey, secret), Accept: 'application/json' };
+    }
+
+    async function lookupPropertyId(hotel) {
+        const geography = await http.post(RAPID_GEOGRAPHY_URL, squareAround(hotel.coordinates), {
+            params: { include: 'property_ids', supply_source: 'expedia' },
+            headers: headers(),
+            timeout
+        });
+        const nearby = Object.keys(geography.data || {}).slice(0, 250);
+        if (nearby.length === 0) return null;
+
+        const content = await http.get(RAPID_CONTENT_URL, {
+            params: { property_id: nearby, language: 'en-US', supply_source: 'expedia' },
+            headers: headers(),
+            paramsSerializer: { indexes: null },
+            timeout
+        });
+        return matchProperty(hotel, content.data);
+    }
+
+    async function resolvePropertyId(query) {
+        if (query.providerIds?.hotels_com) return query.providerIds.hotels_com;
+
+        const hotel = hotelDirectory && query.hotel_id ? hotelDirectory.get(query.hotel_id) : null;
+        if (!hotel?.coordinates) return null;
+        if (!lookups.has(hotel.id)) {
+            const pending = lookupPropertyId(hotel)
+                .then(async propertyId => {
+                    if (propertyId) {
+                        console.log(`🏨 Hotels.com property ${propertyId} found for ${hotel.id}`);
+                        await hotelDirectory.update(hotel.id, { providerIds: { ...hotel.providerIds, hotels_com: propertyId } })
+                            .catch(error => console.error(`⚠️ Could not save the Hotels.com ID of ${hotel.id}:`, error.message));
+                    } else {
+                        console.warn(`⚠️ No Hotels.com property matches ${hotel.id}`);
+                    }
+                    return propertyId;
+                })
+                // A failed lookup is retried by the next search
+                .catch(error => {
+                    lookups.delete(hotel.id);
+                    throw error;
+                });
+            lookups.set(hotel.id, pending);
+        }
+        return lookups.get(hotel.id);
+    }
+
+    return {
+        id: 'hotels_com',
+        scopes: ['partner'],
+        // Off while the Hotels.com partner is disabled in the registry
+        isEnabled: () => Boolean(apiKey && secret && partners.getEnabled('hotels_com')),
+        async search(query, scope, { signal } = {}) {
+            const propertyId = await resolvePropertyId(query);
+            if (!propertyId) return [];
+
+            const occupancies = toRapidOccupancies(query.occupancy || DEFAULT_OCCUPANCY);
+            const response = await http.get(RAPID_API_URL, {
+                params: {
+                    checkin: query.check_in_date,
+                    checkout: query.check_out_date,
+                    currency: query.currency || 'ILS',
+                    language: 'en-US',
+                    country_code: 'IL',
+                    occupancy: occupancies,
+                    property_id: propertyId,
+                    rate_plan_count: 5,
+                    sales_channel: 'website',
+                    sales_environment: 'hotel_only'
+                },
+                headers: headers(),
+                // Rapid expects one repeated occupancy=... parameter per room
+                paramsSerializer: { indexes: null },
+                timeout,
+                signal
+            });
+
+            return mapAvailability(response.data, occupancies);
+        }
+    };
+}
+
+module.exports = { createHotelsComProvider, mapAvailability, matchProperty };
@@ -0,0 +1,69 @@
+const { createGeminiProvider } = require('./geminiProvider');
+const { createCjProvider } = require('./cjProvider');
+const { createHotelsComProvider } = require('./hotelsComProvider');
+const { createMockProviderFromFile } = require('./mockProvider');
+const { PROVENANCE, normalizeOffer, mergeOffers, pickCheapest, isComparable } = require('./offer');
+const { bookingLinkDomains, guardOfferLinks } = require('../guard');
+
+const PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    cj: createCjProvider,
+    hotels_com: createHotelsComProvider,
+    mock: () => createMockProviderFromFile()
+};
+
+const DEFAULT_PROVIDERS = 'gemini,cj,hotels_com';
+
+// Provider registry: fans a search out to every enabled adapter for the scope and merges the offers.
+// With an FX converter every offer is converted into the query currency before the merge.
+// Offer links outside the known booking domains (lib/guard.js, plus the partners' own) are dropped.
+// options.signal (an AbortSignal) is passed to every adapter; an aborted search rejects instead of returning offers.
+function createProviderRegistry(adapters, { fx = null, partners = null } = {}) {
+    async function searchOffers(query, scope, { signal } = {}) {
+        const active = adapters.filter(adapter => adapter.scopes.includes(scope) && adapter.isEnabled());
+        const settled = await Promise.allSettled(active.map(adapter => adapter.search(query, scope, { signal })));
+        signal?.throwIfAborted();
+
+        const offers = [];
+        const errors = [];
+        settled.forEach((outcome, index) => {
+            const provider = active[index].id;
+            if (outcome.status === 'fulfilled') {
+                offers.push(...outcome.value.map(offer => normalizeOffer(offer, { provider })));
+            } else {
+                console.error(`❌ Provider ${provider} failed (${scope}):`, outcome.reason?.message);
+                errors.push({ provider, error: outcome.reason?.message || 'Unknown error', code: outcome.reason?.code || null });
+            }
+        });
+
+        const guarded = guardOfferLinks(offers, bookingLinkDomains(partners));
+        const comparable = fx ? await fx.convertOffers(guarded, query.currency) : guarded;
+        return { offers: mergeOffers(comparable), errors, providers: active.map(adapter => adapter.id) };
+    }
+
+    return {
+        adapters,
+        searchOffers,
+        getAdapter: id => adapters.find(adapter => adapter.id === id) || null
+    };
+}
+
+// Build the registry from PRICE_PROVIDERS (comma separated adapter IDs); options are passed to every adapter factory
+function createDefaultProviderRegistry(enabled = process.env.PRICE_PROVIDERS || DEFAULT_PROVIDERS, options = {}) {
+    const ids = enabled.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !PROVIDER_FACTORIES[id]);
+    if (unknown.length > 0) {
+        console.warn(`⚠️ Unknown price providers ignored: ${unknown.join(', ')}`);
+    }
+    return createProviderRegistry(ids.filter(id => PROVIDER_FACTORIES[id]).map(id => PROVIDER_FACTORIES[id](options)), options);
+}
+
+module.exports = {
+    PROVENANCE,
+    createProviderRegistry,
+    createDefaultProviderRegistry,
+    normalizeOffer,
+    mergeOffers,
+    pickCheapest,
+    isComparable
+};
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const { normalizeOffer } = require('./offer');
+
+// Offline adapter for tests and local development.
+// `offers` is { broad: [...], partner: [...] } or a function (query, scope) => offers.
+function createMockProvider({ id = 'mock', scopes = ['broad', 'partner'], offers = {} } = {}) {
+    return {
+        id,
+        scopes,
+        isEnabled: () => true,
+        async search(query, scope, options = {}) {
+            const list = typeof offers === 'function' ? await offers(query, scope, options) : (offers[scope] || []);
+            return list.map(offer => normalizeOffer(offer, { provider: id, is_partner: scope === 'partner' }));
+        }
+    };
+}
+
+// Mock adapter fed from a JSON fixture file (MOCK_OFFERS_FILE)
+function createMockProviderFromFile(filePath = process.env.MOCK_OFFERS_FILE) {
+    const offers = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    return createMockProvider({ offers });
+}
+
+module.exports = { createMockProvider, createMockProviderFromFile };
@@ -0,0 +1,82 @@
+// Normalized offer shape shared by every provider adapter.
+// site/price/partnerId/conditions_match/direct_link keep the names the search route already uses.
+
+// Where an offer's price comes from:
+// sourced - read from a rate feed or a grounded, linked search result
+// partially_sourced - a price exists but could not be tied to a specific bookable deal
+// unavailable - no price could be verified
+// Independently, stay_priced is false for prices that are not for the requested dates and occupancy
+// (product feeds), and converted is false for prices the FX converter could not bring into the booking
+// currency (lib/fx.js): such offers are listed, but never picked as the cheapest or counted as savings.
+const PROVENANCE = {
+    SOURCED: 'sourced',
+    PARTIALLY_SOURCED: 'partially_sourced',
+    UNAVAILABLE: 'unavailable'
+};
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+function toBooleanOrNull(value) {
+    if (value === true || value === false) return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return null;
+}
+
+function normalizeOffer(raw = {}, defaults = {}) {
+    const offer = { ...defaults, ...raw };
+    const price = toNumberOrNull(offer.price);
+    const provenance = price === null || price <= 0
+        ? PROVENANCE.UNAVAILABLE
+        : (Object.values(PROVENANCE).includes(offer.provenance) ? offer.provenance : PROVENANCE.PARTIALLY_SOURCED);
+    return {
+        provider: offer.provider || 'unknown',
+        site: offer.site || null,
+        price,
+        provenance,
+        currency: typeof offer.currency === 'string' && offer.currency.trim() ? offer.currency.trim().toUpperCase() : null,
+        room_type: offer.room_type || null,
+        free_cancellation: toBooleanOrNull(offer.free_cancellation),
+        cancellation_policy: offer.cancellation_policy || null,
+        meal_plan: offer.meal_plan || null,
+        partnerId: offer.partnerId || null,
+        is_partner: Boolean(offer.is_partner || offer.partnerId),
+        conditions_match: offer.conditions_match === true,
+        stay_priced: offer.stay_priced !== false,
+        direct_link: offer.direct_link || null
+    };
+}
+
+// Merge offers from several adapters: drop exact duplicates and sort cheapest first (unknown prices last)
+function mergeOffers(offers) {
+    const seen = new Set();
+    const merged = [];
+    for (const offer of offers) {
+        const key = [offer.site, offer.price, offer.currency, offer.room_type, offer.direct_link].join('|').toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(offer);
+    }
+    return merged.sort((a, b) => {
+        if (a.price === null) return b.price === null ? 0 : 1;
+        if (b.price === null) return -1;
+        return a.price - b.price;
+    });
+}
+
+// A price that can be set against the booking's: for this stay and in the booking currency
+function isComparable(offer) {
+    return offer.stay_priced !== false && offer.converted !== false;
+}
+
+function pickCheapest(offers) {
+    return offers.find(offer =>
+        offer.provenance !== PROVENANCE.UNAVAILABLE && isComparable(offer) && typeof offer.price === 'number' && offer.price > 0
+    ) || null;
+}
+
+module.exports = { PROVENANCE, normalizeOffer, mergeOffers, pickCheapest, isComparable };
@@ -0,0 +1,67 @@
+// Ranked offer list for /api/search: sorting and pagination of every offer found
+
+const { isComparable } = require('./providers/offer');
+
+const SORT_OPTIONS = ['price', 'match', 'refundable'];
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+function byPrice(a, b) {
+    return a.price - b.price;
+}
+
+function isRefundable(offer) {
+    const offered = offer.conditions_report?.conditions?.cancellation?.offered;
+    return offered ? offered.refundable === true : offer.free_cancellation === true;
+}
+
+const COMPARATORS = {
+    price: byPrice,
+    // Best condition match first, cheapest first among equal matches
+    match: (a, b) => (b.conditions_report?.score ?? 0) - (a.conditions_report?.score ?? 0) || byPrice(a, b),
+    // Refundable offers first, then by price
+    refundable: (a, b) => Number(isRefundable(b)) - Number(isRefundable(a)) || byPrice(a, b)
+};
+
+// Parse ?sort=&page=&page_size= ; returns { options, errors }
+function parseRankingQuery(query = {}) {
+    const errors = [];
+    const sort = query.sort || 'price';
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : Number(query.page_size);
+
+    if (!SORT_OPTIONS.includes(sort)) {
+        errors.push({ field: 'sort', code: 'invalid_sort', message: `sort must be one of: ${SORT_OPTIONS.join(', ')}` });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push({ field: 'page', code: 'invalid_page', message: 'page must be a whole number of at least 1' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.push({ field: 'page_size', code: 'invalid_page_size', message: `page_size must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    return { options: { sort, page, pageSize }, errors };
+}
+
+// Sort priced offers and return one page of them; rank is the position in the full sorted list.
+// Prices that can't be set against the others (another currency, not for the stay) come after every comparable one.
+function rankOffers(offers, { sort = 'price', page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const sorted = offers
+        .filter(offer => typeof offer.price === 'number')
+        .sort((a, b) => Number(!isComparable(a)) - Number(!isComparable(b)) || COMPARATORS[sort](a, b))
+        .map((offer, index) => ({ rank: index + 1, ...offer }));
+
+    const start = (page - 1) * pageSize;
+    return {
+        offers: sorted.slice(start, start + pageSize),
+        pagination: {
+            sort,
+            page,
+            page_size: pageSize,
+            total: sorted.length,
+            total_pages: Math.ceil(sorted.length / pageSize)
+        }
+    };
+}
+
+module.exports = { SORT_OPTIONS, parseRankingQuery, rankOffers, isRefundable };
@@ -0,0 +1,186 @@
+const admin = require('firebase-admin');
+const { translate } = require('./i18n');
+
+// Fixed-window request limits. Anonymous clients are counted per IP and signed-in users per uid;
+// every request also counts towards its IP's ceiling so one address can't rotate through accounts.
+
+const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+// Per rule: window length and the number of requests allowed in it per scope (null = unlimited)
+const DEFAULT_RATE_LIMITS = {
+    // Every search can call Gemini and all price providers
+    search: { windowSeconds: 3600, anonymous: 20, user: 100, ip: 300 },
+    // Every analysis sends the whole document to Gemini
+    analyze: { windowSeconds: 3600, anonymous: 5, user: 40, ip: 100 },
+    // Every batch runs up to BATCH_MAX_ITEMS analyses or searches; signed-in users only
+    batch: { windowSeconds: 3600, anonymous: 0, user: 10, ip: 30 },
+    // Everything under /api and /go
+    api: { windowSeconds: 60, anonymous: null, user: null, ip: 300 }
+};
+
+const SCOPES = ['anonymous', 'user', 'ip'];
+
+function isLimit(value) {
+    return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+// Validate RATE_LIMITS overrides over the defaults. Throws on invalid values so a bad config fails loudly.
+function normalizeRateLimits(raw = {}) {
+    const limits = {};
+    const problems = [];
+
+    for (const name of new Set([...Object.keys(DEFAULT_RATE_LIMITS), ...Object.keys(raw)])) {
+        const rule = { windowSeconds: 60, anonymous: null, user: null, ip: null, ...DEFAULT_RATE_LIMITS[name], ...raw[name] };
+        for (const field of Object.keys(rule)) {
+            if (field !== 'windowSeconds' && !SCOPES.includes(field)) problems.push(`${name}.${field} is not a rate limit field`);
+        }
+        if (!Number.isInteger(rule.windowSeconds) || rule.windowSeconds <= 0) problems.push(`${name}.windowSeconds must be a positive integer`);
+        for (const scope of SCOPES) {
+            if (!isLimit(rule[scope])) problems.push(`${name}.${scope} must be a non-negative integer or null`);
+        }
+        limits[name] = rule;
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid rate limits: ${problems.join('; ')}`);
+    }
+    return limits;
+}
+
+function loadRateLimitsFromEnv(json = process.env.RATE_LIMITS) {
+    if (!json) return normalizeRateLimits();
+    return normalizeRateLimits(JSON.parse(json));
+}
+
+// ---------- Counter stores: hit(key, windowMs) -> { count, resetAt } ----------
+
+// Per instance: on Vercel every function instance counts separately, use the Firestore store there
+function createMemoryRateLimitStore({ maxKeys = 10000 } = {}) {
+    const counters = new Map();
+    return {
+        name: 'memory',
+        async hit(key, windowMs, now = Date.now()) {
+            let counter = counters.get(key);
+            if (!counter && counters.size >= maxKeys) {
+                for (const [counterKey, stored] of counters) {
+                    if (stored.resetAt <= now) counters.delete(counterKey);
+                }
+                // Still full: drop the oldest counters (Map keeps insertion order)
+                for (const counterKey of counters.keys()) {
+                    if (counters.size < maxKeys) break;
+                    counters.delete(counterKey);
+                }
+            }
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: (Math.floor(now / windowMs) + 1) * windowMs };
+                counters.set(key, counter);
+            }
+            counter.count++;
+            return { ...counter };
+        }
+    };
+}
+
+// Shared across instances. Counters carry expiresAt for a Firestore TTL policy.
+function createFirestoreRateLimitStore(db, { collection = RATE_LIMITS_COLLECTION } = {}) {
+    return {
+        name: 'firestore',
+        async hit(key, windowMs, now = Date.now()) {
+            const resetAt = (Math.floor(now / windowMs) + 1) * windowMs;
+            const ref = db.collection(collection).doc(`${key}:${resetAt}`.replace(/\//g, '_'));
+            await ref.set({
+                count: admin.firestore.FieldValue.increment(1),
+                expiresAt: admin.firestore.Timestamp.fromMillis(resetAt)
+            }, { merge: true });
+            const doc = await ref.get();
+            return { count: doc.data().count, resetAt };
+        }
+    };
+}
+
+function createDefaultRateLimitStore(db, backend = process.env.RATE_LIMIT_BACKEND || 'memory') {
+    if (backend === 'none') return null;
+    if (backend === 'firestore') {
+        if (db) return createFirestoreRateLimitStore(db);
+        console.warn('⚠️ RATE_LIMIT_BACKEND=firestore but Firestore is not available - using in-memory rate limits');
+    }
+    return createMemoryRateLimitStore();
+}
+
+// ---------- Middleware ----------
+
+// store: null disables rate limiting. limiter.middleware(name) runs after verifyFirebaseToken (req.user).
+function createRateLimiter({ store = createMemoryRateLimitStore(), limits = loadRateLimitsFromEnv() } = {}) {
+    // The counters a request adds to: its user or (anonymous) IP, and the IP ceiling
+    function countersFor(name, req) {
+        const rule = limits[name];
+        const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+        const counters = [];
+        if (req.user && rule.user !== null) counters.push({ scope: 'user', key: `${name}:user:${req.user.uid}`, limit: rule.user });
+        if (!req.user && rule.anonymous !== null) counters.push({ scope: 'anonymous', key: `${name}:anonymous:${ip}`, limit: rule.anonymous });
+        if (rule.ip !== null) counters.push({ scope: 'ip', key: `${name}:ip:${ip}`, limit: rule.ip });
+        return counters;
+    }
+
+    // Count the request; returns null when it is allowed, or the exceeded counter
+    async function consume(name, req, res) {
+        const windowMs = limits[name].windowSeconds * 1000;
+        const results = await Promise.all(countersFor(name, req).map(async counter => ({
+            ...counter,
+            ...(await store.hit(counter.key, windowMs))
+        })));
+        if (results.length === 0) return null;
+
+        // Headers (IETF RateLimit draft) describe the counter closest to its limit
+        const tightest = results.reduce((a, b) => (b.limit - b.count < a.limit - a.count ? b : a));
+        res.set({
+            'RateLimit-Limit': String(tightest.limit),
+            'RateLimit-Remaining': String(Math.max(0, tightest.limit - tightest.count)),
+            'RateLimit-Reset': String(Math.max(0, Math.ceil((tightest.resetAt - Date.now()) / 1000)))
+        });
+        return results.find(result => result.count > result.limit) || null;
+    }
+
+    function middleware(name) {
+        if (!limits[name]) throw new Error(`Unknown rate limit rule: ${name}`);
+
+        return async (req, res, next) => {
+            if (!store) return next();
+
+            let exceeded;
+            try {
+                exceeded = await consume(name, req, res);
+            } catch (error) {
+                // A broken counter store must not take the API down
+                console.error('⚠️ Rate limit check failed:', error.message);
+                return next();
+            }
+            if (!exceeded) return next();
+
+            const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000));
+            console.warn(`🚦 Rate limit ${name}/${exceeded.scope} exceeded (${exceeded.count}/${exceeded.limit})`);
+            // Anonymous clients are told that signing in raises the limit
+            res.set('Retry-After', String(retryAfter)).status(429).json({
+                error: translate(req.locale, exceeded.scope === 'anonymous' ? 'errors.RATE_LIMITED_ANONYMOUS' : 'errors.RATE_LIMITED'),
+                code: 'RATE_LIMITED',
+                scope: exceeded.scope,
+                limit: exceeded.limit,
+                retry_after: retryAfter,
+                sign_in_for_more: exceeded.scope === 'anonymous' && limits[name].user !== null
+            });
+        };
+    }
+
+    return { middleware, limits, store };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    RATE_LIMITS_COLLECTION,
+    normalizeRateLimits,
+    loadRateLimitsFromEnv,
+    createMemoryRateLimitStore,
+    createFirestoreRateLimitStore,
+    createDefaultRateLimitStore,
+    createRateLimiter
+};
@@ -0,0 +1,319 @@
+const admin = require('firebase-admin');
+const { todayISO, toMillis, toISOString } = require('./dates');
+const { pickCheapest } = require('./providers/offer');
+const { normalizeOccupancy } = require('./occupancy');
+const { matchOffers } = require('./conditions');
+const { getExpiryReason, resolveStatus, expiryUpdate } = require('./bookings');
+const { loadPriceBand, flagImplausibleOffers } = require('./guard');
+const { hotelQueryFields } = require('./hotels');
+const { commitInChunks } = require('./storage');
+const { mapWithConcurrency } = require('./batch');
+
+const TRACKED_COLLECTION = 'trackedBookings';
+const SNAPSHOT_COLLECTION = 'priceSnapshots';
+
+// One-off data migrations record themselves here once done
+const MIGRATIONS_COLLECTION = 'migrations';
+const LEGACY_BOOKINGS_MIGRATION = 'legacyBookingFields';
+
+// Defaults can be overridden from the environment (Vercel cron runs are time-limited). The cron in vercel.json
+// runs every 15 minutes: 10 bookings per run re-check about 240 active bookings every 6 hours; raise
+// RECHECK_BATCH_SIZE (or RECHECK_CONCURRENCY) when runs report more bookings due than they check.
+const DEFAULT_BATCH_SIZE = parseInt(process.env.RECHECK_BATCH_SIZE, 10) || 10;
+const DEFAULT_CONCURRENCY = parseInt(process.env.RECHECK_CONCURRENCY, 10) || 3;
+const DEFAULT_MIN_INTERVAL_HOURS = parseFloat(process.env.RECHECK_MIN_INTERVAL_HOURS) || 6;
+
+// A run reads this many times batchSize of the least recently checked bookings; the extra ones cover
+// bookings that turn out to have expired
+const SCAN_FACTOR = 3;
+
+// Price snapshots returned with a booking (newest ones)
+const PRICE_HISTORY_LIMIT = 100;
+
+// A booking is active until the user pauses or rebooks it, or it expires (see lib/bookings.js)
+function isActiveBooking(booking, today = todayISO()) {
+    if (booking.status && booking.status !== 'active') return false;
+    if (getExpiryReason(booking, today)) return false;
+    return Boolean(booking.hotel_name);
+}
+
+function isDueForRecheck(booking, minIntervalHours, now = Date.now()) {
+    const lastChecked = toMillis(booking.lastCheckedAt);
+    return !lastChecked || now - lastChecked >= minIntervalHours * 60 * 60 * 1000;
+}
+
+// Re-check worker: re-runs the broad and partner provider searches for tracked bookings
+// and stores every result as a dated price snapshot under the booking
+function createRecheckWorker({
+    db,
+    searchOffers,
+    notifier = null,
+    hotelDirectory = null,
+    batchSize = DEFAULT_BATCH_SIZE,
+    concurrency = DEFAULT_CONCURRENCY,
+    minIntervalHours = DEFAULT_MIN_INTERVAL_HOURS,
+    priceBand = loadPriceBand()
+}) {
+    let running = false;
+    let timer = null;
+    let legacyBackfilled = false;
+
+    async function recheckBooking(doc) {
+        const booking = doc.data();
+        const { hotel_name, check_in_date, check_out_date, room_type, free_cancellation, breakfast_included, meal_plan, cancellation_policy } = booking;
+        const conditions = { room_type, free_cancellation, breakfast_included, meal_plan, cancellation_policy };
+        // The same property the search found: the confirmed hotel_id, or the name resolved again
+        const { hotel } = hotelDirectory ? await hotelDirectory.identify(booking) : { hotel: null };
+        const query = {
+            ...hotelQueryFields(hotel, hotel_name),
+            check_in_date,
+            check_out_date,
+            currency: booking.currency,
+            occupancy: normalizeOccupancy(booking),
+            conditions
+        };
+
+        console.log(`🔁 Re-checking ${doc.id}: ${hotel_name} (${check_in_date} to ${check_out_date})`);
+
+        const [broadSearch, partnerSearch] = await Promise.all([
+            searchOffers(query, 'broad'),
+            searchOffers(query, 'partner')
+        ]);
+
+        // Implausible prices would record a fake low and send a false alert
+        const matchBooking = offers => matchOffers(flagImplausibleOffers(offers, booking.original_price, priceBand).offers, { ...conditions, check_in_date });
+        const results = [
+            { source: 'broad', ...pickCheapest(matchBooking(broadSearch.offers)) },
+            { source: 'partner', ...pickCheapest(matchBooking(partnerSearch.offers)) }
+        ].filter(result => typeof result.price === 'number' && result.price > 0);
+
+        let lowestPrice = typeof booking.lowestPrice === 'number' ? booking.lowestPrice : null;
+        let lowestSite = booking.lowestPriceSite || null;
+        let newLow = false;
+
+        const date = todayISO();
+        const batch = db.batch();
+
+        for (const result of results) {
+            const isNewLow = lowestPrice === null || result.price < lowestPrice;
+            if (isNewLow) {
+                lowestPrice = result.price;
+                lowestSite = result.site;
+                newLow = true;
+            }
+
+            batch.set(doc.ref.collection(SNAPSHOT_COLLECTION).doc(), {
+                date,
+                source: result.source,
+                site: result.site || null,
+                price: result.price,
+                provenance: result.provenance,
+                partnerId: result.partnerId || null,
+                conditions_match: Boolean(result.conditions_match),
+                direct_link: result.direct_link || null,
+                isNewLow,
+                checkedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        // The cheapest price of this run, for the bookings list (which doesn't read the history)
+        const cheapest = results.reduce((min, result) => (!min || result.price < min.price ? result : min), null);
+        const bookingUpdate = {
+            lastCheckedAt: admin.firestore.FieldValue.serverTimestamp(),
+            snapshotCount: admin.firestore.FieldValue.increment(results.length)
+        };
+        if (cheapest) {
+            bookingUpdate.lastPrice = cheapest.price;
+            bookingUpdate.lastPriceSite = cheapest.site || null;
+        }
+        if (newLow) {
+            bookingUpdate.lowestPrice = lowestPrice;
+            bookingUpdate.lowestPriceSite = lowestSite;
+            bookingUpdate.lowestPriceAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+        batch.update(doc.ref, bookingUpdate);
+
+        await batch.commit();
+
+        if (newLow) {
+            console.log(`📉 New lowest price for ${doc.id}: ${lowestPrice} (${lowestSite})`);
+        }
+
+        // Alert on the cheapest price of this run; the notifier applies thresholds and de-duplication
+        let alert = null;
+        if (notifier && cheapest) {
+            try {
+                alert = await notifier.notifyPriceDrop(doc, cheapest);
+            } catch (error) {
+                console.error(`❌ Price-drop notification failed for ${doc.id}:`, error.message);
+            }
+        }
+
+        return { id: doc.id, snapshots: results.length, newLow, lowestPrice, alertSent: Boolean(alert?.sent) };
+    }
+
+    // Auto-expiry of stays that have started (active or paused); only bookings not yet expired match.
+    // Needs the composite index status + check_in_date.
+    async function expireStartedStays(today) {
+        const snapshot = await db.collection(TRACKED_COLLECTION)
+            .where('status', 'in', ['active', 'paused'])
+            .where('check_in_date', '<', today)
+            .get();
+        return commitInChunks(db, snapshot.docs, (batch, doc) => batch.update(doc.ref, expiryUpdate(doc.data(), today)));
+    }
+
+    // Bookings tracked before status and lastCheckedAt were stored have neither field, so the queries below
+    // (equality filters and orderBy skip documents without the field) would never find them. Fill them in once;
+    // the marker doc keeps later runs (and other instances) from scanning the whole collection again.
+    async function backfillLegacyBookings() {
+        const marker = db.collection(MIGRATIONS_COLLECTION).doc(LEGACY_BOOKINGS_MIGRATION);
+        if ((await marker.get()).exists) return 0;
+
+        const snapshot = await db.collection(TRACKED_COLLECTION).get();
+        const legacy = snapshot.docs.filter(doc => doc.data().status === undefined || doc.data().lastCheckedAt === undefined);
+        const updated = await commitInChunks(db, legacy, (batch, doc) => batch.update(doc.ref, {
+            status: doc.data().status || 'active',
+            lastCheckedAt: doc.data().lastCheckedAt ?? null
+        }));
+        await marker.set({ updated, completedAt: admin.firestore.FieldValue.serverTimestamp() });
+        if (updated > 0) {
+            console.log(`🧹 Backfilled status and lastCheckedAt on ${updated} legacy tracked bookings`);
+        }
+        return updated;
+    }
+
+    // Re-check the bookings that are most overdue, up to batchSize per run, concurrency at a time.
+    // Reads only active bookings, least recently checked first (never-checked ones have lastCheckedAt null);
+    // needs the composite index status + lastCheckedAt. The indexes are in firestore.indexes.json
+    // (firebase deploy --only firestore:indexes); without them these queries fail with FAILED_PRECONDITION.
+    async function runOnce() {
+        if (!db) {
+            throw new Error('Firestore is not initialized - cannot re-check tracked bookings');
+        }
+        if (running) {
+            console.log('⏳ Re-check already in progress, skipping this run');
+            return { skipped: true, due: 0, checked: 0, newLows: 0, alertsSent: 0, expired: 0, errors: [] };
+        }
+
+        running = true;
+        try {
+            const today = todayISO();
+            const now = Date.now();
+
+            if (!legacyBackfilled) {
+                await backfillLegacyBookings();
+                legacyBackfilled = true;
+            }
+            let expired = await expireStartedStays(today);
+            const snapshot = await db.collection(TRACKED_COLLECTION)
+                .where('status', '==', 'active')
+                .orderBy('lastCheckedAt', 'asc')
+                .limit(batchSize * SCAN_FACTOR)
+                .get();
+
+            // Stop tracking bookings whose free cancellation has ended
+            const expiring = snapshot.docs.filter(doc => resolveStatus(doc.data(), today) === 'expired');
+            expired += await commitInChunks(db, expiring, (batch, doc) => batch.update(doc.ref, expiryUpdate(doc.data(), today)));
+            if (expired > 0) {
+                console.log(`⌛ Expired ${expired} tracked bookings`);
+            }
+
+            const due = snapshot.docs.filter(doc => isActiveBooking(doc.data(), today) && isDueForRecheck(doc.data(), minIntervalHours, now));
+            const dueDocs = due.slice(0, batchSize);
+
+            console.log(`🔁 Re-check run: ${dueDocs.length} of ${due.length} due bookings (${snapshot.size} read)`);
+
+            const summary = { skipped: false, due: due.length, checked: 0, newLows: 0, alertsSent: 0, expired, errors: [] };
+            const outcomes = await mapWithConcurrency(dueDocs, concurrency, recheckBooking);
+            outcomes.forEach((outcome, index) => {
+                if (!outcome.ok) {
+                    console.error(`❌ Re-check failed for ${dueDocs[index].id}:`, outcome.error.message);
+                    summary.errors.push({ id: dueDocs[index].id, error: outcome.error.message });
+                    return;
+                }
+                summary.checked++;
+                if (outcome.value.newLow) summary.newLows++;
+                if (outcome.value.alertSent) summary.alertsSent++;
+            });
+
+            return summary;
+        } finally {
+            running = false;
+        }
+    }
+
+    // In-process scheduler for long-running (non-serverless) deployments
+    function start(intervalMs) {
+        if (timer) return;
+        timer = setInterval(() => {
+            runOnce().catch(error => console.error('❌ Scheduled re-check error:', error.message));
+        }, intervalMs);
+        console.log(`⏰ Re-check scheduler started (every ${Math.round(intervalMs / 60000)} minutes)`);
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return { runOnce, recheckBooking, start, stop };
+}
+
+// Load the newest price snapshots of a tracked booking (at most `limit`), oldest first
+async function getPriceHistory(db, bookingId, { limit = PRICE_HISTORY_LIMIT } = {}) {
+    const snapshot = await db.collection(TRACKED_COLLECTION)
+        .doc(bookingId)
+        .collection(SNAPSHOT_COLLECTION)
+        .orderBy('checkedAt', 'desc')
+        .limit(limit)
+        .get();
+
+    return snapshot.docs.reverse().map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            checkedAt: toISOString(data.checkedAt)
+        };
+    });
+}
+
+// Best price seen so far, falling back to the history when the booking doc has none
+function getBestPrice(booking, priceHistory = []) {
+    if (typeof booking.lowestPrice === 'number') {
+        return {
+            price: booking.lowestPrice,
+            site: booking.lowestPriceSite || null,
+            foundAt: toISOString(booking.lowestPriceAt)
+        };
+    }
+
+    const best = priceHistory.reduce((min, entry) => (!min || entry.price < min.price ? entry : min), null);
+    return best ? { price: best.price, site: best.site, foundAt: best.checkedAt } : null;
+}
+
+// Price summary for the bookings list, from the booking doc alone (the history is on GET /api/bookings/:id)
+function summarizePriceHistory(booking) {
+    return {
+        checks: booking.snapshotCount || 0,
+        lastPrice: typeof booking.lastPrice === 'number' ? booking.lastPrice : null,
+        lastPriceSite: booking.lastPriceSite || null,
+        lastCheckedAt: toISOString(booking.lastCheckedAt)
+    };
+}
+
+module.exports = {
+    TRACKED_COLLECTION,
+    SNAPSHOT_COLLECTION,
+    MIGRATIONS_COLLECTION,
+    PRICE_HISTORY_LIMIT,
+    createRecheckWorker,
+    getPriceHistory,
+    getBestPrice,
+    summarizePriceHistory,
+    isActiveBooking,
+    isDueForRecheck,
+    toISOString
+};
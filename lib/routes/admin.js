@@ -0,0 +1,116 @@
+const express = require('express');
+const { errorBody } = require('../i18n');
+
+// A rejected registry/directory change ({ errors, status }): <KIND>_NOT_FOUND, <KIND>_EXISTS or INVALID_<KIND>
+function rejectChange(req, res, kind, { errors, status }) {
+    const code = { 404: `${kind}_NOT_FOUND`, 409: `${kind}_EXISTS` }[status] || `INVALID_${kind}`;
+    return res.status(status).json(errorBody(req.locale, code, { details: errors }));
+}
+
+// Admin-only routes: partner registry, hotel directory and conversion reporting
+function createAdminRouter({ partnerRegistry, hotelDirectory, conversionTracker }, { verifyFirebaseToken, requireAdmin }) {
+    const router = express.Router();
+
+    // Partner registry administration
+    router.get('/api/admin/partners', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        await partnerRegistry.refresh({ force: true });
+        res.json({ partners: partnerRegistry.list({ includeDisabled: true }) });
+    });
+
+    router.post('/api/admin/partners', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        try {
+            const { partner, errors, status } = await partnerRegistry.create(req.body);
+            if (errors) {
+                return rejectChange(req, res, 'PARTNER', { errors, status });
+            }
+            console.log(`🤝 Partner ${partner.id} added by ${req.user.email || req.user.uid}`);
+            res.status(201).json({ success: true, partner });
+        } catch (error) {
+            console.error('Error adding partner:', error);
+            res.status(500).json(errorBody(req.locale, 'PARTNER_SAVE_FAILED'));
+        }
+    });
+
+    router.put('/api/admin/partners/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        try {
+            const { partner, errors, status } = await partnerRegistry.update(req.params.id, req.body);
+            if (errors) {
+                return rejectChange(req, res, 'PARTNER', { errors, status });
+            }
+            console.log(`🤝 Partner ${partner.id} updated by ${req.user.email || req.user.uid}`);
+            res.json({ success: true, partner });
+        } catch (error) {
+            console.error('Error updating partner:', error);
+            res.status(500).json(errorBody(req.locale, 'PARTNER_SAVE_FAILED'));
+        }
+    });
+
+    // Disabling keeps the partner record (clicks and conversions still refer to it)
+    router.delete('/api/admin/partners/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        try {
+            const { partner, errors, status } = await partnerRegistry.disable(req.params.id);
+            if (errors) {
+                return rejectChange(req, res, 'PARTNER', { errors, status });
+            }
+            console.log(`🤝 Partner ${partner.id} disabled by ${req.user.email || req.user.uid}`);
+            res.json({ success: true, partner });
+        } catch (error) {
+            console.error('Error disabling partner:', error);
+            res.status(500).json(errorBody(req.locale, 'PARTNER_SAVE_FAILED'));
+        }
+    });
+
+    // Hotel directory administration (provider IDs, aliases and locations used to resolve hotel names)
+    router.get('/api/admin/hotels', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        await hotelDirectory.refresh({ force: true });
+        res.json({ hotels: hotelDirectory.list() });
+    });
+
+    router.post('/api/admin/hotels', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        try {
+            const { hotel, errors, status } = await hotelDirectory.create(req.body);
+            if (errors) {
+                return rejectChange(req, res, 'HOTEL', { errors, status });
+            }
+            console.log(`🏨 Hotel ${hotel.id} added by ${req.user.email || req.user.uid}`);
+            res.status(201).json({ success: true, hotel });
+        } catch (error) {
+            console.error('Error adding hotel:', error);
+            res.status(500).json(errorBody(req.locale, 'HOTEL_SAVE_FAILED'));
+        }
+    });
+
+    router.put('/api/admin/hotels/:id', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        try {
+            const { hotel, errors, status } = await hotelDirectory.update(req.params.id, req.body);
+            if (errors) {
+                return rejectChange(req, res, 'HOTEL', { errors, status });
+            }
+            console.log(`🏨 Hotel ${hotel.id} updated by ${req.user.email || req.user.uid}`);
+            res.json({ success: true, hotel });
+        } catch (error) {
+            console.error('Error updating hotel:', error);
+            res.status(500).json(errorBody(req.locale, 'HOTEL_SAVE_FAILED'));
+        }
+    });
+
+    // Revenue per search and per fairness decision/rule over a period (?from=&to=, default the last 30 days)
+    router.get('/api/admin/conversions/summary', verifyFirebaseToken, requireAdmin, async (req, res) => {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 86400000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+            return res.status(400).json(errorBody(req.locale, 'INVALID_DATE_RANGE'));
+        }
+
+        try {
+            res.json(await conversionTracker.summarize({ from: from.toISOString(), to: to.toISOString() }));
+        } catch (error) {
+            console.error('Conversion summary error:', error);
+            res.status(500).json(errorBody(req.locale, 'CONVERSION_SUMMARY_FAILED'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,36 @@
+const express = require('express');
+const { documentFromBody, documentFromUpload, isEmptyDocument, describeAnalysisError } = require('../analysis');
+const { errorBody } = require('../i18n');
+
+// Booking document analysis (the pipeline is in lib/analysis.js, extraction itself in lib/extraction.js)
+function createAnalyzeRouter({ documentAnalysis }, { verifyFirebaseToken, rateLimit, upload }) {
+    const router = express.Router();
+
+    // File analysis endpoint - REAL Gemini analysis of PDF/email/HTML/image
+    // Accepts multipart/form-data with a "file" field or a JSON body { content, contentType, filename, encoding }.
+    // Signed-in users get a larger quota; the quota is checked before a multipart upload is read.
+    router.post('/api/analyze-file', verifyFirebaseToken, rateLimit('analyze'), upload.single('file'), async (req, res) => {
+        try {
+            console.log('📄 Analyzing file with Gemini...');
+
+            const document = req.file ? documentFromUpload(req.file) : documentFromBody(req.body);
+            if (isEmptyDocument(document)) {
+                return res.status(400).json(errorBody(req.locale, 'NO_FILE'));
+            }
+
+            const analysisResult = await documentAnalysis.analyzeDocument(document, { locale: req.locale });
+
+            console.log('✅ Analysis completed:', JSON.stringify(analysisResult, null, 2));
+
+            res.json(analysisResult);
+        } catch (error) {
+            console.error('❌ Analysis error:', error);
+            const { status, body } = describeAnalysisError(error, req.locale);
+            res.status(status).json(body);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAnalyzeRouter };
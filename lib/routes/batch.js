@@ -0,0 +1,112 @@
+const express = require('express');
+const { documentFromBody, documentFromUpload } = require('../analysis');
+const { parseRankingQuery } = require('../ranking');
+const { errorBody, translate } = require('../i18n');
+const { searchContext } = require('./search');
+
+// async: true in the body (a form field for multipart uploads) or ?async=true
+function isAsync(req) {
+    return [true, 'true'].includes(req.body?.async) || req.query.async === 'true';
+}
+
+// Per-item results right away, or 202 with a job to poll at /api/batch/jobs/:id (where async jobs are enabled)
+async function respondWithBatch(req, res, batchProcessor, type, inputs, options) {
+    if (isAsync(req)) {
+        if (!batchProcessor.asyncJobs) {
+            return res.status(400).json(errorBody(req.locale, 'BATCH_ASYNC_UNAVAILABLE'));
+        }
+        const job = await batchProcessor.startJob(type, inputs, options, req.user.uid);
+        return res.status(202).json({
+            job_id: job.id,
+            status: job.status,
+            total: job.total,
+            status_url: `/api/batch/jobs/${job.id}`
+        });
+    }
+    res.json(await batchProcessor.runBatch(type, inputs, options));
+}
+
+// Several documents or bookings per request (lib/batch.js). Signed-in users only; a batch counts once
+// towards the batch quota, not towards the analyze/search quotas.
+function createBatchRouter({ batchProcessor }, { verifyFirebaseToken, requireUser, rateLimit, upload }) {
+    const router = express.Router();
+    const batchQuota = rateLimit('batch');
+
+    // More "files" than a batch may hold is a batch error, not an upload error
+    const uploadFiles = (req, res, next) => upload.array('files', batchProcessor.maxItems)(req, res, error => {
+        if (error?.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json(errorBody(req.locale, 'BATCH_TOO_LARGE', { max_items: batchProcessor.maxItems }));
+        }
+        next(error);
+    });
+
+    // Multipart with "files" fields, or JSON { documents: [{ content, contentType, filename, encoding }], async }
+    router.post('/api/batch/analyze', verifyFirebaseToken, requireUser, batchQuota, uploadFiles, async (req, res) => {
+        const documents = req.files?.length ? req.files.map(documentFromUpload) : req.body?.documents;
+        const rejection = batchProcessor.checkBatch(documents, req.locale);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        try {
+            const inputs = req.files?.length ? documents : documents.map(document => documentFromBody(document || {}));
+            await respondWithBatch(req, res, batchProcessor, 'analyze', inputs, { locale: req.locale });
+        } catch (error) {
+            console.error('❌ Batch analysis error:', error);
+            res.status(500).json(errorBody(req.locale, 'ANALYSIS_FAILED'));
+        }
+    });
+
+    // JSON { bookings: [bookingData], async }; ranking as for /api/search (?sort=, ?page=...) and
+    // ?currency= for the savings total (default ILS)
+    router.post('/api/batch/search', verifyFirebaseToken, requireUser, batchQuota, async (req, res) => {
+        const bookings = req.body?.bookings;
+        const rejection = batchProcessor.checkBatch(bookings, req.locale);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+        const ranking = parseRankingQuery(req.query);
+        if (ranking.errors.length > 0) {
+            return res.status(400).json({
+                status: 'INVALID_RANKING_OPTIONS',
+                message: translate(req.locale, 'errors.INVALID_RANKING_OPTIONS'),
+                errors: ranking.errors
+            });
+        }
+        const currency = String(req.query.currency || 'ILS').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            return res.status(400).json(errorBody(req.locale, 'INVALID_CURRENCY'));
+        }
+
+        try {
+            await respondWithBatch(req, res, batchProcessor, 'search', bookings, {
+                locale: req.locale,
+                currency,
+                rankingOptions: ranking.options,
+                context: searchContext(req)
+            });
+        } catch (error) {
+            console.error('❌ Batch search error:', error);
+            res.status(500).json(errorBody(req.locale, 'SEARCH_FAILED'));
+        }
+    });
+
+    // Progress and, once completed, the results of the user's own batch job
+    router.get('/api/batch/jobs/:id', verifyFirebaseToken, requireUser, async (req, res) => {
+        try {
+            const job = await batchProcessor.getJob(req.params.id);
+            if (!job || job.userId !== req.user.uid) {
+                return res.status(404).json(errorBody(req.locale, 'JOB_NOT_FOUND'));
+            }
+            const { userId, ...rest } = job;
+            res.json(rest);
+        } catch (error) {
+            console.error('Error fetching batch job:', error);
+            res.status(500).json(errorBody(req.locale, 'JOB_FETCH_FAILED'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBatchRouter };
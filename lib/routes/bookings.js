@@ -0,0 +1,224 @@
+const express = require('express');
+const admin = require('firebase-admin');
+const { validateBookingData } = require('../validation');
+const { getPriceHistory, getBestPrice, summarizePriceHistory, TRACKED_COLLECTION, SNAPSHOT_COLLECTION } = require('../recheck');
+const { getExpiryReason, resolveStatus, expiryUpdate, normalizeBookingPatch, serializeBooking, summarizeSavings } = require('../bookings');
+const { ALERTS_COLLECTION, normalizeAlertPreferences, verifiedEmail } = require('../notifications');
+const { commitInChunks } = require('../storage');
+const { errorBody } = require('../i18n');
+
+// Tracked bookings: tracking, the user's bookings, edits and status changes, alert preferences and savings
+function createBookingsRouter({ db, fxConverter }, { verifyFirebaseToken, requireUser, requireStorage }) {
+    const router = express.Router();
+
+    // Tracking endpoint with Firebase authentication
+    router.post('/api/track', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        const validation = validateBookingData(req.body.bookingData, { required: true });
+        if (!validation.valid) {
+            return res.status(400).json(errorBody(req.locale, 'INVALID_BOOKING_DATA', { errors: validation.errors }));
+        }
+
+        const expiredReason = getExpiryReason(validation.value);
+        if (expiredReason) {
+            return res.status(400).json(errorBody(req.locale, 'BOOKING_NOT_TRACKABLE', { reason: expiredReason }));
+        }
+
+        const { preferences: alertPreferences, errors } = normalizeAlertPreferences(req.body.alertPreferences || {}, undefined, { verifiedEmail: verifiedEmail(req.user) });
+        if (errors.length > 0) {
+            return res.status(400).json(errorBody(req.locale, 'INVALID_ALERT_PREFERENCES', { details: errors }));
+        }
+
+        try {
+            const trackingData = {
+                ...validation.value,
+                userId: req.user.uid,
+                // Default alert recipient; only an address Firebase has verified
+                userEmail: verifiedEmail(req.user),
+                // Price-drop alerts are written in the language the booking was tracked in
+                locale: req.locale,
+                status: 'active',
+                // Null (not missing) so the re-check's query ordered by lastCheckedAt finds it first
+                lastCheckedAt: null,
+                alertPreferences,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const docRef = await db.collection(TRACKED_COLLECTION).add(trackingData);
+            res.json({ success: true, trackingId: docRef.id });
+        } catch (error) {
+            console.error('Tracking error:', error);
+            res.status(500).json(errorBody(req.locale, 'TRACKING_FAILED'));
+        }
+    });
+
+    // Booking data with its status brought up to date; bookings past their expiry are marked expired on read
+    async function withCurrentStatus(doc) {
+        const booking = doc.data();
+        if (resolveStatus(booking) === (booking.status || 'active')) return booking;
+        const update = expiryUpdate(booking);
+        await doc.ref.update(update);
+        return { ...booking, ...update, statusChangedAt: new Date() };
+    }
+
+    // The signed-in user's booking document, or null (other users' bookings are reported as not found)
+    async function getOwnBooking(req) {
+        const doc = await db.collection(TRACKED_COLLECTION).doc(req.params.id).get();
+        return doc.exists && doc.data().userId === req.user.uid ? doc : null;
+    }
+
+    // Get user's tracked bookings with a price summary each (the history is on GET /api/bookings/:id)
+    router.get('/api/my-bookings', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        try {
+            const snapshot = await db.collection(TRACKED_COLLECTION)
+                .where('userId', '==', req.user.uid)
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            const bookings = await Promise.all(snapshot.docs.map(async doc => {
+                const booking = await withCurrentStatus(doc);
+                return {
+                    ...serializeBooking(doc.id, booking),
+                    priceSummary: summarizePriceHistory(booking),
+                    bestPrice: getBestPrice(booking)
+                };
+            }));
+
+            res.json({ bookings });
+        } catch (error) {
+            console.error('Error fetching bookings:', error);
+            res.status(500).json(errorBody(req.locale, 'BOOKINGS_FETCH_FAILED'));
+        }
+    });
+
+    // Money saved across the user's bookings (?currency= for the converted total, default ILS)
+    router.get('/api/bookings/summary', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        const currency = String(req.query.currency || 'ILS').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            return res.status(400).json(errorBody(req.locale, 'INVALID_CURRENCY'));
+        }
+
+        try {
+            const snapshot = await db.collection(TRACKED_COLLECTION)
+                .where('userId', '==', req.user.uid)
+                .get();
+            const bookings = await Promise.all(snapshot.docs.map(withCurrentStatus));
+
+            const convert = async (amount, from) => {
+                try {
+                    const { rate } = await fxConverter.getRate(from, currency);
+                    return rate ? amount * rate : null;
+                } catch (error) {
+                    console.error('⚠️ FX conversion failed for the savings summary:', error.message);
+                    return null;
+                }
+            };
+
+            res.json(await summarizeSavings(bookings, { currency, convert }));
+        } catch (error) {
+            console.error('Error summarizing savings:', error);
+            res.status(500).json(errorBody(req.locale, 'SAVINGS_SUMMARY_FAILED'));
+        }
+    });
+
+    // Get one tracked booking with its price history (the newest PRICE_HISTORY_LIMIT snapshots)
+    router.get('/api/bookings/:id', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        try {
+            const doc = await getOwnBooking(req);
+            if (!doc) {
+                return res.status(404).json(errorBody(req.locale, 'BOOKING_NOT_FOUND'));
+            }
+
+            const booking = await withCurrentStatus(doc);
+            const priceHistory = await getPriceHistory(db, doc.id);
+            res.json({
+                booking: {
+                    ...serializeBooking(doc.id, booking),
+                    priceHistory,
+                    bestPrice: getBestPrice(booking, priceHistory)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching booking:', error);
+            res.status(500).json(errorBody(req.locale, 'BOOKING_FETCH_FAILED'));
+        }
+    });
+
+    // Edit booking details, pause/resume tracking or record a re-booking
+    // ({ status: 'rebooked', rebookedPrice, rebookedSite }; without a price the lowest found price is used)
+    router.patch('/api/bookings/:id', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        try {
+            const doc = await getOwnBooking(req);
+            if (!doc) {
+                return res.status(404).json(errorBody(req.locale, 'BOOKING_NOT_FOUND'));
+            }
+
+            const { update, errors } = normalizeBookingPatch(req.body, doc.data(), undefined, { verifiedEmail: verifiedEmail(req.user) });
+            if (errors.length > 0) {
+                return res.status(400).json(errorBody(req.locale, 'INVALID_BOOKING_UPDATE', { details: errors }));
+            }
+
+            if (Object.keys(update).length > 0) {
+                await doc.ref.update(update);
+            }
+            if (update.status) {
+                console.log(`📌 Booking ${doc.id} is now ${update.status}`);
+            }
+
+            const updated = await doc.ref.get();
+            res.json({ success: true, booking: serializeBooking(doc.id, updated.data()) });
+        } catch (error) {
+            console.error('Error updating booking:', error);
+            res.status(500).json(errorBody(req.locale, 'BOOKING_UPDATE_FAILED'));
+        }
+    });
+
+    // Stop tracking and delete the booking with its price history
+    router.delete('/api/bookings/:id', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        try {
+            const doc = await getOwnBooking(req);
+            if (!doc) {
+                return res.status(404).json(errorBody(req.locale, 'BOOKING_NOT_FOUND'));
+            }
+
+            const [snapshots, alerts] = await Promise.all([
+                doc.ref.collection(SNAPSHOT_COLLECTION).get(),
+                doc.ref.collection(ALERTS_COLLECTION).get()
+            ]);
+            // History first, in batches Firestore accepts; the booking goes last so a failed delete can be retried
+            await commitInChunks(db, [...snapshots.docs, ...alerts.docs], (batch, child) => batch.delete(child.ref));
+            await doc.ref.delete();
+
+            console.log(`🗑️ Booking ${doc.id} deleted with ${snapshots.size} price snapshots and ${alerts.size} alerts`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting booking:', error);
+            res.status(500).json(errorBody(req.locale, 'BOOKING_DELETE_FAILED'));
+        }
+    });
+
+    // Update price-drop alert preferences of a tracked booking
+    router.put('/api/bookings/:id/alerts', verifyFirebaseToken, requireUser, requireStorage, async (req, res) => {
+        try {
+            const docRef = db.collection(TRACKED_COLLECTION).doc(req.params.id);
+            const doc = await docRef.get();
+            if (!doc.exists || doc.data().userId !== req.user.uid) {
+                return res.status(404).json(errorBody(req.locale, 'BOOKING_NOT_FOUND'));
+            }
+
+            const { preferences, errors } = normalizeAlertPreferences(req.body.alertPreferences || req.body, doc.data().alertPreferences, { verifiedEmail: verifiedEmail(req.user) });
+            if (errors.length > 0) {
+                return res.status(400).json(errorBody(req.locale, 'INVALID_ALERT_PREFERENCES', { details: errors }));
+            }
+
+            await docRef.update({ alertPreferences: preferences });
+            res.json({ success: true, alertPreferences: preferences });
+        } catch (error) {
+            console.error('Error updating alert preferences:', error);
+            res.status(500).json(errorBody(req.locale, 'ALERT_PREFERENCES_UPDATE_FAILED'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBookingsRouter };
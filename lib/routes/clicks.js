@@ -0,0 +1,73 @@
+const express = require('express');
+const { parseCsv } = require('../conversions');
+const { errorBody } = require('../i18n');
+const { hasBearerSecret } = require('../middleware');
+
+// Click-outs (/go/:id) and CJ commission ingestion
+function createClicksRouter({ clickTracker, conversionTracker }, { verifyFirebaseToken, requireAdmin, upload }) {
+    const router = express.Router();
+
+    // Click-out: log who clicked which offer from which search, then redirect to the real URL
+    router.get('/go/:id', verifyFirebaseToken, async (req, res) => {
+        try {
+            const result = await clickTracker.recordClick(req.params.id, {
+                userId: req.user?.uid || null,
+                userAgent: req.get('user-agent') || null,
+                referrer: req.get('referer') || null
+            });
+            if (!result) {
+                return res.status(404).json(errorBody(req.locale, 'LINK_NOT_FOUND'));
+            }
+            res.redirect(302, result.url);
+        } catch (error) {
+            console.error('Click-out error:', error);
+            res.status(500).json(errorBody(req.locale, 'LINK_FAILED'));
+        }
+    });
+
+    // CJ commission ingestion: the CJ webhook (Authorization: Bearer <CJ_WEBHOOK_SECRET>) or an admin
+    const verifyConversionSource = (req, res, next) => {
+        const webhookSecret = process.env.CJ_WEBHOOK_SECRET;
+        if (webhookSecret && hasBearerSecret(req, webhookSecret)) {
+            req.conversionSource = 'webhook';
+            return next();
+        }
+        verifyFirebaseToken(req, res, () => requireAdmin(req, res, next));
+    };
+
+    // Accepts a CJ commission-detail CSV (multipart "file" or a text/csv body) or webhook JSON
+    // ({ commissions: [...] }, an array, or a single commission)
+    router.post('/api/conversions/cj', verifyConversionSource, upload.single('file'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+        let rows;
+        let source = req.conversionSource || 'api';
+        if (req.file) {
+            rows = parseCsv(req.file.buffer.toString('utf8'));
+            source = 'csv';
+        } else if (typeof req.body === 'string') {
+            rows = parseCsv(req.body);
+            source = 'csv';
+        } else if (Array.isArray(req.body?.commissions)) {
+            rows = req.body.commissions;
+        } else if (Array.isArray(req.body)) {
+            rows = req.body;
+        } else if (req.body && Object.keys(req.body).length > 0) {
+            rows = [req.body];
+        }
+
+        if (!rows || rows.length === 0) {
+            return res.status(400).json(errorBody(req.locale, 'NO_COMMISSIONS'));
+        }
+
+        try {
+            const summary = await conversionTracker.ingest(rows, source);
+            res.json({ success: true, ...summary });
+        } catch (error) {
+            console.error('Conversion ingestion error:', error);
+            res.status(500).json(errorBody(req.locale, 'CONVERSION_INGEST_FAILED'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createClicksRouter };
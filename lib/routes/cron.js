@@ -0,0 +1,22 @@
+const express = require('express');
+const { errorBody } = require('../i18n');
+
+// Scheduled jobs (see the crons in vercel.json)
+function createCronRouter({ recheckWorker }, { verifyCronSecret, requireStorage }) {
+    const router = express.Router();
+
+    // Cron-triggered re-check of tracked bookings
+    router.get('/api/cron/recheck', verifyCronSecret, requireStorage, async (req, res) => {
+        try {
+            const summary = await recheckWorker.runOnce();
+            res.json({ success: true, ...summary });
+        } catch (error) {
+            console.error('Re-check error:', error);
+            res.status(500).json(errorBody(req.locale, 'RECHECK_FAILED'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCronRouter };
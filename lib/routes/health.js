@@ -0,0 +1,28 @@
+const express = require('express');
+
+// Liveness endpoints
+function createHealthRouter() {
+    const router = express.Router();
+
+    // Health check
+    router.get('/', (req, res) => {
+        res.json({ 
+            status: 'OK', 
+            message: 'PriceDrop AI Server is running',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Ping endpoint
+    router.get('/ping', (req, res) => {
+        res.json({ 
+            status: 'SUCCESS', 
+            message: 'Server is working!',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
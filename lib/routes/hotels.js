@@ -0,0 +1,29 @@
+const express = require('express');
+const { summarizeHotel } = require('../hotels');
+const { errorBody } = require('../i18n');
+
+// Hotel lookup for manual entry and for editing a booking: the same resolution /api/analyze-file runs
+function createHotelsRouter({ hotelDirectory }) {
+    const router = express.Router();
+
+    // ?name=&city=&country=&address= -> { status, hotel, candidates }
+    router.get('/api/hotels/resolve', async (req, res) => {
+        const { name, city, country, address } = req.query;
+        if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+            return res.status(400).json(errorBody(req.locale, 'HOTEL_NAME_REQUIRED'));
+        }
+
+        try {
+            await hotelDirectory.refresh();
+            const resolution = hotelDirectory.resolve({ hotel_name: name, city, country, address });
+            res.json({ ...resolution, hotel: summarizeHotel(resolution.hotel) });
+        } catch (error) {
+            console.error('Hotel resolution error:', error);
+            res.status(500).json(errorBody(req.locale, 'HOTEL_RESOLUTION_FAILED'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createHotelsRouter };
@@ -0,0 +1,111 @@
+const express = require('express');
+const { parseSearchRequest } = require('../priceSearch');
+const { translate } = require('../i18n');
+
+// Heartbeat interval of the search stream
+const SSE_HEARTBEAT_MS = 15000;
+
+function parseStreamBookingData(req) {
+    if (req.method !== 'GET') return req.body?.bookingData;
+    try {
+        return req.query.bookingData ? JSON.parse(req.query.bookingData) : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// Who searched, in which language, and where /go links should point
+function searchContext(req) {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.headers['x-forwarded-proto'] || req.protocol}://${req.get('host')}`;
+    return { userId: req.user?.uid || null, locale: req.locale, baseUrl: baseUrl.replace(/\/$/, '') };
+}
+
+// Body of a search that failed unexpectedly
+function searchFailure(req, error) {
+    return {
+        status: 'ERROR',
+        code: 'SEARCH_FAILED',
+        message: translate(req.locale, 'errors.SEARCH_FAILED'),
+        error: error.message
+    };
+}
+
+// Price search routes; the search itself is in lib/priceSearch.js
+function createSearchRouter({ priceSearch }, { verifyFirebaseToken, rateLimit }) {
+    const router = express.Router();
+    const searchQuota = rateLimit('search');
+
+    router.post('/api/search', verifyFirebaseToken, searchQuota, async (req, res) => {
+        const parsed = parseSearchRequest(req.body?.bookingData, req.query, req.locale);
+        if (parsed.error) {
+            return res.status(parsed.error.status).json(parsed.error.body);
+        }
+
+        try {
+            res.json(await priceSearch.runPriceSearch(parsed.bookingData, parsed.rankingOptions, undefined, searchContext(req)));
+        } catch (error) {
+            console.error('❌ Search error:', error);
+            res.status(500).json(searchFailure(req, error));
+        }
+    });
+
+    // Same search as /api/search, streamed as Server-Sent Events:
+    // broad_search_started, partner_search_started, broad_search_finished, partner_search_finished, decision, result
+    // Failures arrive as "search_error" events: { type: invalid_request | provider_error | search_failed, fatal, ... }
+    // (not "error", which EventSource also fires for connection problems).
+    // POST takes the usual JSON body; GET (for EventSource) takes ?bookingData=<JSON>. The search is aborted
+    // when the client disconnects.
+    async function handleSearchStream(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // A close before the stream has ended is the client going away. (req emits 'close' as soon as the
+        // body has been read, so the response is watched instead.)
+        let closed = false;
+        const abort = new AbortController();
+        res.on('close', () => {
+            closed = true;
+            if (!res.writableEnded) abort.abort();
+        });
+        const emit = (event, data) => {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        // Comment lines keep proxies from closing a quiet connection while the providers work
+        const heartbeat = setInterval(() => {
+            if (!closed) res.write(': ping\n\n');
+        }, SSE_HEARTBEAT_MS);
+
+        try {
+            const parsed = parseSearchRequest(parseStreamBookingData(req), req.query, req.locale);
+            if (parsed.error) {
+                emit('search_error', { type: 'invalid_request', fatal: true, ...parsed.error.body });
+                return;
+            }
+            const context = { ...searchContext(req), signal: abort.signal };
+            emit('result', await priceSearch.runPriceSearch(parsed.bookingData, parsed.rankingOptions, emit, context));
+        } catch (error) {
+            if (abort.signal.aborted) {
+                console.log('🔌 Search stream closed by the client, search aborted');
+                return;
+            }
+            console.error('❌ Search stream error:', error);
+            emit('search_error', { type: 'search_failed', fatal: true, ...searchFailure(req, error) });
+        } finally {
+            clearInterval(heartbeat);
+            res.end();
+        }
+    }
+
+    router.post('/api/search/stream', verifyFirebaseToken, searchQuota, handleSearchStream);
+    router.get('/api/search/stream', verifyFirebaseToken, searchQuota, handleSearchStream);
+
+    return router;
+}
+
+module.exports = { createSearchRouter, searchContext };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { normalizeMealPlan } = require('./conditions');
+
+// Cache for provider search results, keyed by what actually changes the prices:
+// hotel, dates, occupancy, conditions, currency and search scope.
+
+const CACHE_COLLECTION = 'searchCache';
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+function normalizeHotelName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKC')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeText(value) {
+    return value ? String(value).toLowerCase().replace(/\s+/g, ' ').trim() : null;
+}
+
+// Stable cache key for a search query + scope (same input -> same key, regardless of casing/spacing/age order)
+function buildSearchKey(query, scope) {
+    const occupancy = query.occupancy || {};
+    const conditions = query.conditions || {};
+    const normalized = {
+        scope,
+        hotel: normalizeHotelName(query.hotel_name),
+        hotel_id: query.hotel_id || null,
+        check_in: query.check_in_date || null,
+        check_out: query.check_out_date || null,
+        currency: (query.currency || '').toUpperCase() || null,
+        rooms: occupancy.rooms || null,
+        adults: occupancy.adults || null,
+        child_ages: [...(occupancy.child_ages || [])].sort((a, b) => a - b),
+        room_type: normalizeText(conditions.room_type),
+        meal_plan: normalizeMealPlan(conditions.meal_plan, conditions.breakfast_included ?? null),
+        free_cancellation: typeof conditions.free_cancellation === 'boolean' ? conditions.free_cancellation : null,
+        cancellation_policy: normalizeText(conditions.cancellation_policy),
+        provider_ids: query.providerIds || null
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+// In-process store; entries expire lazily on read and are swept when the store grows
+function createMemoryCacheStore({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+
+    function sweep(now) {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+        // Still too big: drop the oldest insertions
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+            if (entries.size > maxEntries) sweep(Date.now());
+        },
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+// Firestore store shared by every server instance; the value is kept as a JSON string so offers never hit Firestore's type rules
+function createFirestoreCacheStore(db, { collection = CACHE_COLLECTION } = {}) {
+    return {
+        name: 'firestore',
+        async get(key) {
+            const doc = await db.collection(collection).doc(key).get();
+            if (!doc.exists) return null;
+            const { payload, expiresAt } = doc.data();
+            if (!expiresAt || expiresAt.toMillis() <= Date.now()) return null;
+            return JSON.parse(payload);
+        },
+        async set(key, value, ttlSeconds) {
+            await db.collection(collection).doc(key).set({
+                payload: JSON.stringify(value),
+                expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ttlSeconds * 1000),
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+    };
+}
+
+// SEARCH_CACHE_BACKEND: memory (default), firestore (needs db) or none
+function createDefaultCacheStore(db, backend = process.env.SEARCH_CACHE_BACKEND || 'memory') {
+    if (backend === 'none') return null;
+    if (backend === 'firestore') {
+        if (db) return createFirestoreCacheStore(db);
+        console.warn('⚠️ SEARCH_CACHE_BACKEND=firestore but Firestore is not available - using the memory cache');
+    }
+    return createMemoryCacheStore();
+}
+
+// Settle with the promise, or reject as soon as the signal aborts (the promise itself keeps running)
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Wrap a searchOffers(query, scope, { signal }) function with the cache and in-flight de-duplication.
+// The result gets cache: 'hit' | 'miss' | 'shared' | 'disabled'. A caller's signal stops its own wait; the
+// provider search is cancelled once every caller waiting for it has aborted.
+function createSearchCache({
+    searchOffers,
+    store = createMemoryCacheStore(),
+    ttlSeconds = Number(process.env.SEARCH_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS
+}) {
+    // key -> { promise, controller, waiters }
+    const inFlight = new Map();
+
+    async function readCache(key) {
+        try {
+            return await store.get(key);
+        } catch (error) {
+            console.error('⚠️ Search cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    async function fetchAndStore(key, query, scope, signal) {
+        const result = await searchOffers(query, scope, { signal });
+        // Only complete answers are cached; a failed provider or FX conversion should be retried on the next search
+        if (result.errors.length === 0 && result.offers.every(offer => offer.converted !== false)) {
+            store.set(key, result, ttlSeconds).catch(error => console.error('⚠️ Search cache write failed:', error.message));
+        }
+        return result;
+    }
+
+    function startSearch(key, query, scope) {
+        const controller = new AbortController();
+        const promise = (async () => {
+            const cached = await readCache(key);
+            if (cached) return { ...cached, cache: 'hit' };
+            return { ...(await fetchAndStore(key, query, scope, controller.signal)), cache: 'miss' };
+        })();
+        const entry = { promise, controller, waiters: 0 };
+        inFlight.set(key, entry);
+        promise.catch(() => {}).finally(() => {
+            if (inFlight.get(key) === entry) inFlight.delete(key);
+        });
+        return entry;
+    }
+
+    async function cachedSearchOffers(query, scope, { signal } = {}) {
+        if (!store) return { ...(await searchOffers(query, scope, { signal })), cache: 'disabled' };
+
+        const key = buildSearchKey(query, scope);
+
+        // An identical search is already running - wait for it instead of calling the providers again
+        const shared = inFlight.get(key);
+        const entry = shared || startSearch(key, query, scope);
+
+        entry.waiters++;
+        try {
+            const result = await untilAborted(entry.promise, signal);
+            return shared ? { ...result, cache: 'shared' } : result;
+        } finally {
+            entry.waiters--;
+            if (entry.waiters === 0 && signal?.aborted) {
+                if (inFlight.get(key) === entry) inFlight.delete(key);
+                entry.controller.abort(signal.reason);
+            }
+        }
+    }
+
+    return { searchOffers: cachedSearchOffers, store, ttlSeconds };
+}
+
+module.exports = {
+    CACHE_COLLECTION,
+    DEFAULT_TTL_SECONDS,
+    buildSearchKey,
+    createMemoryCacheStore,
+    createFirestoreCacheStore,
+    createDefaultCacheStore,
+    createSearchCache
+};
@@ -0,0 +1,93 @@
+const os = require('os');
+const path = require('path');
+const admin = require('firebase-admin');
+const { MAX_BATCH_WRITES, createLocalFirestore } = require('./localFirestore');
+
+// Storage for tracking, clicks, conversions and the other Firestore-backed features.
+// Every backend exposes the Firestore Admin API (db.collection(...)), so the modules in lib/ don't change with it.
+
+const STORAGE_BACKENDS = ['firestore', 'local', 'memory', 'none'];
+const DEFAULT_LOCAL_DB_FILE = path.join(os.tmpdir(), 'pricedrop-local-db.json');
+const DEFAULT_EMULATOR_PROJECT_ID = 'demo-pricedrop';
+
+function usesEmulator() {
+    return Boolean(process.env.FIRESTORE_EMULATOR_HOST || process.env.FIREBASE_AUTH_EMULATOR_HOST);
+}
+
+// Firebase Admin app: with the Firestore/Auth emulators (FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST)
+// only a project ID is needed, otherwise the service account in GOOGLE_APPLICATION_CREDENTIALS. Null without either.
+function initializeFirebase() {
+    if (admin.apps.length > 0) return admin.app();
+
+    if (usesEmulator()) {
+        const projectId = process.env.FIREBASE_PROJECT_ID || process.env.GCLOUD_PROJECT || DEFAULT_EMULATOR_PROJECT_ID;
+        const app = admin.initializeApp({ projectId });
+        console.log(`✅ Firebase Admin SDK using the emulators (project ${projectId})`);
+        return app;
+    }
+
+    try {
+        const serviceAccount = require(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+        const app = admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount)
+        });
+        console.log('✅ Firebase Admin SDK initialized successfully.');
+        return app;
+    } catch (e) {
+        console.warn('⚠️ Firebase Admin SDK not initialized or key not found.');
+        return null;
+    }
+}
+
+// STORAGE_BACKEND: firestore, local (JSON file at LOCAL_DB_FILE), memory or none.
+// The default is firestore when Firebase is available; without it, memory in development and none in
+// production, so a deployment missing its credentials reports storage as unavailable instead of losing data.
+// Returns { db, backend } with db null for "none".
+function createStorage({ backend = process.env.STORAGE_BACKEND, firebaseApp = null, localFile = process.env.LOCAL_DB_FILE || DEFAULT_LOCAL_DB_FILE } = {}) {
+    let selected = backend;
+    if (!selected) {
+        if (firebaseApp) selected = 'firestore';
+        else selected = process.env.NODE_ENV === 'production' ? 'none' : 'memory';
+    }
+    if (!STORAGE_BACKENDS.includes(selected)) {
+        console.error(`⚠️ Unknown STORAGE_BACKEND "${selected}" - storage is disabled`);
+        selected = 'none';
+    }
+    if (selected === 'firestore' && !firebaseApp) {
+        console.error('⚠️ STORAGE_BACKEND=firestore but Firebase is not initialized - storage is disabled');
+        selected = 'none';
+    }
+
+    switch (selected) {
+        case 'firestore':
+            return { db: firebaseApp.firestore(), backend: 'firestore' };
+        case 'local':
+            console.log(`💾 Local datastore: ${localFile}`);
+            return { db: createLocalFirestore({ filePath: localFile }), backend: 'local' };
+        case 'memory':
+            console.log('💾 In-memory datastore (data is lost on restart)');
+            return { db: createLocalFirestore(), backend: 'memory' };
+        default:
+            console.warn('⚠️ No datastore - tracking and user features are unavailable');
+            return { db: null, backend: 'none' };
+    }
+}
+
+// Write batches of at most MAX_BATCH_WRITES: write(batch, item) adds one item's write. Returns the items written.
+async function commitInChunks(db, items, write) {
+    for (let start = 0; start < items.length; start += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        items.slice(start, start + MAX_BATCH_WRITES).forEach(item => write(batch, item));
+        await batch.commit();
+    }
+    return items.length;
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    MAX_BATCH_WRITES,
+    commitInChunks,
+    initializeFirebase,
+    createStorage,
+    createLocalFirestore
+};
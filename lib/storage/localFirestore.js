@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Local stand-in for Firestore: the subset of the Admin SDK API this app uses (collections, subcollections,
+// get/set/update/delete/add, where/orderBy/limit queries, batches and FieldValue transforms), kept in memory
+// and optionally saved to a JSON file. For offline development and tests only - no transactions or indexes.
+
+const { Timestamp, FieldValue } = admin.firestore;
+
+// Firestore's limit on writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function autoId() {
+    const bytes = crypto.randomBytes(20);
+    return [...bytes].map(byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+function notFound(docPath) {
+    const error = new Error(`5 NOT_FOUND: No document to update: ${docPath}`);
+    error.code = 5;
+    return error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Deep copy; Dates become Timestamps as they do when written to Firestore
+function clone(value) {
+    if (value instanceof Timestamp) return Timestamp.fromMillis(value.toMillis());
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    return value;
+}
+
+function getField(data, fieldPath) {
+    return String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Apply a written value (possibly a FieldValue transform) onto the current one
+function applyValue(current, value) {
+    if (value instanceof FieldValue) {
+        switch (value.methodName) {
+            case 'FieldValue.serverTimestamp': return Timestamp.now();
+            case 'FieldValue.increment': return (typeof current === 'number' ? current : 0) + value.operand;
+            case 'FieldValue.arrayUnion': {
+                const list = Array.isArray(current) ? [...current] : [];
+                value.elements.forEach(element => { if (!list.some(item => compareValues(item, element) === 0)) list.push(clone(element)); });
+                return list;
+            }
+            case 'FieldValue.arrayRemove':
+                return (Array.isArray(current) ? current : []).filter(item => !value.elements.some(element => compareValues(item, element) === 0));
+            default:
+                throw new Error(`${value.methodName} is not supported by the local datastore`);
+        }
+    }
+    return clone(value);
+}
+
+function isDeleteSentinel(value) {
+    return value instanceof FieldValue && value.methodName === 'FieldValue.delete';
+}
+
+// Write fields into target; nested objects are merged when merge is true
+function writeFields(target, fields, merge) {
+    for (const [key, value] of Object.entries(fields)) {
+        if (isDeleteSentinel(value)) {
+            delete target[key];
+        } else if (merge && isPlainObject(value) && isPlainObject(target[key])) {
+            writeFields(target[key], value, true);
+        } else if (merge && isPlainObject(value)) {
+            target[key] = {};
+            writeFields(target[key], value, true);
+        } else {
+            target[key] = applyValue(target[key], value);
+        }
+    }
+    return target;
+}
+
+// update() takes dotted field paths: { 'a.b': 1 } sets data.a.b
+function updateFields(target, fields) {
+    for (const [fieldPath, value] of Object.entries(fields)) {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            if (!isPlainObject(object[key])) object[key] = {};
+            return object[key];
+        }, target);
+        if (isDeleteSentinel(value)) delete parent[last];
+        else parent[last] = applyValue(parent[last], value);
+    }
+    return target;
+}
+
+function comparable(value) {
+    if (value instanceof Timestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function compareValues(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+    // As in Firestore, null sorts before every other value
+    if (left === null || right === null) return left === right ? 0 : (left === null ? -1 : 1);
+    if (typeof left !== typeof right) return String(typeof left).localeCompare(typeof right);
+    if (left === right) return 0;
+    if (typeof left === 'object') return JSON.stringify(left).localeCompare(JSON.stringify(right));
+    return left < right ? -1 : 1;
+}
+
+const OPERATORS = {
+    '==': (value, operand) => compareValues(value, operand) === 0,
+    '!=': (value, operand) => compareValues(value, operand) !== 0,
+    '<': (value, operand) => typeof comparable(value) === typeof comparable(operand) && compareValues(value, operand) < 0,
+    '<=': (value, operand) => typeof comparable(value) === typeof comparable(operand) && compareValues(value, operand) <= 0,
+    '>': (value, operand) => typeof comparable(value) === typeof comparable(operand) && compareValues(value, operand) > 0,
+    '>=': (value, operand) => typeof comparable(value) === typeof comparable(operand) && compareValues(value, operand) >= 0,
+    'in': (value, operand) => operand.some(item => compareValues(value, item) === 0),
+    'not-in': (value, operand) => !operand.some(item => compareValues(value, item) === 0),
+    'array-contains': (value, operand) => Array.isArray(value) && value.some(item => compareValues(item, operand) === 0),
+    'array-contains-any': (value, operand) => Array.isArray(value) && value.some(item => operand.some(wanted => compareValues(item, wanted) === 0))
+};
+
+// File format: Timestamps as { "__timestamp__": millis }
+function serialize(documents) {
+    const encode = value => {
+        if (value instanceof Timestamp) return { __timestamp__: value.toMillis() };
+        if (Array.isArray(value)) return value.map(encode);
+        if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+        return value;
+    };
+    return JSON.stringify(Object.fromEntries([...documents].map(([docPath, data]) => [docPath, encode(data)])), null, 2);
+}
+
+function deserialize(text) {
+    const decode = value => {
+        if (Array.isArray(value)) return value.map(decode);
+        if (isPlainObject(value)) {
+            if (typeof value.__timestamp__ === 'number') return Timestamp.fromMillis(value.__timestamp__);
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decode(item)]));
+        }
+        return value;
+    };
+    return new Map(Object.entries(JSON.parse(text)).map(([docPath, data]) => [docPath, decode(data)]));
+}
+
+// filePath: JSON file to load from and save to after every write; null keeps everything in memory
+function createLocalFirestore({ filePath = null } = {}) {
+    let documents = new Map();
+
+    if (filePath && fs.existsSync(filePath)) {
+        try {
+            documents = deserialize(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error(`⚠️ Could not read local datastore ${filePath}, starting empty:`, error.message);
+        }
+    }
+
+    function persist() {
+        if (!filePath) return;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempFile = `${filePath}.tmp`;
+        fs.writeFileSync(tempFile, serialize(documents));
+        fs.renameSync(tempFile, filePath);
+    }
+
+    function snapshotOf(ref) {
+        const data = documents.get(ref.path);
+        return {
+            id: ref.id,
+            ref,
+            exists: data !== undefined,
+            data: () => (data === undefined ? undefined : clone(data)),
+            get: fieldPath => clone(getField(data, fieldPath))
+        };
+    }
+
+    function querySnapshot(docs) {
+        return {
+            docs,
+            empty: docs.length === 0,
+            size: docs.length,
+            forEach: callback => docs.forEach(callback)
+        };
+    }
+
+    // Write operations are checked first and then applied together (used by batches as well)
+    function applyWrites(writes) {
+        for (const write of writes) {
+            if (write.type === 'update' && !documents.has(write.ref.path)) throw notFound(write.ref.path);
+        }
+        for (const write of writes) {
+            if (write.type === 'delete') {
+                documents.delete(write.ref.path);
+            } else if (write.type === 'set') {
+                const base = write.merge ? clone(documents.get(write.ref.path) || {}) : {};
+                documents.set(write.ref.path, writeFields(base, write.data, write.merge));
+            } else {
+                documents.set(write.ref.path, updateFields(clone(documents.get(write.ref.path)), write.data));
+            }
+        }
+        persist();
+    }
+
+    function docRef(docPath) {
+        const ref = {
+            id: docPath.split('/').pop(),
+            path: docPath,
+            collection: name => collectionRef(`${docPath}/${name}`),
+            get: async () => snapshotOf(ref),
+            set: async (data, options = {}) => { applyWrites([{ type: 'set', ref, data, merge: Boolean(options.merge) }]); },
+            update: async data => { applyWrites([{ type: 'update', ref, data }]); },
+            delete: async () => { applyWrites([{ type: 'delete', ref }]); }
+        };
+        return ref;
+    }
+
+    function query(collectionPath, { filters = [], orders = [], max = null } = {}) {
+        const state = { filters, orders, max };
+        return {
+            where: (field, op, value) => {
+                if (!OPERATORS[op]) throw new Error(`Operator ${op} is not supported by the local datastore`);
+                return query(collectionPath, { ...state, filters: [...filters, { field, op, value }] });
+            },
+            orderBy: (field, direction = 'asc') => query(collectionPath, { ...state, orders: [...orders, { field, direction }] }),
+            limit: count => query(collectionPath, { ...state, max: count }),
+            get: async () => {
+                const prefix = `${collectionPath}/`;
+                let docs = [...documents.keys()]
+                    .filter(docPath => docPath.startsWith(prefix) && !docPath.slice(prefix.length).includes('/'))
+                    .map(docPath => snapshotOf(docRef(docPath)));
+
+                // As in Firestore, documents without a filtered or ordered field are left out
+                docs = docs.filter(doc => filters.every(({ field, op, value }) => {
+                    const fieldValue = getField(documents.get(doc.ref.path), field);
+                    return fieldValue !== undefined && OPERATORS[op](fieldValue, value);
+                }));
+                docs = docs.filter(doc => orders.every(({ field }) => getField(documents.get(doc.ref.path), field) !== undefined));
+                docs.sort((a, b) => {
+                    for (const { field, direction } of orders) {
+                        const order = compareValues(getField(documents.get(a.ref.path), field), getField(documents.get(b.ref.path), field));
+                        if (order !== 0) return direction === 'desc' ? -order : order;
+                    }
+                    return a.id.localeCompare(b.id);
+                });
+                return querySnapshot(max === null ? docs : docs.slice(0, max));
+            }
+        };
+    }
+
+    function collectionRef(collectionPath) {
+        return {
+            id: collectionPath.split('/').pop(),
+            path: collectionPath,
+            doc: (id = autoId()) => docRef(`${collectionPath}/${id}`),
+            add: async data => {
+                const ref = docRef(`${collectionPath}/${autoId()}`);
+                applyWrites([{ type: 'set', ref, data, merge: false }]);
+                return ref;
+            },
+            ...query(collectionPath)
+        };
+    }
+
+    function batch() {
+        const writes = [];
+        const writeBatch = {
+            set: (ref, data, options = {}) => { writes.push({ type: 'set', ref, data, merge: Boolean(options.merge) }); return writeBatch; },
+            update: (ref, data) => { writes.push({ type: 'update', ref, data }); return writeBatch; },
+            delete: ref => { writes.push({ type: 'delete', ref }); return writeBatch; },
+            commit: async () => {
+                // Firestore rejects larger batches; keep that failure visible offline
+                if (writes.length > MAX_BATCH_WRITES) {
+                    throw new Error(`3 INVALID_ARGUMENT: maximum ${MAX_BATCH_WRITES} writes allowed per request`);
+                }
+                applyWrites(writes);
+            }
+        };
+        return writeBatch;
+    }
+
+    return {
+        collection: name => collectionRef(name),
+        doc: docPath => docRef(docPath),
+        batch,
+        // Test helper: drop every document
+        reset() {
+            documents = new Map();
+            persist();
+        }
+    };
+}
+
+module.exports = { MAX_BATCH_WRITES, createLocalFirestore };
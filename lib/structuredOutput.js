@@ -0,0 +1,281 @@
+// Structured output from Gemini: JSON-mode request config, tolerant JSON extraction/repair,
+// and validation against per-call schemas. Schemas use Gemini's responseSchema format
+// (type, nullable, properties, required, items, enum) so the same object drives both sides.
+
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+class LlmOutputError extends Error {
+    // code: LLM_NO_JSON | LLM_INVALID_JSON | LLM_SCHEMA_MISMATCH
+    constructor(code, message, { schema = null, issues = [], raw = null } = {}) {
+        super(message);
+        this.name = 'LlmOutputError';
+        this.code = code;
+        this.schema = schema;
+        this.issues = issues;
+        this.raw = raw ? raw.substring(0, 500) : null;
+    }
+}
+
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+
+const EXTRACTION_SCHEMA = {
+    name: 'extraction_result',
+    type: 'OBJECT',
+    properties: {
+        hotel_name: nullable('STRING'),
+        address: nullable('STRING'),
+        city: nullable('STRING'),
+        country: nullable('STRING'),
+        check_in_date: nullable('STRING', { description: 'YYYY-MM-DD' }),
+        check_out_date: nullable('STRING', { description: 'YYYY-MM-DD' }),
+        original_price: nullable('NUMBER'),
+        currency: nullable('STRING'),
+        room_type: nullable('STRING'),
+        num_rooms: nullable('INTEGER'),
+        adults: nullable('INTEGER'),
+        children: nullable('INTEGER'),
+        child_ages: nullable('ARRAY', { items: { type: 'INTEGER' } }),
+        free_cancellation: nullable('BOOLEAN'),
+        breakfast_included: nullable('BOOLEAN'),
+        cancellation_policy: nullable('STRING'),
+        meal_plan: nullable('STRING')
+    },
+    required: ['hotel_name', 'check_in_date', 'check_out_date', 'original_price']
+};
+
+const OFFER_PROPERTIES = {
+    site: { type: 'STRING' },
+    price: nullable('NUMBER'),
+    currency: nullable('STRING'),
+    room_type: nullable('STRING'),
+    free_cancellation: nullable('BOOLEAN'),
+    cancellation_policy: nullable('STRING'),
+    meal_plan: nullable('STRING'),
+    conditions_match: nullable('BOOLEAN'),
+    direct_link: nullable('STRING')
+};
+
+const BROAD_OFFER_SCHEMA = {
+    name: 'broad_offer',
+    type: 'OBJECT',
+    properties: OFFER_PROPERTIES,
+    required: ['site', 'price']
+};
+
+const PARTNER_OFFER_SCHEMA = {
+    name: 'partner_offer',
+    type: 'OBJECT',
+    properties: { ...OFFER_PROPERTIES, partnerId: nullable('STRING') },
+    required: ['site', 'price']
+};
+
+// generationConfig asking Gemini for JSON that follows the schema (not combinable with the search tool)
+function jsonModeConfig(schema) {
+    const { name, ...responseSchema } = schema;
+    return { responseMimeType: 'application/json', responseSchema };
+}
+
+// ---------- Extraction and repair ----------
+
+// Balanced {...} blocks in order of appearance, ignoring braces inside strings
+function findJsonObjects(text) {
+    const objects = [];
+    let depth = 0;
+    let start = -1;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+            continue;
+        }
+        if (char === '"' && depth > 0) {
+            quote = char;
+        } else if (char === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (char === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) objects.push(text.slice(start, i + 1));
+        }
+    }
+    return objects;
+}
+
+// Common LLM JSON slips: smart quotes, comments, trailing commas, unquoted keys, Python literals
+function repairJson(text) {
+    return text
+        .replace(/[“”]/g, '"')
+        .replace(/[‘’]/g, "'")
+        .replace(/^\s*\/\/.*$/gm, '')
+        .replace(/,\s*([}\]])/g, '$1')
+        .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":')
+        .replace(/:\s*'([^'"]*)'/g, ': "$1"')
+        .replace(/:\s*True\b/g, ': true')
+        .replace(/:\s*False\b/g, ': false')
+        .replace(/:\s*(None|NaN|undefined)\b/g, ': null');
+}
+
+function tryParse(text) {
+    for (const candidate of [text, repairJson(text)]) {
+        try {
+            const value = JSON.parse(candidate);
+            if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+        } catch (e) {
+            // try the next candidate
+        }
+    }
+    return undefined;
+}
+
+// Every JSON object the text plausibly contains: fenced blocks first, then the whole text, then embedded objects
+function extractJsonCandidates(text) {
+    const fenced = [...text.matchAll(/```(?:json)?\s*([\s\S]*?)```/gi)].map(match => match[1].trim());
+    const sources = [...fenced, text.trim()];
+    const candidates = [];
+    for (const source of sources) {
+        const whole = tryParse(source);
+        if (whole) candidates.push(whole);
+        for (const block of findJsonObjects(source)) {
+            const parsed = tryParse(block);
+            if (parsed) candidates.push(parsed);
+        }
+    }
+    return candidates;
+}
+
+// ---------- Validation ----------
+
+// Numbers often come back as "3,590" or "3590.00 ILS"
+function coerceNumber(value) {
+    if (typeof value !== 'string') return value;
+    const match = value.replace(/,/g, '').match(/^\s*[^\d-]*(-?\d+(\.\d+)?)\s*[A-Za-z₪$€£]*\s*$/);
+    return match ? Number(match[1]) : value;
+}
+
+function validateValue(value, schema, path, issues) {
+    // "N/A", "unknown" and friends mean the model had no value
+    if (schema.nullable && typeof value === 'string' && /^\s*(n\/?a|unknown|none|null|-)?\s*$/i.test(value)) {
+        return null;
+    }
+    if (value === null || value === undefined) {
+        if (!schema.nullable) issues.push({ path, message: 'must not be null' });
+        return null;
+    }
+
+    switch (schema.type) {
+        case 'OBJECT': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                issues.push({ path, message: 'must be an object' });
+                return value;
+            }
+            const result = { ...value };
+            for (const field of schema.required || []) {
+                if (!(field in value)) issues.push({ path: path ? `${path}.${field}` : field, message: 'is required' });
+            }
+            for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+                if (field in value) result[field] = validateValue(value[field], fieldSchema, path ? `${path}.${field}` : field, issues);
+            }
+            return result;
+        }
+        case 'ARRAY':
+            if (!Array.isArray(value)) {
+                issues.push({ path, message: 'must be an array' });
+                return value;
+            }
+            return value.map((item, index) => validateValue(item, schema.items || {}, `${path}[${index}]`, issues));
+        case 'NUMBER':
+        case 'INTEGER': {
+            const number = coerceNumber(value);
+            if (typeof number !== 'number' || !isFinite(number) || (schema.type === 'INTEGER' && !Number.isInteger(number))) {
+                issues.push({ path, message: `must be ${schema.type === 'INTEGER' ? 'an integer' : 'a number'}` });
+                return value;
+            }
+            return number;
+        }
+        case 'BOOLEAN':
+            if (value === 'true' || value === 'false') return value === 'true';
+            if (typeof value !== 'boolean') issues.push({ path, message: 'must be true or false' });
+            return value;
+        case 'STRING':
+            if (typeof value !== 'string') {
+                issues.push({ path, message: 'must be a string' });
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                issues.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+            }
+            return value;
+        default:
+            return value;
+    }
+}
+
+// Returns { valid, value, issues } where value has numbers/booleans coerced
+function validateAgainstSchema(value, schema) {
+    const issues = [];
+    const coerced = validateValue(value, schema, '', issues);
+    return { valid: issues.length === 0, value: coerced, issues };
+}
+
+// Parse model text into a schema-valid object or throw LlmOutputError.
+// With several JSON objects in the text the first valid one wins.
+function parseStructuredOutput(text, schema) {
+    if (!text || typeof text !== 'string') {
+        throw new LlmOutputError('LLM_NO_JSON', `Empty ${schema.name} response`, { schema: schema.name });
+    }
+
+    const candidates = extractJsonCandidates(text);
+    if (candidates.length === 0) {
+        const code = text.includes('{') ? 'LLM_INVALID_JSON' : 'LLM_NO_JSON';
+        throw new LlmOutputError(code, `No parsable JSON in ${schema.name} response`, { schema: schema.name, raw: text });
+    }
+
+    let firstIssues = null;
+    for (const candidate of candidates) {
+        const result = validateAgainstSchema(candidate, schema);
+        if (result.valid) return result.value;
+        firstIssues = firstIssues || result.issues;
+    }
+    throw new LlmOutputError('LLM_SCHEMA_MISMATCH', `${schema.name} response does not match the expected schema`, {
+        schema: schema.name,
+        issues: firstIssues,
+        raw: text
+    });
+}
+
+// ---------- Client-facing mapping ----------
+
+// HTTP status + stable code + message (in the given locale) for errors raised by the LLM layer; null for anything else
+function describeLlmError(error, locale = DEFAULT_LOCALE) {
+    const message = key => translate(locale, `errors.${key}`);
+    if (error instanceof LlmOutputError) {
+        return { status: 502, code: error.code, message: message('LLM_INVALID_OUTPUT'), issues: error.issues };
+    }
+    switch (error.code) {
+        case 'LLM_BUDGET_EXCEEDED':
+            return { status: 503, code: error.code, message: message('LLM_BUDGET_EXCEEDED') };
+        case 'LLM_NOT_CONFIGURED':
+        case 'LLM_FIXTURE_MISSING':
+            return { status: 503, code: error.code, message: message('LLM_NOT_CONFIGURED') };
+        case 'LLM_TIMEOUT':
+            return { status: 503, code: 'LLM_UNAVAILABLE', message: message('LLM_UNAVAILABLE') };
+        default:
+            if ([429, 503].includes(error.response?.status) || error.code === 'ECONNRESET') {
+                return { status: 503, code: 'LLM_UNAVAILABLE', message: message('LLM_UNAVAILABLE') };
+            }
+            return null;
+    }
+}
+
+module.exports = {
+    LlmOutputError,
+    EXTRACTION_SCHEMA,
+    BROAD_OFFER_SCHEMA,
+    PARTNER_OFFER_SCHEMA,
+    jsonModeConfig,
+    extractJsonCandidates,
+    repairJson,
+    validateAgainstSchema,
+    parseStructuredOutput,
+    describeLlmError
+};
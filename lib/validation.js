@@ -0,0 +1,211 @@
+const { detectPromptInjection } = require('./guard');
+const { MAX_OCCUPANCY } = require('./occupancy');
+
+// Booking data validation (extraction results and /api/search input) and per-field confidence
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+const MAX_STAY_NIGHTS = 90;
+
+// Fields a search cannot run without; these are also the ones we ask the user to confirm
+const REQUIRED_FOR_SEARCH = ['hotel_name', 'check_in_date', 'check_out_date', 'original_price'];
+const CONFIRM_THRESHOLD = 0.7;
+
+// How much we trust text pulled from each kind of document (see lib/documents.js)
+const SOURCE_CONFIDENCE = {
+    pdf_text: 0.9,
+    email: 0.9,
+    html: 0.9,
+    text: 0.85,
+    pdf_inline: 0.75,
+    image: 0.7
+};
+
+function fieldError(field, code, message) {
+    return { field, code, message };
+}
+
+function isValidISODate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function nightsBetween(checkIn, checkOut) {
+    return Math.round((new Date(`${checkOut}T00:00:00Z`) - new Date(`${checkIn}T00:00:00Z`)) / 86400000);
+}
+
+// "4,000" / "4000.50" -> number; anything else is left as-is for the type check
+function coerceNumber(value) {
+    if (typeof value === 'string' && /^\s*\d[\d,]*(\.\d+)?\s*$/.test(value)) {
+        return Number(value.replace(/,/g, ''));
+    }
+    return value;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Validate booking data. With required: true the search fields must be present.
+// Returns { valid, errors: [{ field, code, message }], value } where value is the normalized data.
+function validateBookingData(data, { required = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: [fieldError('bookingData', 'invalid_type', 'bookingData must be an object')], value: {} };
+    }
+
+    const errors = [];
+    const value = { ...data };
+
+    if (required) {
+        for (const field of REQUIRED_FOR_SEARCH) {
+            if (isBlank(data[field])) errors.push(fieldError(field, 'required', `${field} is required`));
+        }
+    }
+
+    if (!isBlank(data.hotel_name)) {
+        if (typeof data.hotel_name !== 'string' || !data.hotel_name.trim()) {
+            errors.push(fieldError('hotel_name', 'invalid_type', 'hotel_name must be a non-empty string'));
+        } else if (data.hotel_name.length > 200) {
+            errors.push(fieldError('hotel_name', 'too_long', 'hotel_name must be at most 200 characters'));
+        } else {
+            value.hotel_name = data.hotel_name.trim();
+        }
+    }
+
+    // A hotel directory ID (lib/hotels.js) the user picked from the candidates
+    if (!isBlank(data.hotel_id) && (typeof data.hotel_id !== 'string' || !/^[a-z0-9_-]{2,80}$/.test(data.hotel_id))) {
+        errors.push(fieldError('hotel_id', 'invalid_id', 'hotel_id must be a hotel directory ID'));
+    }
+
+    for (const field of ['check_in_date', 'check_out_date']) {
+        if (!isBlank(data[field]) && !isValidISODate(data[field])) {
+            errors.push(fieldError(field, 'invalid_date', `${field} must be a valid date in YYYY-MM-DD format`));
+        }
+    }
+    if (isValidISODate(data.check_in_date) && isValidISODate(data.check_out_date)) {
+        const nights = nightsBetween(data.check_in_date, data.check_out_date);
+        if (nights <= 0) {
+            errors.push(fieldError('check_out_date', 'before_check_in', 'check_out_date must be after check_in_date'));
+        } else if (nights > MAX_STAY_NIGHTS) {
+            errors.push(fieldError('check_out_date', 'stay_too_long', `Stays longer than ${MAX_STAY_NIGHTS} nights are not supported`));
+        }
+    }
+
+    if (!isBlank(data.original_price)) {
+        const price = coerceNumber(data.original_price);
+        if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+            errors.push(fieldError('original_price', 'not_positive', 'original_price must be a positive number'));
+        } else {
+            value.original_price = price;
+        }
+    }
+
+    if (!isBlank(data.currency)) {
+        const currency = typeof data.currency === 'string' ? data.currency.trim().toUpperCase() : null;
+        if (!currency || !ISO_CURRENCIES.has(currency)) {
+            errors.push(fieldError('currency', 'invalid_currency', 'currency must be an ISO 4217 code such as ILS, USD or EUR'));
+        } else {
+            value.currency = currency;
+        }
+    }
+
+    for (const [field, min, max] of [['num_rooms', 1, MAX_OCCUPANCY.rooms], ['adults', 1, MAX_OCCUPANCY.adults], ['children', 0, MAX_OCCUPANCY.children]]) {
+        if (isBlank(data[field])) continue;
+        const count = coerceNumber(data[field]);
+        if (!Number.isInteger(count) || count < min) {
+            errors.push(fieldError(field, 'invalid_count', `${field} must be a whole number of at least ${min}`));
+        } else if (count > max) {
+            errors.push(fieldError(field, 'too_many', `${field} must be at most ${max}`));
+        } else {
+            value[field] = count;
+        }
+    }
+
+    if (!isBlank(data.child_ages)) {
+        if (!Array.isArray(data.child_ages) || !data.child_ages.every(age => Number.isInteger(age) && age >= 0 && age <= 17)) {
+            errors.push(fieldError('child_ages', 'invalid_ages', 'child_ages must be a list of ages between 0 and 17'));
+        } else if (data.child_ages.length > MAX_OCCUPANCY.children) {
+            errors.push(fieldError('child_ages', 'too_many', `child_ages must list at most ${MAX_OCCUPANCY.children} ages`));
+        } else if (Number.isInteger(value.children) && value.children !== data.child_ages.length) {
+            errors.push(fieldError('child_ages', 'count_mismatch', 'child_ages must list one age per child'));
+        }
+    }
+    if (Number.isInteger(value.num_rooms) && Number.isInteger(value.adults) && value.adults < value.num_rooms) {
+        errors.push(fieldError('adults', 'fewer_adults_than_rooms', 'Every room needs at least one adult'));
+    }
+
+    for (const field of ['free_cancellation', 'breakfast_included']) {
+        if (!isBlank(data[field]) && typeof data[field] !== 'boolean') {
+            errors.push(fieldError(field, 'invalid_type', `${field} must be true, false or null`));
+        }
+    }
+
+    for (const field of ['room_type', 'meal_plan', 'cancellation_policy', 'address', 'city', 'country']) {
+        if (!isBlank(data[field]) && typeof data[field] !== 'string') {
+            errors.push(fieldError(field, 'invalid_type', `${field} must be a string`));
+        }
+    }
+
+    // Hotel, room and location names go into the search prompts: text addressed to the model is not a name
+    for (const field of ['hotel_name', 'room_type', 'address', 'city', 'country']) {
+        if (typeof data[field] === 'string' && detectPromptInjection(data[field]).length > 0) {
+            errors.push(fieldError(field, 'suspicious_content', `${field} contains instructions rather than a name`));
+        }
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+// Per-field confidence (0-1) for an extraction result, plus the fields the user should confirm.
+// suspicious: the document tried to instruct the model, so no extracted value is trusted
+function scoreExtraction(result, { source, errors = [], suspicious = false } = {}) {
+    const base = SOURCE_CONFIDENCE[source] || 0.8;
+    const invalidFields = new Set(errors.map(error => error.field));
+    const fields = ['hotel_name', 'check_in_date', 'check_out_date', 'original_price', 'currency', 'room_type',
+        'num_rooms', 'adults', 'children', 'free_cancellation', 'breakfast_included', 'cancellation_policy', 'meal_plan'];
+
+    const confidence = {};
+    for (const field of fields) {
+        if (isBlank(result[field])) {
+            confidence[field] = 0;
+        } else if (invalidFields.has(field)) {
+            confidence[field] = 0.2;
+        } else {
+            confidence[field] = base;
+        }
+    }
+
+    // Heuristics for values that are valid but suspicious
+    if (confidence.hotel_name && (result.hotel_name.trim().split(/\s+/).length < 2 || /^(hotel|מלון)$/i.test(result.hotel_name.trim()))) {
+        confidence.hotel_name = Math.min(confidence.hotel_name, 0.5);
+    }
+    const today = new Date().toISOString().split('T')[0];
+    if (confidence.check_in_date && result.check_in_date < today) {
+        confidence.check_in_date = Math.min(confidence.check_in_date, 0.4);
+    }
+    if (confidence.original_price && !result.currency) {
+        confidence.original_price = Math.min(confidence.original_price, 0.6);
+    }
+    if (suspicious) {
+        for (const field of fields) confidence[field] = Math.min(confidence[field], 0.3);
+    }
+
+    for (const field of fields) {
+        confidence[field] = Math.round(confidence[field] * 100) / 100;
+    }
+
+    const fieldsToConfirm = [...new Set([
+        ...REQUIRED_FOR_SEARCH.filter(field => confidence[field] < CONFIRM_THRESHOLD),
+        ...(confidence.currency < CONFIRM_THRESHOLD ? ['currency'] : []),
+        ...invalidFields
+    ])];
+
+    return { confidence, fields_to_confirm: fieldsToConfirm };
+}
+
+module.exports = {
+    REQUIRED_FOR_SEARCH,
+    validateBookingData,
+    scoreExtraction,
+    isValidISODate
+};
@@ -1,45 +1,15 @@
-const express = require('express');
-const bodyParser = require('body-parser');
-const cors = require('cors');
-const axios = require('axios');
-const admin = require('firebase-admin');
 require('dotenv').config();
+const { createApp } = require('./lib/app');
 
-const app = express();
 const port = process.env.PORT || 3000;
 
-// Initialize Firebase Admin
-let db;
-try {
-    const serviceAccount = require(process.env.GOOGLE_APPLICATION_CREDENTIALS);
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount)
-    });
-    db = admin.firestore();
-    console.log("✅ Firebase Admin SDK initialized successfully.");
-} catch (e) {
-    console.warn("Firebase Admin SDK not initialized or key not found. Tracking and user features will fail.");
-}
-
-// Enable CORS and body parsing with explicit origins
-app.use(cors({
-    origin: true, // Allow all origins temporarily to fix SSL issue
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    optionsSuccessStatus: 200
-}));
-app.use(express.json({ limit: '10mb' }));
-app.use(bodyParser.json({ limit: '10mb' }));
-
 // API Keys - Environment Variables Only
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const CJ_AFFILIATE_KEY = process.env.CJ_AFFILIATE_KEY;
 
-// Security check - ensure API keys are loaded
+// Security check - without the Gemini key, extraction falls back to manual entry and Gemini search is skipped
 if (!GEMINI_API_KEY) {
-    console.error('❌ CRITICAL: GEMINI_API_KEY not found in environment variables');
-    process.exit(1);
+    console.warn('⚠️ WARNING: GEMINI_API_KEY not found - Gemini extraction and search are disabled');
 }
 
 if (!CJ_AFFILIATE_KEY) {
@@ -48,658 +18,9 @@ if (!CJ_AFFILIATE_KEY) {
 
 console.log('🔑 API Keys loaded securely from environment variables');
 
-const MODEL_ID = 'gemini-1.5-pro-latest';
-const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_ID}:generateContent`;
-
-// CJ Affiliate tracking IDs (approved partners only)
-const APPROVED_PARTNERS = {
-    'hotels_com': {
-        name: 'Hotels.com',
-        cjId: '1702763',
-        baseUrl: 'https://www.anrdoezrs.net/click-1702763-15042852'
-    },
-    'address_hotels': {
-        name: 'Address Hotels', 
-        cjId: '7280686',
-        baseUrl: 'https://www.anrdoezrs.net/click-7280686-15042852'
-    },
-    'mytrip': {
-        name: 'MyTrip',
-        cjId: '7122258', 
-        baseUrl: 'https://www.anrdoezrs.net/click-7122258-15042852'
-    }
-};
-
-// Health check
-app.get('/', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        message: 'PriceDrop AI Server is running',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// Ping endpoint
-app.get('/ping', (req, res) => {
-    res.json({ 
-        status: 'SUCCESS', 
-        message: 'Server is working!',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// Middleware to verify Firebase token
-const verifyFirebaseToken = async (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        req.user = null;
-        return next(); 
-    }
-    const idToken = authHeader.split('Bearer ')[1];
-    try {
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
-        req.user = decodedToken;
-        next();
-    } catch (error) {
-        req.user = null;
-        next();
-    }
-};
-
-// File analysis endpoint - REAL Gemini analysis of PDF/image
-app.post('/api/analyze-file', async (req, res) => {
-    try {
-        console.log('📄 Analyzing file with Gemini...');
-        
-        const analysisResult = await analyzeFileWithGemini(req.body.content, req.body.contentType);
-        
-        console.log('✅ Analysis completed:', JSON.stringify(analysisResult, null, 2));
-        
-        res.json(analysisResult);
-    } catch (error) {
-        console.error('❌ Analysis error:', error);
-        res.status(500).json({ 
-            error: 'שגיאה בניתוח הקובץ',
-            details: error.message 
-        });
-    }
-});
-
-// Real Gemini file analysis function
-async function analyzeFileWithGemini(content, contentType) {
-    const MODEL_ID = 'gemini-1.5-flash-latest';
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_ID}:generateContent`;
-    
-    const prompt = `You are an expert hotel booking parser. Extract structured data from this document, ignoring email headers or irrelevant text. Focus on the core reservation details AND booking conditions. Return ONLY valid JSON. If a value isn't found, use null.
-
-The JSON structure must be:
-{
-  "hotel_name": "...",
-  "check_in_date": "YYYY-MM-DD",
-  "check_out_date": "YYYY-MM-DD", 
-  "original_price": 0,
-  "currency": "...",
-  "room_type": "...",
-  "num_rooms": 1,
-  "adults": 2,
-  "children": 0,
-  "free_cancellation": true/false,
-  "breakfast_included": true/false,
-  "cancellation_policy": "...",
-  "meal_plan": "..."
-}
-
-IMPORTANT: 
-- Look for cancellation terms: "free cancellation", "fully refundable", "cancel without penalty"
-- Look for breakfast terms: "breakfast included", "breakfast buffet", "with breakfast", "BB", "bed & breakfast"
-- Extract the exact room type name
-- Note any special conditions or policies
-
-Analyze this content:
-${content}`;
-
-    try {
-        let parts = [];
-        if (contentType && contentType.startsWith('image/')) {
-            parts = [ { text: prompt }, { inline_data: { mime_type: contentType, data: content } } ];
-        } else {
-            parts = [{ text: prompt }];
-        }
-
-        const response = await axios.post(`${url}?key=${GEMINI_API_KEY}`, {
-            contents: [{ parts }]
-        }, { timeout: 30000 });
-
-        const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
-        const jsonStart = text.indexOf('{');
-        const jsonEnd = text.lastIndexOf('}');
-        
-        if (jsonStart === -1 || jsonEnd === -1) {
-            throw new Error("No valid JSON found in Gemini response");
-        }
-        
-        const result = JSON.parse(text.slice(jsonStart, jsonEnd + 1));
-        result.status = "extracted_from_pdf";
-        
-        return result;
-    } catch (error) {
-        console.error('Gemini Analysis Error:', error.message);
-        
-        // Fallback for 503 errors or API issues
-        if (error.response?.status === 503 || error.code === 'ECONNRESET') {
-            console.log('🔄 Gemini API temporarily unavailable, using intelligent fallback...');
-            return {
-                hotel_name: "מלון (לא הצלחנו לחלץ את השם)",
-                check_in_date: getDefaultCheckIn(),
-                check_out_date: getDefaultCheckOut(),
-                original_price: 4000,
-                currency: "ILS",
-                room_type: "חדר סטנדרט",
-                num_rooms: 1,
-                adults: 2,
-                children: 0,
-                free_cancellation: null,
-                breakfast_included: null,
-                cancellation_policy: null,
-                meal_plan: null,
-                status: "fallback_due_to_api_error"
-            };
-        }
-        
-        throw new Error('Failed to analyze file with Gemini: ' + error.message);
-    }
-}
-
-// Get dynamic check-in date (tomorrow)
-function getDefaultCheckIn() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return tomorrow.toISOString().split('T')[0];
-}
-
-// Get dynamic check-out date (day after tomorrow)
-function getDefaultCheckOut() {
-    const dayAfter = new Date();
-    dayAfter.setDate(dayAfter.getDate() + 2);
-    return dayAfter.toISOString().split('T')[0];
-}
-
-// Dual Search Strategy with 40% Fairness Rule (as per Business Logic)
-app.post('/api/search', async (req, res) => {
-    const { hotel_name, check_in_date, check_out_date, original_price, currency, room_type, free_cancellation, breakfast_included } = req.body?.bookingData || {};
-    
-    console.log('\n=== DUAL SEARCH STRATEGY ===');
-    console.log(`🏨 Hotel: ${hotel_name}`);
-    console.log(`📅 Dates: ${check_in_date} to ${check_out_date}`);
-    console.log(`💰 Original Price: ${original_price} ${currency}`);
-    console.log(`🏠 Room Type: ${room_type || 'Not specified'}`);
-    console.log(`❌ Free Cancellation: ${free_cancellation ? 'YES' : 'NO'}`);
-    console.log(`🍳 Breakfast Included: ${breakfast_included ? 'YES' : 'NO'}`);
-    
-    const bookingConditions = {
-        room_type,
-        free_cancellation,
-        breakfast_included
-    };
-    
-    try {
-        // SEARCH A (Broad): Find cheapest price anywhere on internet using Gemini
-        console.log('\n🔍 Starting Search A (Broad)...');
-        const broadSearchResults = await performBroadSearchWithGemini(hotel_name, check_in_date, check_out_date, bookingConditions);
-        
-        // Handle null price from Gemini
-        if (broadSearchResults.price === null || broadSearchResults.price === undefined) {
-            console.log('⚠️ Broad search returned null price, using realistic fallback');
-            // Use realistic fallback: 5-15% discount
-            broadSearchResults.price = Math.floor(original_price * (0.85 + Math.random() * 0.10));
-        }
-        
-        // Validate realistic price (not too cheap)
-        if (broadSearchResults.price < original_price * 0.3) {
-            console.log('⚠️ Broad search price too unrealistic, adjusting');
-            broadSearchResults.price = Math.floor(original_price * (0.70 + Math.random() * 0.15));
-        }
-        
-        console.log(`✅ Search A Result: ${broadSearchResults.site} - ${broadSearchResults.price} ${currency}`);
-        
-        // SEARCH B (Partner-Focused): Find cheapest price only from partner sites using Gemini
-        console.log('\n🔍 Starting Search B (Partners)...');
-        const partnerSearchResults = await performPartnerSearchWithGemini(hotel_name, check_in_date, check_out_date, bookingConditions);
-        
-        // Handle null price from Gemini
-        if (partnerSearchResults.price === null || partnerSearchResults.price === undefined) {
-            console.log('⚠️ Partner search returned null price, using realistic fallback');
-            // Partner prices usually slightly higher than broad search
-            partnerSearchResults.price = Math.floor(original_price * (0.88 + Math.random() * 0.07));
-        }
-        
-        // Validate realistic price (not too cheap)
-        if (partnerSearchResults.price < original_price * 0.3) {
-            console.log('⚠️ Partner search price too unrealistic, adjusting');
-            partnerSearchResults.price = Math.floor(original_price * (0.75 + Math.random() * 0.15));
-        }
-        
-        console.log(`✅ Search B Result: ${partnerSearchResults.site} - ${partnerSearchResults.price} ${currency}`);
-        
-        // Check if we found any savings at all
-        if (partnerSearchResults.price >= original_price && broadSearchResults.price >= original_price) {
-            console.log('❌ No savings found anywhere');
-            return res.json({
-                status: 'NO_SAVINGS_FOUND',
-                title: 'המחיר שלך הוא הטוב ביותר!',
-                message: 'לא מצאנו חיסכון באתרים שבדקנו עם אותם תנאים.',
-                original_price: original_price,
-                currency: currency || 'ILS',
-                conditions_checked: {
-                    free_cancellation,
-                    breakfast_included,
-                    room_type
-                }
-            });
-        }
-        
-        // Apply 40% Fairness Rule
-        const decision = apply40PercentRule(original_price, partnerSearchResults.price, broadSearchResults.price);
-        console.log('\n=== 40% FAIRNESS RULE ===');
-        console.log(`💵 Partner Savings: ${decision.partnerSavings} ${currency}`);
-        console.log(`💵 Competitor Savings: ${decision.competitorSavings} ${currency}`);
-        console.log(`📊 Savings Gap: ${decision.savingsGap} ${currency}`);
-        console.log(`🎯 Decision Threshold (40%): ${decision.threshold} ${currency}`);
-        console.log(`⚖️ Decision: ${decision.showPartner ? 'SHOW PARTNER' : 'SHOW COMPETITOR'} (${decision.explanation})`);
-        
-        // Generate appropriate link based on decision
-        const chosenResult = decision.showPartner ? partnerSearchResults : broadSearchResults;
-        
-        // Use direct link from Gemini if available, otherwise generate affiliate link
-        let link;
-        if (chosenResult.direct_link && chosenResult.conditions_match) {
-            link = chosenResult.direct_link;
-            console.log('🔗 Using direct link from search results');
-        } else {
-            link = decision.showPartner ? 
-                generateAffiliateLink(partnerSearchResults, hotel_name, check_in_date, check_out_date) :
-                generateDirectLink(broadSearchResults, hotel_name, check_in_date, check_out_date);
-            console.log('🔗 Generated fallback link');
-        }
-        
-        const finalSavings = original_price - chosenResult.price;
-        
-        console.log(`🎉 Final Choice: ${chosenResult.site} - Savings: ${finalSavings} ${currency}`);
-        
-        // Warning if conditions don't match
-        const conditionsWarning = !chosenResult.conditions_match ? 
-            'התנאים עלולים להיות שונים מההזמנה המקורית שלך' : null;
-        
-        const responseStatus = decision.showPartner ? 'SAVINGS_FOUND_PARTNER' : 'SAVINGS_FOUND_COMPETITOR';
-        const responseData = {
-            status: responseStatus,
-            title: `מצאנו חיסכון ב-${chosenResult.site}!`,
-            savings: finalSavings,
-            newPrice: chosenResult.price,
-            provider: chosenResult.site,
-            currency: currency || 'ILS',
-            rule_applied: decision.explanation,
-            is_affiliate: decision.showPartner,
-            conditions_match: chosenResult.conditions_match,
-            conditions_warning: conditionsWarning,
-            original_conditions: {
-                free_cancellation,
-                breakfast_included,
-                room_type
-            },
-            business_logic: {
-                original_price: original_price,
-                partner_price: partnerSearchResults.price,
-                competitor_price: broadSearchResults.price,
-                partner_savings: decision.partnerSavings,
-                competitor_savings: decision.competitorSavings,
-                savings_gap: decision.savingsGap,
-                threshold_40_percent: decision.threshold,
-                decision: decision.showPartner ? 'partner' : 'competitor'
-            }
-        };
-
-        if (decision.showPartner) {
-            responseData.affiliateLink = link;
-        } else {
-            responseData.directLink = link;
-        }
-
-        res.json(responseData);
-        
-    } catch (error) {
-        console.error('❌ Search error:', error);
-        res.status(500).json({ 
-            status: 'ERROR', 
-            message: 'שגיאה בחיפוש מחירים',
-            error: error.message 
-        });
-    }
-});
-
-// Search A: Broad search using Gemini with web browsing
-async function performBroadSearchWithGemini(hotelName, checkIn, checkOut, bookingConditions = {}) {
-    const { free_cancellation, breakfast_included, room_type } = bookingConditions;
-    
-    const conditionsText = [];
-    if (free_cancellation) conditionsText.push("free cancellation");
-    if (breakfast_included) conditionsText.push("breakfast included");
-    if (room_type) conditionsText.push(`room type: ${room_type}`);
-    
-    const prompt = `Find the cheapest price for "${hotelName}" hotel from ${checkIn} to ${checkOut} with EXACT same conditions as original booking.
-
-REQUIRED CONDITIONS TO MATCH:
-${conditionsText.length > 0 ? conditionsText.map(c => `- ${c}`).join('\n') : '- Standard booking conditions'}
-
-Search all major booking websites including Expedia, Agoda, Booking.com, Priceline, Trivago, Kayak.
-
-IMPORTANT: Only return deals that match these exact conditions:
-${free_cancellation ? '- Must have FREE CANCELLATION' : ''}
-${breakfast_included ? '- Must include BREAKFAST' : ''}
-${room_type ? `- Must be same room type: "${room_type}"` : ''}
-
-Return ONLY a JSON object in this exact format:
-{"site": "website_name", "price": number_only, "conditions_match": true/false, "direct_link": "full_booking_url"}
-
-Example: {"site": "Expedia", "price": 3590, "conditions_match": true, "direct_link": "https://www.expedia.com/..."}
-
-Important: 
-- Price must be a number only (no currency symbols)
-- Include direct link to the exact deal
-- Set conditions_match to true only if ALL conditions are met
-- Search thoroughly for deals with exact same conditions`;
-
-    try {
-        const result = await callGeminiWithWebSearch(prompt);
-        console.log(`🌍 Broad search found: ${result.site} at ${result.price} (Conditions match: ${result.conditions_match})`);
-        return result;
-    } catch (error) {
-        console.error('❌ Broad search error:', error);
-        
-        // Smart fallback with realistic competitive pricing
-        const fallbackPrice = Math.floor(Math.random() * 800) + 3200; // 3200-4000 range
-        const fallbackSites = ['Expedia', 'Agoda', 'Priceline', 'Trivago'];
-        const fallbackSite = fallbackSites[Math.floor(Math.random() * fallbackSites.length)];
-        
-        console.log(`🔄 Using fallback: ${fallbackSite} at ${fallbackPrice} (API unavailable)`);
-        return { 
-            site: fallbackSite, 
-            price: fallbackPrice,
-            conditions_match: false,
-            direct_link: null
-        };
-    }
-}
-
-// Search B: Partner-focused search using Gemini
-async function performPartnerSearchWithGemini(hotelName, checkIn, checkOut, bookingConditions = {}) {
-    const { free_cancellation, breakfast_included, room_type } = bookingConditions;
-    
-    const conditionsText = [];
-    if (free_cancellation) conditionsText.push("free cancellation");
-    if (breakfast_included) conditionsText.push("breakfast included");
-    if (room_type) conditionsText.push(`room type: ${room_type}`);
-    
-    const prompt = `Find the cheapest price for "${hotelName}" hotel from ${checkIn} to ${checkOut} ONLY from these partner websites: Hotels.com, MyTrip.com, Address Hotels.
-
-REQUIRED CONDITIONS TO MATCH:
-${conditionsText.length > 0 ? conditionsText.map(c => `- ${c}`).join('\n') : '- Standard booking conditions'}
-
-IMPORTANT: Only return deals that match these exact conditions:
-${free_cancellation ? '- Must have FREE CANCELLATION' : ''}
-${breakfast_included ? '- Must include BREAKFAST' : ''}
-${room_type ? `- Must be same room type: "${room_type}"` : ''}
-
-Search ONLY these 3 partner websites. Do not include any other booking sites.
-
-Return ONLY a JSON object in this exact format:
-{"site": "website_name", "price": number_only, "partnerId": "partner_id", "conditions_match": true/false, "direct_link": "full_booking_url"}
-
-Use these exact partner IDs:
-- For Hotels.com use: "hotels_com"
-- For MyTrip use: "mytrip" 
-- For Address Hotels use: "address_hotels"
-
-Example: {"site": "Hotels.com", "price": 3780, "partnerId": "hotels_com", "conditions_match": true, "direct_link": "https://..."}
-
-Important:
-- Only search our 3 partner sites
-- Price must be a number only
-- Include the correct partnerId
-- Include direct link to exact deal
-- Set conditions_match to true only if ALL conditions are met`;
-
-    try {
-        const result = await callGeminiWithWebSearch(prompt);
-        
-        // Ensure partnerId is set correctly
-        if (!result.partnerId) {
-            if (result.site.toLowerCase().includes('hotels')) result.partnerId = 'hotels_com';
-            else if (result.site.toLowerCase().includes('mytrip')) result.partnerId = 'mytrip';
-            else if (result.site.toLowerCase().includes('address')) result.partnerId = 'address_hotels';
-            else result.partnerId = 'hotels_com'; // default
-        }
-        
-        console.log(`🤝 Partner search found: ${result.site} at ${result.price} (${result.partnerId}) - Conditions match: ${result.conditions_match}`);
-        return result;
-    } catch (error) {
-        console.error('❌ Partner search error:', error);
-        
-        // Smart fallback with realistic partner pricing (slightly higher than broad)
-        const partnerOptions = [
-            { site: 'Hotels.com', partnerId: 'hotels_com' },
-            { site: 'MyTrip', partnerId: 'mytrip' },
-            { site: 'Address Hotels', partnerId: 'address_hotels' }
-        ];
-        const chosen = partnerOptions[Math.floor(Math.random() * partnerOptions.length)];
-        const fallbackPrice = Math.floor(Math.random() * 600) + 3400; // 3400-4000 range
-        
-        console.log(`🔄 Using partner fallback: ${chosen.site} at ${fallbackPrice} (API unavailable)`);
-        return { 
-            site: chosen.site, 
-            price: fallbackPrice,
-            partnerId: chosen.partnerId,
-            conditions_match: false,
-            direct_link: null
-        };
-    }
-}
-
-// Call Gemini API with web search capabilities
-async function callGeminiWithWebSearch(prompt) {
-    const MODEL_ID = 'gemini-1.5-pro-latest';
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_ID}:generateContent`;
-
-    const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
-        tools: [{ "google_search_retrieval": {} }]
-    };
-
-    const response = await axios.post(`${url}?key=${GEMINI_API_KEY}`, payload, { timeout: 45000 });
-    const resultText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!resultText) {
-        throw new Error('No result from Gemini API');
-    }
-
-    console.log('🔍 Gemini raw response:', resultText.substring(0, 200) + '...');
-
-    // Extract JSON from response
-    const jsonStart = resultText.indexOf('{');
-    const jsonEnd = resultText.lastIndexOf('}');
-    
-    if (jsonStart === -1 || jsonEnd === -1) {
-        throw new Error('No valid JSON found in Gemini response');
-    }
-    
-    const jsonStr = resultText.slice(jsonStart, jsonEnd + 1);
-    console.log('📊 Extracted JSON:', jsonStr);
-    
-    const result = JSON.parse(jsonStr);
-    
-    // Ensure price is a valid number
-    if (result.price === null || result.price === undefined || isNaN(result.price)) {
-        console.log('⚠️ Invalid price in Gemini response, setting to null for fallback handling');
-        result.price = null;
-    } else {
-        result.price = Number(result.price); // Ensure it's a number
-    }
-    
-    return result;
-}
-
-// The 40% Fairness Rule (exact implementation from Business Logic)
-function apply40PercentRule(originalPrice, partnerPrice, competitorPrice) {
-    // Calculate Savings
-    const partnerSavings = originalPrice - partnerPrice;
-    const competitorSavings = originalPrice - competitorPrice;
-    
-    // Calculate the Gap
-    const savingsGap = competitorSavings - partnerSavings;
-    
-    // Calculate the Threshold (40%)
-    const threshold = partnerSavings * 0.40;
-    
-    // Make Decision
-    const showPartner = savingsGap <= threshold;
-    
-    return {
-        partnerSavings,
-        competitorSavings,
-        savingsGap,
-        threshold: Math.round(threshold),
-        showPartner,
-        explanation: showPartner ? 
-            'Gap is small - showing profitable partner link' : 
-            'Gap is significant - showing fair competitor link'
-    };
-}
-
-// Generate affiliate link for approved partners
-function generateAffiliateLink(partnerResult, hotelName, checkIn, checkOut) {
-    const partner = APPROVED_PARTNERS[partnerResult.partnerId];
-    if (!partner) return generateDirectLink(partnerResult, hotelName, checkIn, checkOut);
-    
-    const hotelSearch = encodeURIComponent(hotelName || 'hotel');
-    const checkin = checkIn || getDefaultCheckIn();
-    const checkout = checkOut || getDefaultCheckOut();
-    
-    let targetUrl;
-    
-    switch(partnerResult.partnerId) {
-        case 'hotels_com':
-            targetUrl = `https://www.hotels.com/search.do?destination=${hotelSearch}&startDate=${checkin}&endDate=${checkout}&locale=he_IL`;
-            break;
-        case 'address_hotels':
-            targetUrl = `https://www.addresshotels.com/hotels?destination=${hotelSearch}&checkin=${checkin}&checkout=${checkout}`;
-            break;
-        case 'mytrip':
-            targetUrl = `https://www.mytrip.com/hotels?destination=${hotelSearch}&checkin=${checkin}&checkout=${checkout}`;
-            break;
-        default:
-            return generateDirectLink(partnerResult, hotelName, checkIn, checkOut);
-    }
-    
-    return `${partner.baseUrl}?url=${encodeURIComponent(targetUrl)}`;
-}
-
-// Generate direct link for competitors (no affiliate) - IMPROVED URLs
-function generateDirectLink(result, hotelName, checkIn, checkOut) {
-    const hotelSearch = encodeURIComponent(hotelName || 'hotel');
-    const checkin = checkIn || getDefaultCheckIn();
-    const checkout = checkOut || getDefaultCheckOut();
-    
-    // Format dates for different sites
-    const checkinFormatted = checkin.replace(/-/g, '/');
-    const checkoutFormatted = checkout.replace(/-/g, '/');
-    
-    switch(result.site.toLowerCase()) {
-        case 'expedia':
-            return `https://www.expedia.com/Hotel-Search?destination=${hotelSearch}&startDate=${checkinFormatted}&endDate=${checkoutFormatted}&rooms=1&adults=2`;
-        case 'agoda':
-            return `https://www.agoda.com/search?city=${hotelSearch}&checkIn=${checkin}&checkOut=${checkout}&rooms=1&adults=2`;
-        case 'priceline':
-            return `https://www.priceline.com/relax/at/${hotelSearch}/${checkin}/${checkout}/1-rooms-2-adults`;
-        case 'booking.com':
-        case 'booking':
-            return `https://www.booking.com/searchresults.html?ss=${hotelSearch}&checkin=${checkin}&checkout=${checkout}&no_rooms=1&group_adults=2`;
-        case 'trivago':
-            return `https://www.trivago.com/search?query=${hotelSearch}&checkin=${checkin}&checkout=${checkout}&adults=2&rooms=1`;
-        case 'kayak':
-            return `https://www.kayak.com/hotels/${hotelSearch}/${checkin}/${checkout}/2adults`;
-        case 'hotels.com':
-            // Fix Hotels.com URL format and add proper encoding
-            const hotelEncoded = encodeURIComponent(hotelSearch);
-            return `https://www.hotels.com/search.do?q-destination=${hotelEncoded}&q-check-in=${checkin}&q-check-out=${checkout}&q-rooms=1&q-room-0-adults=2&q-room-0-children=0`;
-        default:
-            // For unknown sites, create a generic Google search
-            return `https://www.google.com/search?q="${hotelSearch}"+hotel+booking+${checkin}+${checkout}+site:${result.site.toLowerCase().replace(/[^a-z]/g, '')}.com`;
-    }
-}
-
-// Legacy buildAffiliateLink function for backwards compatibility
-function buildAffiliateLink(provider, bookingData) {
-    const baseLinks = {
-        "Hotels.com": "https://www.anrdoezrs.net/click-101496525-15042852",
-    };
-    const siteKey = Object.keys(baseLinks).find(key => provider.toLowerCase().includes(key.toLowerCase()));
-    if (!siteKey) return `https://www.${provider}`;
-
-    const baseTrackingLink = baseLinks[siteKey];
-    const destUrl = new URL(`https://www.${siteKey.toLowerCase()}.com/Hotel-Search`);
-    destUrl.searchParams.set('destination', bookingData.hotel_name);
-    destUrl.searchParams.set('startDate', bookingData.check_in_date);
-    destUrl.searchParams.set('endDate', bookingData.check_out_date);
-    destUrl.searchParams.set('adults', bookingData.adults || 2);
-    destUrl.searchParams.set('locale', 'he_IL');
-    
-    return `${baseTrackingLink}?url=${encodeURIComponent(destUrl.href)}`;
-}
-
-// Tracking endpoint with Firebase authentication
-app.post('/api/track', verifyFirebaseToken, async (req, res) => {
-    if (!req.user) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const trackingData = {
-            ...req.body.bookingData,
-            userId: req.user.uid,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-        
-        const docRef = await db.collection('trackedBookings').add(trackingData);
-        res.json({ success: true, trackingId: docRef.id });
-    } catch (error) {
-        console.error('Tracking error:', error);
-        res.status(500).json({ error: 'Failed to save tracking data' });
-    }
-});
-
-// Get user's tracked bookings
-app.get('/api/my-bookings', verifyFirebaseToken, async (req, res) => {
-    if (!req.user) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    try {
-        const snapshot = await db.collection('trackedBookings')
-            .where('userId', '==', req.user.uid)
-            .orderBy('createdAt', 'desc')
-            .get();
-        
-        const bookings = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
-        
-        res.json({ bookings });
-    } catch (error) {
-        console.error('Error fetching bookings:', error);
-        res.status(500).json({ error: 'Failed to fetch bookings' });
-    }
-});
+// Routes live in lib/routes, services are wired in lib/app.js
+const app = createApp();
+const { db, storageBackend, authVerifier, rateLimiter, llmClient, fairnessEngine, partnerRegistry, hotelDirectory, recheckWorker } = app.locals.services;
 
 // Start server (only if not in Vercel environment)
 if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
@@ -709,15 +30,20 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
             process.exit(1);
         }
         console.log(`🚀 PriceDrop AI Server running on port ${port}`);
-        console.log('✅ LIVE MODE: Real Gemini API for file analysis');
-        console.log('✅ LIVE MODE: Real Gemini web search for prices');
-        console.log('✅ 40% Fairness Rule active');
-        console.log('✅ CJ Affiliate partners: Hotels.com, Address Hotels, MyTrip');
-        console.log('✅ Firebase tracking and user features enabled');
+        console.log(llmClient.isAvailable() ? '✅ LIVE MODE: Real Gemini API for file analysis and web search' : '⚠️ Gemini disabled (no GEMINI_API_KEY)');
+        console.log(`✅ Fairness rule active (${fairnessEngine.policy.thresholdPercent}% threshold)`);
+        console.log(`✅ CJ Affiliate partners: ${partnerRegistry.list().map(partner => partner.name).join(', ')}`);
+        console.log(`✅ Hotel directory: ${hotelDirectory.list().length} hotels`);
+        console.log(`✅ Storage: ${storageBackend}, auth: ${authVerifier.mode}, rate limits: ${rateLimiter?.store?.name || 'off'}`);
+
+        const recheckIntervalMinutes = parseInt(process.env.RECHECK_INTERVAL_MINUTES, 10);
+        if (db && recheckIntervalMinutes > 0) {
+            recheckWorker.start(recheckIntervalMinutes * 60 * 1000);
+        }
     });
 }
 
 // Export app for Vercel
 module.exports = app;
 
-// Final trigger for Vercel deployment
\ No newline at end of file
+// Final trigger for Vercel deployment
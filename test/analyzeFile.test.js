@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { createStubLlm, createTestApp } = require('./helpers/testApp');
+const { htmlToText } = require('../lib/documents');
+
+const CONFIRMATION = 'Reservation confirmed: Hilton Tel Aviv, check-in 1 December 2030, check-out 3 December 2030. Total 4,000 ILS. Free cancellation.';
+
+const EXTRACTED = {
+    hotel_name: 'Hilton Tel Aviv',
+    check_in_date: '2030-12-01',
+    check_out_date: '2030-12-03',
+    original_price: 4000,
+    currency: 'ILS',
+    room_type: 'Deluxe Sea View',
+    num_rooms: 1,
+    adults: 2,
+    children: 0,
+    child_ages: [],
+    free_cancellation: true,
+    breakfast_included: false,
+    cancellation_policy: 'Free cancellation until 28 November 2030',
+    meal_plan: 'Room only'
+};
+
+function llmError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+describe('POST /api/analyze-file', () => {
+    test('extracts a booking from text sent as JSON', async () => {
+        const llmClient = createStubLlm(JSON.stringify(EXTRACTED));
+        const { app } = createTestApp({ llmClient });
+        const res = await request(app).post('/api/analyze-file').send({ content: CONFIRMATION, contentType: 'text/plain' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ ...EXTRACTED, status: 'extracted_from_pdf', document_source: 'text', provenance: 'sourced' });
+        expect(res.body.validation).toEqual({ valid: true, errors: [] });
+        expect(res.body.confidence.hotel_name).toBeGreaterThan(0.5);
+
+        const [task, llmRequest] = llmClient.generate.mock.calls[0];
+        expect(task).toBe('extract');
+        expect(llmRequest.contents[0].parts[0].text).toContain(CONFIRMATION);
+    });
+
+    test('accepts an uploaded file', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(JSON.stringify(EXTRACTED)) });
+        const res = await request(app).post('/api/analyze-file')
+            .attach('file', Buffer.from(`<html><body><p>${CONFIRMATION}</p></body></html>`), { filename: 'booking.html', contentType: 'text/html' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.document_source).toBe('html');
+        expect(res.body.hotel_name).toBe('Hilton Tel Aviv');
+    });
+
+    test('reports invalid fields instead of rejecting the draft', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(JSON.stringify({ ...EXTRACTED, check_out_date: '2030-11-30' })) });
+        const res = await request(app).post('/api/analyze-file').send({ content: CONFIRMATION });
+
+        expect(res.status).toBe(200);
+        expect(res.body.validation.valid).toBe(false);
+        expect(res.body.validation.errors.map(error => error.field)).toContain('check_out_date');
+    });
+
+    test('answers 400 without content', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/analyze-file').send({});
+
+        expect(res.status).toBe(400);
+    });
+
+    test('returns an empty draft when Gemini is not configured', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(llmError('LLM_NOT_CONFIGURED')) });
+        const res = await request(app).post('/api/analyze-file').send({ content: CONFIRMATION });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'extraction_unavailable', provenance: 'unavailable', hotel_name: null, original_price: null });
+    });
+
+    test('answers 502 when Gemini returns no usable JSON', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm('Sorry, I cannot help with that.') });
+        const res = await request(app).post('/api/analyze-file').send({ content: CONFIRMATION });
+
+        expect(res.status).toBe(502);
+        expect(res.body.code).toBe('LLM_NO_JSON');
+    });
+});
+
+describe('htmlToText', () => {
+    test.each([
+        ['<p>Tom &amp; Jerry&nbsp;Hotel</p>', 'Tom & Jerry Hotel'],
+        ['<p>&lt;b&gt; is markup</p>', '<b> is markup'],
+        ['<p>&amp;lt;b&amp;gt; stays escaped</p>', '&lt;b&gt; stays escaped'],
+        ['<p>&#38;quot; and &quot;quoted&quot;</p>', '&quot; and "quoted"']
+    ])('decodes %s once', (html, text) => {
+        expect(htmlToText(html)).toBe(text);
+    });
+});
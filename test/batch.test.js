@@ -0,0 +1,213 @@
+const request = require('supertest');
+const { mapWithConcurrency, summarizeBatchSavings, createBatchProcessor, createFirestoreJobStore, createMemoryJobStore, asyncJobsEnabled } = require('../lib/batch');
+const { createLocalFirestore } = require('../lib/storage');
+const { BOOKING, createStubLlm, createTestApp, authHeader } = require('./helpers/testApp');
+
+const EXTRACTED = {
+    hotel_name: 'Hilton Tel Aviv',
+    address: null,
+    city: 'Tel Aviv',
+    country: 'Israel',
+    check_in_date: '2030-12-01',
+    check_out_date: '2030-12-03',
+    original_price: 4000,
+    currency: 'ILS'
+};
+
+async function waitForJob(app, statusUrl, headers) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const res = await request(app).get(statusUrl).set(headers);
+        if (['completed', 'failed'].includes(res.body.status)) return res;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('batch job did not finish');
+}
+
+describe('batch helpers', () => {
+    test('runs at most `limit` items at once and keeps the input order', async () => {
+        let running = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            if (index === 3) throw new Error('boom');
+            return delay;
+        });
+
+        expect(peak).toBe(2);
+        expect(results.map(result => (result.ok ? result.value : result.error.message))).toEqual([30, 10, 20, 'boom', 15]);
+    });
+
+    test('totals the savings found in one currency', async () => {
+        const summary = await summarizeBatchSavings([
+            { status: 'SAVINGS_FOUND_COMPETITOR', savings: 500, currency: 'ILS' },
+            { status: 'SAVINGS_FOUND_PARTNER', savings: 100, currency: 'USD' },
+            { status: 'SAVINGS_FOUND_COMPETITOR', savings: 50, currency: 'EUR' },
+            { status: 'NO_SAVINGS', savings: 0, currency: 'ILS' },
+            undefined
+        ], { currency: 'ILS', convert: async (amount, from) => (from === 'USD' ? amount * 3.7 : null) });
+
+        expect(summary).toEqual({
+            total_savings: 870,
+            currency: 'ILS',
+            items_with_savings: 3,
+            unconverted_items: 1,
+            savings_by_currency: { ILS: 500, USD: 100, EUR: 50 }
+        });
+    });
+
+    test('jobs survive in Firestore with their results, one document per item', async () => {
+        const db = createLocalFirestore();
+        const store = createFirestoreJobStore(db);
+        const items = Array.from({ length: 12 }, (_, index) => ({ index, status: 'ok', result: { offers: [{ price: index, note: 'x'.repeat(100000) }] } }));
+        await store.create({ id: 'job-1', userId: 'user-1', status: 'queued', total: 12, completed: 0 });
+        expect((await store.get('job-1')).items).toBeNull();
+        await store.update('job-1', { status: 'completed', completed: 12, items, summary: { items: 12 } });
+
+        const job = await store.get('job-1');
+        expect(job).toMatchObject({ status: 'completed', summary: { items: 12 } });
+        expect(job.items).toEqual(items);
+        // Over 1 MiB of results in total, none of it on the job document
+        const doc = await db.collection('batchJobs').doc('job-1').get();
+        expect(doc.data().items).toBeUndefined();
+        expect((await doc.ref.collection('items').get()).size).toBe(12);
+        expect(await store.get('missing')).toBeNull();
+    });
+
+    test.each([
+        [{ worker: 'inline', serverless: false }, 'firestore', true],
+        [{ worker: 'inline', serverless: true }, 'firestore', false],
+        [{ worker: 'inline', serverless: false }, 'memory', false],
+        [{ worker: undefined, serverless: false }, 'firestore', false]
+    ])('async jobs with %o and the %s store: %s', (options, backend, expected) => {
+        const store = backend === 'firestore' ? createFirestoreJobStore(createLocalFirestore()) : createMemoryJobStore();
+        expect(asyncJobsEnabled(store, options)).toBe(expected);
+    });
+
+    test('rejects empty and oversized batches', () => {
+        const processor = createBatchProcessor({ maxItems: 2 });
+        expect(processor.checkBatch([], 'en').body.code).toBe('BATCH_EMPTY');
+        expect(processor.checkBatch('not a list', 'en').body.code).toBe('BATCH_EMPTY');
+        expect(processor.checkBatch([1, 2, 3], 'en')).toEqual({ status: 400, body: expect.objectContaining({ code: 'BATCH_TOO_LARGE', max_items: 2 }) });
+        expect(processor.checkBatch([1, 2], 'en')).toBeNull();
+    });
+});
+
+describe('POST /api/batch/search', () => {
+    test('returns every booking\'s result or error and the total savings', async () => {
+        const { app } = createTestApp({
+            offers: (query, scope) => (scope === 'broad' && query.hotel_name === 'Hilton Tel Aviv' ? [{ site: 'Agoda', price: 3000 }] : [])
+        });
+        const res = await request(app).post('/api/batch/search').set(authHeader('agent-1')).send({
+            bookings: [BOOKING, { ...BOOKING, hotel_name: 'Dan Tel Aviv' }, { hotel_name: 'Missing dates' }, BOOKING]
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.items.map(item => item.status)).toEqual(['ok', 'ok', 'error', 'ok']);
+        expect(res.body.items[0]).toMatchObject({ index: 0, result: { status: 'SAVINGS_FOUND_COMPETITOR', savings: 1000 } });
+        expect(res.body.items[1].result.status).toBe('PRICE_UNVERIFIED');
+        expect(res.body.items[2]).toMatchObject({ index: 2, error: { code: 'INVALID_BOOKING_DATA', errors: expect.any(Array) } });
+        expect(res.body.summary).toEqual({
+            items: 4,
+            succeeded: 3,
+            failed: 1,
+            savings: { total_savings: 2000, currency: 'ILS', items_with_savings: 2, unconverted_items: 0, savings_by_currency: { ILS: 2000 } }
+        });
+    });
+
+    test('is for signed-in users with a bounded batch size', async () => {
+        const { app } = createTestApp();
+        const { maxItems } = app.locals.services.batchProcessor;
+
+        expect((await request(app).post('/api/batch/search').send({ bookings: [BOOKING] })).status).toBe(401);
+
+        const tooLarge = await request(app).post('/api/batch/search').set(authHeader('agent-1'))
+            .send({ bookings: Array(maxItems + 1).fill(BOOKING) });
+        expect(tooLarge.status).toBe(400);
+        expect(tooLarge.body).toMatchObject({ code: 'BATCH_TOO_LARGE', max_items: maxItems });
+
+        const empty = await request(app).post('/api/batch/search').set(authHeader('agent-1')).send({ bookings: [] });
+        expect(empty.body.code).toBe('BATCH_EMPTY');
+    });
+});
+
+describe('POST /api/batch/analyze', () => {
+    test('analyzes each document and reports failed ones separately', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(JSON.stringify(EXTRACTED), 'no JSON here') });
+        const res = await request(app).post('/api/batch/analyze').set(authHeader('agent-1')).send({
+            documents: [
+                { content: 'Hilton Tel Aviv, 1-3 December 2030, 4,000 ILS', contentType: 'text/plain' },
+                { content: '' },
+                { content: 'Garbled confirmation', contentType: 'text/plain' }
+            ]
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.items[0]).toMatchObject({ index: 0, status: 'ok', result: { hotel_name: 'Hilton Tel Aviv', hotel_id: 'hilton-tel-aviv' } });
+        expect(res.body.items[1]).toMatchObject({ index: 1, status: 'error', error: { code: 'NO_FILE' } });
+        expect(res.body.items[2]).toMatchObject({ index: 2, status: 'error', error: { code: 'LLM_NO_JSON' } });
+        expect(res.body.summary).toEqual({ items: 3, succeeded: 1, failed: 2 });
+    });
+
+    test('takes multipart uploads', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(JSON.stringify(EXTRACTED), JSON.stringify({ ...EXTRACTED, hotel_name: 'Dan Tel Aviv' })) });
+        const res = await request(app).post('/api/batch/analyze').set(authHeader('agent-1'))
+            .attach('files', Buffer.from('Hilton Tel Aviv confirmation'), { filename: 'hilton.txt', contentType: 'text/plain' })
+            .attach('files', Buffer.from('Dan Tel Aviv confirmation'), { filename: 'dan.txt', contentType: 'text/plain' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.items.map(item => item.result.hotel_name)).toEqual(['Hilton Tel Aviv', 'Dan Tel Aviv']);
+    });
+});
+
+describe('batch jobs', () => {
+    test('async batches are refused without a durable job setup', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/batch/search').set(authHeader('agent-1'))
+            .send({ bookings: [BOOKING], async: true });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('BATCH_ASYNC_UNAVAILABLE');
+    });
+
+    describe('with an inline worker and the Firestore store', () => {
+        const env = { BATCH_JOB_WORKER: process.env.BATCH_JOB_WORKER, BATCH_JOB_BACKEND: process.env.BATCH_JOB_BACKEND, VERCEL: process.env.VERCEL };
+        beforeAll(() => {
+            process.env.BATCH_JOB_WORKER = 'inline';
+            process.env.BATCH_JOB_BACKEND = 'firestore';
+            delete process.env.VERCEL;
+        });
+        afterAll(() => {
+            for (const [name, value] of Object.entries(env)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+        });
+
+        test('async batches run as a job the owner polls', async () => {
+            const { app } = createTestApp({ offers: { broad: [{ site: 'Agoda', price: 3500 }], partner: [] } });
+            const started = await request(app).post('/api/batch/search').set(authHeader('agent-1'))
+                .send({ bookings: [BOOKING, BOOKING], async: true });
+
+            expect(started.status).toBe(202);
+            expect(started.body).toMatchObject({ status: 'queued', total: 2, status_url: `/api/batch/jobs/${started.body.job_id}` });
+
+            const finished = await waitForJob(app, started.body.status_url, authHeader('agent-1'));
+            expect(finished.body).toMatchObject({
+                id: started.body.job_id,
+                type: 'search',
+                status: 'completed',
+                total: 2,
+                completed: 2,
+                summary: { succeeded: 2, savings: { total_savings: 1000 } }
+            });
+            expect(finished.body.items).toHaveLength(2);
+            expect(finished.body.userId).toBeUndefined();
+
+            expect((await request(app).get(started.body.status_url).set(authHeader('agent-2'))).status).toBe(404);
+            expect((await request(app).get('/api/batch/jobs/no-such-job').set(authHeader('agent-1'))).body.code).toBe('JOB_NOT_FOUND');
+        });
+    });
+});
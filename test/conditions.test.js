@@ -0,0 +1,138 @@
+const {
+    STATUS,
+    normalizeRoomTokens,
+    compareRoomType,
+    normalizeMealPlan,
+    compareMealPlan,
+    parseCancellationPolicy,
+    compareCancellation,
+    buildConditionReport,
+    matchOffers
+} = require('../lib/conditions');
+
+// [original, offered, expected]
+const ROOM_CASES = [
+    ['Deluxe Double Room', 'DLX DBL', { status: STATUS.MATCH, similarity: 1 }],
+    ['Deluxe Double Room, Sea View', 'Deluxe Double', { status: STATUS.PARTIAL, similarity: 0.5 }],
+    ['Superior King Room', 'Superior Twin Room', { status: STATUS.MISMATCH }],
+    ['Standard Room', 'Executive Suite', { status: STATUS.MISMATCH, similarity: 0 }],
+    [null, 'Executive Suite', { status: STATUS.NOT_REQUIRED, offered: 'Executive Suite' }],
+    ['Standard Room', null, { status: STATUS.UNKNOWN, offered: null }]
+];
+
+// [meal_plan, breakfast_included, expected]
+const MEAL_PLAN_CASES = [
+    ['bb', null, 'BB'],
+    ['Half board', null, 'HB'],
+    ['All-inclusive', null, 'AI'],
+    ['Bed & Breakfast', null, 'BB'],
+    ['כולל ארוחת בוקר', null, 'BB'],
+    ['Room only', null, 'RO'],
+    [null, true, 'BB'],
+    [null, false, 'RO'],
+    ['Continental', null, null],
+    [null, null, null]
+];
+
+// [original plan, offered plan, expected status]
+const MEAL_COMPARE_CASES = [
+    ['BB', 'HB', STATUS.MATCH],
+    ['HB', 'HB', STATUS.MATCH],
+    ['HB', 'BB', STATUS.MISMATCH],
+    ['BB', null, STATUS.UNKNOWN],
+    ['RO', 'BB', STATUS.NOT_REQUIRED],
+    [null, 'RO', STATUS.NOT_REQUIRED]
+];
+
+// [policy, free_cancellation, check-in, expected]
+const POLICY_CASES = [
+    ['Non-refundable', true, null, { refundable: false, deadline: null }],
+    ['Free cancellation until 2030-11-28', null, null, { refundable: true, deadline: '2030-11-28' }],
+    ['Free cancellation until 28 November 2030', null, null, { refundable: true, deadline: '2030-11-28' }],
+    ['Cancel for free until Nov. 28, 2030', null, null, { refundable: true, deadline: '2030-11-28' }],
+    ['Cancel up to 3 days before arrival', null, '2030-12-01', { refundable: true, deadline: '2030-11-28' }],
+    ['Cancel up to 48 hours prior to check-in', null, '2030-12-01', { refundable: true, deadline: '2030-11-29' }],
+    ['Cancel up to 3 days before arrival', null, null, { refundable: null, deadline: null }],
+    ['ביטול חינם', null, null, { refundable: true, deadline: null }],
+    [null, false, null, { refundable: false, deadline: null }],
+    [null, null, null, { refundable: null, deadline: null }]
+];
+
+// [original, offered, expected status]
+const CANCELLATION_CASES = [
+    [{ refundable: true, deadline: '2030-11-28' }, { refundable: true, deadline: '2030-11-29' }, STATUS.MATCH],
+    [{ refundable: true, deadline: '2030-11-28' }, { refundable: true, deadline: null }, STATUS.MATCH],
+    [{ refundable: true, deadline: '2030-11-28' }, { refundable: true, deadline: '2030-11-20' }, STATUS.PARTIAL],
+    [{ refundable: true, deadline: null }, { refundable: false, deadline: null }, STATUS.MISMATCH],
+    [{ refundable: true, deadline: null }, { refundable: null, deadline: null }, STATUS.UNKNOWN],
+    [{ refundable: false, deadline: null }, { refundable: false, deadline: null }, STATUS.NOT_REQUIRED],
+    [{ refundable: null, deadline: null }, { refundable: false, deadline: null }, STATUS.NOT_REQUIRED]
+];
+
+const BOOKING = {
+    room_type: 'Deluxe Double Room',
+    meal_plan: 'BB',
+    cancellation_policy: 'Free cancellation until 2030-11-28',
+    check_in_date: '2030-12-01'
+};
+
+// [name, offer, expected report]
+const REPORT_CASES = [
+    ['every condition matches',
+        { room_type: 'DLX DBL', meal_plan: 'Half board', free_cancellation: true },
+        { all_match: true, score: 1 }],
+    ['unknown conditions count half',
+        { room_type: 'Deluxe Double' },
+        { all_match: false, score: 0.67 }],
+    ['a mismatch scores nothing',
+        { room_type: 'Deluxe Twin', meal_plan: 'Room only', cancellation_policy: 'Non-refundable' },
+        { all_match: false, score: 0 }],
+    ['an earlier deadline is a partial match',
+        { room_type: 'Deluxe Double', meal_plan: 'BB', cancellation_policy: 'Free cancellation until 2030-11-20' },
+        { all_match: false, score: 0.83, conditions: { cancellation: { status: STATUS.PARTIAL } } }]
+];
+
+describe('room type', () => {
+    test('tokens drop noise words and expand abbreviations', () => {
+        expect(normalizeRoomTokens('Non-Smoking DLX Room with King Bed')).toEqual(['deluxe', 'king']);
+    });
+
+    test.each(ROOM_CASES)('%p vs %p', (original, offered, expected) => {
+        expect(compareRoomType(original, offered)).toMatchObject(expected);
+    });
+});
+
+describe('meal plan', () => {
+    test.each(MEAL_PLAN_CASES)('normalizeMealPlan(%p, %p) is %p', (mealPlan, breakfastIncluded, expected) => {
+        expect(normalizeMealPlan(mealPlan, breakfastIncluded)).toBe(expected);
+    });
+
+    test.each(MEAL_COMPARE_CASES)('%p booked, %p offered: %s', (original, offered, status) => {
+        expect(compareMealPlan(original, offered).status).toBe(status);
+    });
+});
+
+describe('cancellation', () => {
+    test.each(POLICY_CASES)('parses %p', (policy, freeCancellation, checkIn, expected) => {
+        expect(parseCancellationPolicy(policy, freeCancellation, checkIn)).toEqual(expected);
+    });
+
+    test.each(CANCELLATION_CASES)('%j vs %j: %s', (original, offered, status) => {
+        expect(compareCancellation(original, offered).status).toBe(status);
+    });
+});
+
+describe('condition report', () => {
+    test.each(REPORT_CASES)('%s', (name, offer, expected) => {
+        expect(buildConditionReport(BOOKING, offer)).toMatchObject(expected);
+    });
+
+    test('nothing required is a full match', () => {
+        expect(buildConditionReport({}, { room_type: 'Suite' })).toMatchObject({ all_match: true, score: 1 });
+    });
+
+    test('matchOffers replaces the provider\'s conditions_match', () => {
+        const [offer] = matchOffers([{ site: 'Agoda', price: 3400, room_type: 'Deluxe Twin', conditions_match: true }], BOOKING);
+        expect(offer).toMatchObject({ site: 'Agoda', price: 3400, conditions_match: false, conditions_report: { all_match: false } });
+    });
+});
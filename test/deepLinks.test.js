@@ -0,0 +1,42 @@
+const { createPartnerRegistry } = require('../lib/partners');
+const { generateDirectLink } = require('../lib/links');
+const golden = require('./fixtures/deep-links.golden.json');
+
+// Every deep link must match the reviewed URL in fixtures/deep-links.golden.json exactly.
+// After an intended format change, regenerate the fixture and review the diff.
+const HOTEL = 'Hilton Tel Aviv & Spa';
+const CHECK_IN = '2026-12-01';
+const CHECK_OUT = '2026-12-03';
+
+const CASES = Object.entries(golden).flatMap(([name, { occupancy, affiliate, direct }]) => [
+    ...Object.entries(affiliate).map(([partnerId, url]) => ['affiliate', name, partnerId, occupancy, url]),
+    ...Object.entries(direct).map(([site, url]) => ['direct', name, site, occupancy, url])
+]);
+
+describe('deep links', () => {
+    const registry = createPartnerRegistry();
+
+    test.each(CASES)('%s link for %s: %s', (kind, name, target, occupancy, url) => {
+        const link = kind === 'affiliate' ?
+            registry.buildAffiliateLink(target, HOTEL, CHECK_IN, CHECK_OUT, occupancy) :
+            generateDirectLink({ site: target }, HOTEL, CHECK_IN, CHECK_OUT, occupancy);
+        expect(link).toBe(url);
+    });
+
+    test('every configured partner has a golden link', () => {
+        const partnerIds = registry.list().map(partner => partner.id).sort();
+        for (const { affiliate } of Object.values(golden)) {
+            expect(Object.keys(affiliate).sort()).toEqual(partnerIds);
+        }
+    });
+
+    test('affiliate links wrap the partner URL in the CJ click URL', () => {
+        const link = new URL(registry.buildAffiliateLink('hotels_com', HOTEL, CHECK_IN, CHECK_OUT, golden.one_room_two_adults.occupancy));
+        expect(link.hostname).toBe('www.anrdoezrs.net');
+        expect(new URL(link.searchParams.get('url')).searchParams.get('destination')).toBe(HOTEL);
+    });
+
+    test('unknown partners have no affiliate link', () => {
+        expect(registry.buildAffiliateLink('unknown_partner', HOTEL, CHECK_IN, CHECK_OUT)).toBeNull();
+    });
+});
@@ -0,0 +1,76 @@
+const { DEFAULT_POLICY, normalizePolicy, evaluateFairness } = require('../lib/fairness');
+
+const partner = (price, extra = {}) => ({ price, partnerId: 'hotels_com', conditions_match: true, ...extra });
+const competitor = (price, extra = {}) => ({ price, conditions_match: true, ...extra });
+
+// [name, input, policy, expected]
+const CASES = [
+    ['gap within 40% of partner savings shows the partner',
+        { originalPrice: 4000, partner: partner(3450), competitor: competitor(3400) }, DEFAULT_POLICY,
+        { rule: 'savings_gap', showPartner: true, recommend: true, partnerSavings: 550, competitorSavings: 600, savingsGap: 50, threshold: 220 }],
+    ['gap exactly at the threshold still shows the partner',
+        { originalPrice: 1000, partner: partner(900), competitor: competitor(860) }, DEFAULT_POLICY,
+        { rule: 'savings_gap', showPartner: true, savingsGap: 40, threshold: 40 }],
+    ['gap above the threshold shows the competitor',
+        { originalPrice: 4000, partner: partner(3900), competitor: competitor(3000) }, DEFAULT_POLICY,
+        { rule: 'savings_gap', showPartner: false, recommend: true, savingsGap: 900, threshold: 40 }],
+    ['partner cheaper than the competitor shows the partner',
+        { originalPrice: 4000, partner: partner(3000), competitor: competitor(3500) }, DEFAULT_POLICY,
+        { rule: 'savings_gap', showPartner: true, savingsGap: -500 }],
+    ['only the partner saves money',
+        { originalPrice: 4000, partner: partner(3800), competitor: competitor(4100) }, DEFAULT_POLICY,
+        { rule: 'only_partner_eligible', showPartner: true, recommend: true, competitorEligibility: { eligible: false, reason: 'no_savings' } }],
+    ['only the competitor saves money',
+        { originalPrice: 4000, partner: partner(4000), competitor: competitor(3800) }, DEFAULT_POLICY,
+        { rule: 'only_competitor_eligible', showPartner: false, recommend: true, partnerEligibility: { eligible: false, reason: 'no_savings' } }],
+    ['no partner offer at all',
+        { originalPrice: 4000, partner: null, competitor: competitor(3800) }, DEFAULT_POLICY,
+        { rule: 'only_competitor_eligible', partnerSavings: null, partnerEligibility: { eligible: false, reason: 'no_offer' } }],
+    ['nothing cheaper',
+        { originalPrice: 4000, partner: partner(4200), competitor: competitor(4100) }, DEFAULT_POLICY,
+        { rule: 'no_eligible_offer', showPartner: false, recommend: false }],
+    ['no offers',
+        { originalPrice: 4000, partner: null, competitor: null }, DEFAULT_POLICY,
+        { rule: 'no_eligible_offer', recommend: false }],
+    ['savings below minAbsoluteSavings are not recommended',
+        { originalPrice: 4000, partner: partner(3980), competitor: competitor(3970) }, normalizePolicy({ minAbsoluteSavings: 50 }),
+        { rule: 'no_eligible_offer', partnerEligibility: { eligible: false, reason: 'below_min_savings' } }],
+    ['requireConditionMatch drops a partner with different conditions',
+        { originalPrice: 4000, partner: partner(3450, { conditions_match: false }), competitor: competitor(3400) }, normalizePolicy({ requireConditionMatch: true }),
+        { rule: 'only_competitor_eligible', partnerEligibility: { eligible: false, reason: 'conditions_mismatch' } }],
+    ['requireConditionMatch off ignores conditions',
+        { originalPrice: 4000, partner: partner(3450, { conditions_match: false }), competitor: competitor(3400) }, DEFAULT_POLICY,
+        { rule: 'savings_gap', showPartner: true }],
+    ['a partner override replaces the threshold',
+        { originalPrice: 4000, partner: partner(3450), competitor: competitor(3400) }, normalizePolicy({ partnerOverrides: { hotels_com: { thresholdPercent: 5 } } }),
+        { rule: 'savings_gap', showPartner: false, thresholdPercent: 5, threshold: 28 }],
+    ['overrides only apply to their partner',
+        { originalPrice: 4000, partner: partner(3450, { partnerId: 'mytrip' }), competitor: competitor(3400) }, normalizePolicy({ partnerOverrides: { hotels_com: { thresholdPercent: 5 } } }),
+        { rule: 'savings_gap', showPartner: true, thresholdPercent: 40 }]
+];
+
+describe('evaluateFairness', () => {
+    test.each(CASES)('%s', (name, input, policy, expected) => {
+        expect(evaluateFairness(input, policy)).toMatchObject(expected);
+    });
+
+    test('records the policy version', () => {
+        const decision = evaluateFairness({ originalPrice: 4000, partner: partner(3450), competitor: null }, normalizePolicy({ version: 'v2' }));
+        expect(decision.policyVersion).toBe('v2');
+    });
+});
+
+describe('normalizePolicy', () => {
+    test('fills defaults', () => {
+        expect(normalizePolicy()).toEqual(DEFAULT_POLICY);
+    });
+
+    test.each([
+        [{ thresholdPercent: -1 }, 'thresholdPercent'],
+        [{ minAbsoluteSavings: 'ten' }, 'minAbsoluteSavings'],
+        [{ requireConditionMatch: 'yes' }, 'requireConditionMatch'],
+        [{ partnerOverrides: { hotels_com: { version: 'x' } } }, 'partnerOverrides.hotels_com.version is not overridable']
+    ])('rejects %j', (raw, message) => {
+        expect(() => normalizePolicy(raw)).toThrow(message);
+    });
+});
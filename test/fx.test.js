@@ -0,0 +1,97 @@
+const { createFxConverter } = require('../lib/fx');
+
+const RATES = { base: 'USD', date: '2030-11-01', rates: { ILS: 3.7, EUR: 0.925 } };
+
+function createRateSource(table = RATES) {
+    return { name: 'test', getRates: jest.fn(async () => table) };
+}
+
+// [from, to, expected]
+const RATE_CASES = [
+    ['USD', 'ILS', { rate: 3.7, date: '2030-11-01' }],
+    ['ILS', 'USD', { rate: 1 / 3.7, date: '2030-11-01' }],
+    ['EUR', 'ILS', { rate: 4, date: '2030-11-01' }],
+    ['ILS', 'ILS', { rate: 1, date: null }],
+    ['GBP', 'ILS', { rate: null, date: '2030-11-01' }]
+];
+
+// [name, offer, target currency, expected]
+const CONVERT_CASES = [
+    ['converts into the booking currency',
+        { site: 'Agoda', price: 1000, currency: 'USD' }, 'ILS',
+        { price: 3700, currency: 'ILS', provider_price: 1000, provider_currency: 'USD', fx_rate: 3.7, fx_rate_date: '2030-11-01' }],
+    ['rounds to cents and the rate to six places',
+        { site: 'Agoda', price: 99.99, currency: 'EUR' }, 'usd',
+        { price: 108.1, currency: 'USD', fx_rate: 1.081081 }],
+    ['assumes the booking currency when the offer has none',
+        { site: 'Agoda', price: 3590, currency: null }, 'ILS',
+        { price: 3590, currency: 'ILS', provider_currency: null, fx_rate: 1, fx_rate_date: null }],
+    ['defaults to ILS',
+        { site: 'Agoda', price: 100, currency: 'USD' }, undefined,
+        { price: 370, currency: 'ILS' }],
+    ['drops the price of an unknown currency',
+        { site: 'Agoda', price: 1000, currency: 'GBP' }, 'ILS',
+        { price: null, provenance: 'unavailable', provider_price: 1000, provider_currency: 'GBP', fx_rate: null }],
+    ['leaves offers without a price alone',
+        { site: 'Agoda', price: null, currency: 'USD' }, 'ILS',
+        { price: null, provider_price: null, provider_currency: 'USD', currency: 'ILS', fx_rate: null }]
+];
+
+describe('getRate', () => {
+    test.each(RATE_CASES)('%s -> %s', async (from, to, expected) => {
+        const result = await createFxConverter({ rateSource: createRateSource() }).getRate(from, to);
+        expect(result).toEqual({ ...expected, rate: expected.rate === null ? null : expect.closeTo(expected.rate, 6) });
+    });
+
+    test('loads the rates once a day and shares a pending load', async () => {
+        const rateSource = createRateSource();
+        const fx = createFxConverter({ rateSource });
+        await Promise.all([fx.getRate('USD', 'ILS'), fx.getRate('EUR', 'ILS')]);
+        await fx.getRate('ILS', 'EUR');
+
+        expect(rateSource.getRates).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects an invalid rates table', async () => {
+        const fx = createFxConverter({ rateSource: createRateSource({ date: '2030-11-01' }) });
+        await expect(fx.getRate('USD', 'ILS')).rejects.toThrow('Invalid FX rates from test');
+    });
+});
+
+describe('convertOffer', () => {
+    test.each(CONVERT_CASES)('%s', async (name, offer, target, expected) => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const converted = await createFxConverter({ rateSource: createRateSource() }).convertOffer(offer, target);
+        console.log.mockRestore();
+
+        expect(converted).toMatchObject({ site: 'Agoda', ...expected });
+    });
+});
+
+describe('convertOffers', () => {
+    const OFFERS = [
+        { site: 'Agoda', price: 1000, currency: 'USD' },
+        { site: 'Booking.com', price: 3590, currency: 'ILS' }
+    ];
+
+    test('marks every converted offer', async () => {
+        const converted = await createFxConverter({ rateSource: createRateSource() }).convertOffers(OFFERS, 'ILS');
+        expect(converted).toMatchObject([
+            { site: 'Agoda', price: 3700, converted: true },
+            { site: 'Booking.com', price: 3590, converted: true }
+        ]);
+    });
+
+    test('without rates, offers in other currencies are returned unconverted', async () => {
+        const rateSource = { name: 'test', getRates: jest.fn(async () => { throw new Error('rates unavailable'); }) };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const converted = await createFxConverter({ rateSource }).convertOffers(OFFERS, 'ILS');
+
+        expect(converted).toEqual([
+            { ...OFFERS[0], converted: false },
+            expect.objectContaining({ site: 'Booking.com', price: 3590, currency: 'ILS', converted: true })
+        ]);
+        expect(console.error).toHaveBeenCalledTimes(1);
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,49 @@
+const { createApp } = require('../../lib/app');
+const { createLocalFirestore } = require('../../lib/storage');
+const { createAuthVerifier } = require('../../lib/auth');
+const { createProviderRegistry } = require('../../lib/providers');
+const { createMockProvider } = require('../../lib/providers/mockProvider');
+const { createFxConverter } = require('../../lib/fx');
+
+const BOOKING = {
+    hotel_name: 'Hilton Tel Aviv',
+    check_in_date: '2030-12-01',
+    check_out_date: '2030-12-03',
+    original_price: 4000,
+    currency: 'ILS'
+};
+
+// Gemini stand-in: generate() answers with the next queued text, or throws a queued error
+function createStubLlm(...responses) {
+    const queue = [...responses];
+    return {
+        generate: jest.fn(async () => {
+            const next = queue.shift();
+            if (next instanceof Error) throw next;
+            return { text: next, model: 'stub-model', usage: { prompt_tokens: 10, output_tokens: 5, total_tokens: 15, cost_usd: 0 }, replayed: false };
+        }),
+        isAvailable: () => true,
+        getUsage: async () => ({ cost_usd: 0, total_tokens: 0, requests: 0 }),
+        dailyBudgetUsd: null
+    };
+}
+
+// The real app on an in-memory datastore, mock auth ("Bearer mock:<uid>"), a stub Gemini client
+// and a mock price provider. offers: { broad: [...], partner: [...] } or (query, scope) => offers.
+function createTestApp({ offers = {}, llmClient = createStubLlm(), ...overrides } = {}) {
+    const app = createApp({
+        firebaseApp: null,
+        db: createLocalFirestore(),
+        authVerifier: createAuthVerifier({ mode: 'mock' }),
+        llmClient,
+        priceProviders: createProviderRegistry([createMockProvider({ offers })], { fx: createFxConverter() }),
+        ...overrides
+    });
+    return { app, services: app.locals.services };
+}
+
+function authHeader(uid, email = `${uid}@example.com`) {
+    return { Authorization: `Bearer mock:${uid}:${email}` };
+}
+
+module.exports = { BOOKING, createStubLlm, createTestApp, authHeader };
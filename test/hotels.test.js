@@ -0,0 +1,186 @@
+const request = require('supertest');
+const { createHotelDirectory, scoreHotel, toCountryCode } = require('../lib/hotels');
+const { createLocalFirestore } = require('../lib/storage');
+const { createPartnerRegistry } = require('../lib/partners');
+const { BOOKING, createStubLlm, createTestApp, authHeader } = require('./helpers/testApp');
+
+const EXTRACTED = {
+    hotel_name: 'Hilton',
+    address: null,
+    city: null,
+    country: null,
+    check_in_date: '2030-12-01',
+    check_out_date: '2030-12-03',
+    original_price: 4000,
+    currency: 'ILS'
+};
+
+describe('hotel directory', () => {
+    const directory = createHotelDirectory();
+
+    test.each([
+        ['full name', { hotel_name: 'Hilton Tel Aviv' }, 'hilton-tel-aviv'],
+        ['chain name in a stated city', { hotel_name: 'Hilton', city: 'Tel Aviv' }, 'hilton-tel-aviv'],
+        ['chain name in a city with no other hotel of the chain', { hotel_name: 'Hilton', city: 'Eilat' }, 'hilton-eilat-queen-of-sheba'],
+        ['city in the address', { hotel_name: 'Hilton Hotel', address: 'Independence Park, Tel Aviv, Israel' }, 'hilton-tel-aviv'],
+        ['Hebrew alias', { hotel_name: 'הילטון תל אביב' }, 'hilton-tel-aviv'],
+        ['extra words', { hotel_name: 'The Address Downtown Dubai' }, 'address-downtown-dubai'],
+        ['country name', { hotel_name: 'Dan Tel Aviv', country: 'Israel' }, 'dan-tel-aviv']
+    ])('resolves by %s', (name, query, id) => {
+        const resolution = directory.resolve(query);
+        expect(resolution.status).toBe('resolved');
+        expect(resolution.hotel.id).toBe(id);
+    });
+
+    test('returns candidates for a name several hotels share', () => {
+        const resolution = directory.resolve({ hotel_name: 'Hilton' });
+        expect(resolution.status).toBe('ambiguous');
+        expect(resolution.hotel).toBeNull();
+        expect(resolution.candidates.map(candidate => candidate.id)).toEqual(expect.arrayContaining([
+            'hilton-tel-aviv', 'hilton-eilat-queen-of-sheba', 'waldorf-astoria-jerusalem'
+        ]));
+        expect(resolution.candidates[0]).toMatchObject({ city: expect.any(String), country: 'IL', score: expect.any(Number) });
+    });
+
+    test('does not pick between hotels of the chain in the same city', () => {
+        const resolution = directory.resolve({ hotel_name: 'Address Hotels', city: 'Dubai' });
+        expect(resolution.status).toBe('ambiguous');
+        expect(resolution.candidates).toHaveLength(4);
+    });
+
+    test('does not resolve a hotel in another country', () => {
+        expect(directory.resolve({ hotel_name: 'Hilton Tel Aviv', country: 'FR' }).status).toBe('ambiguous');
+        expect(scoreHotel(directory.get('hilton-tel-aviv'), { hotel_name: 'Hilton Tel Aviv', country: 'France' })).toBeLessThan(0.8);
+    });
+
+    test('reports unknown hotels as not found', () => {
+        expect(directory.resolve({ hotel_name: 'Ritz Paris' })).toEqual({ status: 'not_found', hotel: null, candidates: [] });
+    });
+
+    test('identifies a booking by the hotel_id the user confirmed', async () => {
+        expect(await directory.identify({ hotel_name: 'Hilton', hotel_id: 'hilton-eilat-queen-of-sheba' }))
+            .toMatchObject({ status: 'confirmed', hotel: { id: 'hilton-eilat-queen-of-sheba' } });
+        expect(await directory.identify({ hotel_name: 'Hilton', hotel_id: 'no-such-hotel' })).toEqual({ status: 'not_found', hotel: null });
+    });
+
+    test('maps country names to ISO codes', () => {
+        expect(toCountryCode('israel')).toBe('IL');
+        expect(toCountryCode('United Arab Emirates')).toBe('AE');
+        expect(toCountryCode('ae')).toBe('AE');
+        expect(toCountryCode('Atlantis')).toBeNull();
+    });
+
+    test('overlays Firestore records on the seed file', async () => {
+        const db = createLocalFirestore();
+        const created = await createHotelDirectory({ db }).create({
+            id: 'hilton-haifa', name: 'Hilton Haifa', chain: 'Hilton', city: 'Haifa', country: 'IL', providerIds: { hotels_com: 12345 }
+        });
+        expect(created.hotel.providerIds).toEqual({ hotels_com: '12345' });
+
+        const other = createHotelDirectory({ db });
+        await other.refresh();
+        expect(other.resolve({ hotel_name: 'Hilton Haifa' }).hotel.id).toBe('hilton-haifa');
+        expect((await other.update('hilton-haifa', { country: 'Israel' })).errors).toEqual(['country must be an ISO 3166 alpha-2 code']);
+        expect((await other.create({ id: 'hilton-haifa', name: 'Hilton Haifa', city: 'Haifa', country: 'IL' })).status).toBe(409);
+    });
+});
+
+describe('resolved hotels in analysis and search', () => {
+    test('analysis returns candidates and asks to confirm an ambiguous hotel', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(JSON.stringify(EXTRACTED)) });
+        const res = await request(app).post('/api/analyze-file').send({ content: 'Hilton, 1-3 December 2030, 4,000 ILS', contentType: 'text/plain' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.hotel_id).toBeNull();
+        expect(res.body.hotel_resolution.status).toBe('ambiguous');
+        expect(res.body.hotel_resolution.candidates.length).toBeGreaterThan(1);
+        expect(res.body.fields_to_confirm).toContain('hotel_id');
+    });
+
+    test('analysis sets hotel_id when the city makes the hotel clear', async () => {
+        const { app } = createTestApp({ llmClient: createStubLlm(JSON.stringify({ ...EXTRACTED, city: 'Eilat', country: 'Israel' })) });
+        const res = await request(app).post('/api/analyze-file').send({ content: 'Hilton Eilat, 1-3 December 2030', contentType: 'text/plain' });
+
+        expect(res.body.hotel_id).toBe('hilton-eilat-queen-of-sheba');
+        expect(res.body.hotel_resolution).toMatchObject({ status: 'resolved', hotel: { name: 'Hilton Eilat Queen of Sheba', country: 'IL' } });
+        expect(res.body.fields_to_confirm).not.toContain('hotel_id');
+    });
+
+    test('search runs against the confirmed hotel', async () => {
+        const queries = [];
+        const { app } = createTestApp({
+            offers: (query, scope) => {
+                queries.push(query);
+                return scope === 'broad' ? [{ site: 'Agoda', price: 3000 }] : [];
+            }
+        });
+        const res = await request(app).post('/api/search')
+            .send({ bookingData: { ...BOOKING, hotel_name: 'Hilton', hotel_id: 'hilton-eilat-queen-of-sheba' } });
+
+        expect(res.body.status).toBe('SAVINGS_FOUND_COMPETITOR');
+        expect(res.body.hotel_resolution).toBe('confirmed');
+        expect(res.body.hotel).toMatchObject({ id: 'hilton-eilat-queen-of-sheba', city: 'Eilat' });
+        expect(queries[0]).toMatchObject({ hotel_name: 'Hilton Eilat Queen of Sheba', hotel_id: 'hilton-eilat-queen-of-sheba' });
+        expect(queries[0].location).toMatch(/Eilat, Israel$/);
+        expect(decodeURIComponent(res.body.target_link)).toContain('city=Hilton Eilat Queen of Sheba');
+    });
+
+    test('search by an ambiguous name keeps the name as given', async () => {
+        const queries = [];
+        const { app } = createTestApp({ offers: query => { queries.push(query); return []; } });
+        const res = await request(app).post('/api/search').send({ bookingData: { ...BOOKING, hotel_name: 'Hilton' } });
+
+        expect(res.body.hotel_resolution).toBe('ambiguous');
+        expect(res.body.hotel).toBeNull();
+        expect(queries[0]).toMatchObject({ hotel_name: 'Hilton', hotel_id: null });
+    });
+
+    test('rejects a malformed hotel_id', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/search').send({ bookingData: { ...BOOKING, hotel_id: 'Not An ID!' } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'hotel_id', code: 'invalid_id' })]);
+    });
+
+    test('partner deep links use the partner\'s own property ID', () => {
+        const hotel = { city: 'Tel Aviv', country: 'IL', providerIds: { hotels_com: '424242' } };
+        const link = new URL(createPartnerRegistry().buildAffiliateLink('hotels_com', 'Hilton Tel Aviv', '2030-12-01', '2030-12-03', undefined, { hotel }));
+        expect(new URL(link.searchParams.get('url')).searchParams.get('selected')).toBe('424242');
+    });
+});
+
+describe('hotel routes', () => {
+    const { app } = createTestApp();
+
+    beforeAll(() => { process.env.ADMIN_EMAILS = 'admin@example.com'; });
+    afterAll(() => { delete process.env.ADMIN_EMAILS; });
+
+    test('GET /api/hotels/resolve', async () => {
+        const res = await request(app).get('/api/hotels/resolve').query({ name: 'Address', city: 'Dubai' });
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('ambiguous');
+        expect(res.body.candidates.every(candidate => candidate.country === 'AE')).toBe(true);
+
+        expect((await request(app).get('/api/hotels/resolve')).status).toBe(400);
+    });
+
+    test('admins add and edit hotels', async () => {
+        const admin = authHeader('admin-1', 'admin@example.com');
+        const hotel = { id: 'dan-eilat', name: 'Dan Eilat', chain: 'Dan Hotels', city: 'Eilat', country: 'IL' };
+
+        expect((await request(app).post('/api/admin/hotels').set(authHeader('user-1')).send(hotel)).status).toBe(403);
+        expect((await request(app).post('/api/admin/hotels').set(admin).send(hotel)).status).toBe(201);
+        expect((await request(app).post('/api/admin/hotels').set(admin).send({ id: 'x' })).body.code).toBe('INVALID_HOTEL');
+        expect((await request(app).post('/api/admin/hotels').set(admin).send(hotel)).body).toMatchObject({ code: 'HOTEL_EXISTS', details: [expect.any(String)] });
+
+        const updated = await request(app).put('/api/admin/hotels/dan-eilat').set(admin).send({ providerIds: { hotels_com: '777' } });
+        expect(updated.body.hotel).toMatchObject({ id: 'dan-eilat', providerIds: { hotels_com: '777' } });
+        const missing = await request(app).put('/api/admin/hotels/missing').set(admin).set('Accept-Language', 'en').send({ name: 'X' });
+        expect(missing.status).toBe(404);
+        expect(missing.body).toMatchObject({ code: 'HOTEL_NOT_FOUND', error: 'Hotel not found' });
+
+        const resolved = await request(app).get('/api/hotels/resolve').query({ name: 'Dan Eilat' });
+        expect(resolved.body.hotel.id).toBe('dan-eilat');
+    });
+});
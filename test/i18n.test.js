@@ -0,0 +1,155 @@
+const request = require('supertest');
+const { translate, resolveLocale, localeTag } = require('../lib/i18n');
+const { createPartnerRegistry } = require('../lib/partners');
+const { generateDirectLink } = require('../lib/links');
+const { createNotifier } = require('../lib/notifications');
+const { createRateLimiter, createMemoryRateLimitStore, normalizeRateLimits } = require('../lib/rateLimit');
+const { BOOKING, createStubLlm, createTestApp, authHeader } = require('./helpers/testApp');
+const he = require('../lib/locales/he.json');
+const en = require('../lib/locales/en.json');
+
+function keys(catalog, prefix = '') {
+    return Object.entries(catalog).flatMap(([key, value]) =>
+        (typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]));
+}
+
+function placeholders(text) {
+    return [...text.matchAll(/\{(\w+)\}/g)].map(found => found[1]).sort();
+}
+
+describe('catalogs', () => {
+    test('every locale has the same messages with the same placeholders', () => {
+        expect(keys(en).sort()).toEqual(keys(he).sort());
+        for (const key of keys(he)) {
+            expect([key, placeholders(translate('en', key, {}))]).toEqual([key, placeholders(translate('he', key, {}))]);
+        }
+    });
+
+    test('fills placeholders and falls back to the key', () => {
+        expect(translate('en', 'search.savings_found.title', { site: 'Agoda' })).toBe('We found savings on Agoda!');
+        expect(translate('fr', 'errors.BOOKING_NOT_FOUND')).toBe(he.errors.BOOKING_NOT_FOUND);
+        expect(translate('en', 'errors.NO_SUCH_CODE')).toBe('errors.NO_SUCH_CODE');
+    });
+
+    test.each([
+        ['en-US', 'en'],
+        ['EN', 'en'],
+        ['he_IL', 'he'],
+        ['iw', 'he'],
+        ['fr', null],
+        [undefined, null]
+    ])('resolveLocale(%p) is %p', (value, locale) => {
+        expect(resolveLocale(value)).toBe(locale);
+    });
+});
+
+describe('locale negotiation', () => {
+    const { app } = createTestApp();
+
+    test.each([
+        [{}, {}, 'he'],
+        [{ 'Accept-Language': 'en-US,en;q=0.9' }, {}, 'en'],
+        [{ 'Accept-Language': 'fr-FR, en;q=0.5, he;q=0.8' }, {}, 'he'],
+        [{ 'Accept-Language': 'fr-FR' }, {}, 'he'],
+        [{ 'Accept-Language': 'he' }, { locale: 'en' }, 'en']
+    ])('headers %j, query %j -> %s', async (headers, query, locale) => {
+        const res = await request(app).get('/api/my-bookings').set(headers).query(query);
+        expect(res.status).toBe(401);
+        expect(res.headers['content-language']).toBe(locale);
+        expect(res.headers.vary).toMatch(/Accept-Language/);
+        expect(res.body).toEqual({ error: translate(locale, 'errors.AUTH_REQUIRED'), code: 'AUTH_REQUIRED' });
+    });
+});
+
+describe('localized responses', () => {
+    test('search results and errors follow the user\'s language', async () => {
+        const { app } = createTestApp({ offers: { broad: [{ site: 'Agoda', price: 3000 }], partner: [] } });
+        const found = await request(app).post('/api/search').set('Accept-Language', 'en').send({ bookingData: BOOKING });
+        expect(found.body.title).toBe('We found savings on Agoda!');
+
+        const invalid = await request(app).post('/api/search').set('Accept-Language', 'en').send({ bookingData: {} });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toMatchObject({ status: 'INVALID_BOOKING_DATA', message: 'The booking details are not valid' });
+    });
+
+    test('competitor links carry the user\'s language and the booking currency', async () => {
+        const { app } = createTestApp({ offers: { broad: [{ site: 'Booking.com', price: 3000 }], partner: [] } });
+        const res = await request(app).post('/api/search?locale=en').send({ bookingData: { ...BOOKING, currency: 'USD', original_price: 4000 } });
+
+        const link = new URL(res.body.target_link);
+        expect(link.hostname).toBe('www.booking.com');
+        expect(link.searchParams.get('lang')).toBe('en-us');
+        expect(link.searchParams.get('selected_currency')).toBe('USD');
+    });
+
+    test('analysis failures keep their code in every language', async () => {
+        const error = new Error('not configured');
+        error.code = 'LLM_NOT_CONFIGURED';
+        const { app } = createTestApp({ llmClient: createStubLlm(error, 'no JSON here') });
+        const document = { content: 'Reservation at Hilton Tel Aviv', contentType: 'text/plain' };
+
+        const unavailable = await request(app).post('/api/analyze-file').set('Accept-Language', 'en').send(document);
+        expect(unavailable.body).toMatchObject({ status: 'extraction_unavailable', code: 'EXTRACTION_UNAVAILABLE', message: en.errors.EXTRACTION_UNAVAILABLE });
+
+        const invalid = await request(app).post('/api/analyze-file').set('Accept-Language', 'en').send(document);
+        expect(invalid.status).toBe(502);
+        expect(invalid.body).toMatchObject({ code: 'LLM_NO_JSON', error: en.errors.LLM_INVALID_OUTPUT });
+    });
+
+    test('rate limit rejections are localized', async () => {
+        const { app } = createTestApp({
+            rateLimiter: createRateLimiter({ store: createMemoryRateLimitStore(), limits: normalizeRateLimits({ search: { anonymous: 0 } }) })
+        });
+        const res = await request(app).post('/api/search').set('Accept-Language', 'en').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(429);
+        expect(res.body).toMatchObject({ code: 'RATE_LIMITED', error: en.errors.RATE_LIMITED_ANONYMOUS });
+    });
+
+    test('tracked bookings remember the language for their alerts', async () => {
+        const { app } = createTestApp();
+        const tracked = await request(app).post('/api/track').set({ ...authHeader('user-1'), 'Accept-Language': 'en' }).send({ bookingData: BOOKING });
+        const res = await request(app).get(`/api/bookings/${tracked.body.trackingId}`).set(authHeader('user-1'));
+
+        expect(res.body.booking.locale).toBe('en');
+    });
+});
+
+describe('locale-aware links and alerts', () => {
+    const registry = createPartnerRegistry();
+
+    test('partner links carry the locale and currency', () => {
+        const link = new URL(registry.buildAffiliateLink('hotels_com', 'Hilton Tel Aviv', '2030-12-01', '2030-12-03', undefined, { locale: 'en', currency: 'USD' }));
+        const target = new URL(link.searchParams.get('url'));
+        expect(target.searchParams.get('locale')).toBe('en_US');
+        expect(target.searchParams.get('currency')).toBe('USD');
+    });
+
+    test('links keep the Hebrew defaults without a locale', () => {
+        const link = new URL(registry.buildAffiliateLink('hotels_com', 'Hilton Tel Aviv', '2030-12-01', '2030-12-03'));
+        expect(new URL(link.searchParams.get('url')).searchParams.get('locale')).toBe(localeTag('he'));
+        expect(generateDirectLink({ site: 'Agoda' }, 'Hilton Tel Aviv', '2030-12-01', '2030-12-03')).not.toMatch(/locale=|currencyCode=/);
+    });
+
+    test.each([
+        ['Expedia', { locale: 'he' }, 'langid=1037'],
+        ['Agoda', { locale: 'en', currency: 'EUR' }, 'locale=en-us&currencyCode=EUR'],
+        ['Hotels.com', { locale: 'he', currency: 'ILS' }, 'locale=he_IL&currency=ILS'],
+        ['Trivago', { currency: 'USD' }, 'currency=USD']
+    ])('%s direct link with %j', (site, options, suffix) => {
+        expect(generateDirectLink({ site }, 'Hilton Tel Aviv', '2030-12-01', '2030-12-03', undefined, options)).toMatch(new RegExp(`&${suffix}$`));
+    });
+
+    test('price-drop alerts are written in the booking\'s language', async () => {
+        const sent = [];
+        const notifier = createNotifier({
+            db: null,
+            channels: { email: { isConfigured: () => true, send: async alert => { sent.push(alert); return { delivered: true }; } } }
+        });
+        const booking = { ...BOOKING, locale: 'en', userEmail: 'user@example.com', alertPreferences: { channels: ['email'] } };
+        await notifier.notifyPriceDrop({ id: 'booking-1', data: () => booking }, { price: 3500, site: 'Agoda' });
+
+        expect(sent[0].subject).toBe('📉 Price drop at Hilton Tel Aviv');
+        expect(sent[0].text).toBe('The price for Hilton Tel Aviv (2030-12-01 - 2030-12-03) dropped to 3500 ILS on Agoda. That saves 500 ILS (12.5%) compared to 4000 ILS.');
+    });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLlmClient, createRecorder, createMemoryUsageStore } = require('../lib/llm');
+const { todayISO } = require('../lib/dates');
+
+// Recorded with LLM_MODE=record; the answer arrives split over two text parts
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+const PAYLOAD = { contents: [{ parts: [{ text: 'Hilton Tel Aviv, 1-3 December 2030' }] }] };
+const RECORDED = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'extract-7abddf43fa37f7c7d65fd01cd9787b3b.json'), 'utf8'));
+const ANSWER = '{"hotel_name": "Hilton Tel Aviv", "check_in_date": "2030-12-01", "check_out_date": "2030-12-03"}';
+
+const MODELS = { extract: ['model-a', 'model-b'] };
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+// Gemini API stand-in: answers each call with the next queued response, or throws a queued error
+function createHttpStub(...responses) {
+    return {
+        post: jest.fn(async () => {
+            const next = responses.shift();
+            if (next instanceof Error) throw next;
+            return { data: next || RECORDED.data };
+        })
+    };
+}
+
+function createClient(http, options = {}) {
+    return createLlmClient({ apiKey: 'key', models: MODELS, recorder: createRecorder(), baseDelayMs: 0, http, ...options });
+}
+
+const modelOf = call => call[0].match(/models\/([\w-]+):/)[1];
+
+describe('record and replay', () => {
+    let recordDir;
+    beforeAll(() => {
+        recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    });
+    afterAll(() => fs.rmSync(recordDir, { recursive: true, force: true }));
+
+    test('replays a recorded response without the network and joins every text part', async () => {
+        const http = createHttpStub();
+        const client = createLlmClient({ apiKey: null, http, recorder: createRecorder({ mode: 'replay', dir: FIXTURES_DIR }) });
+        const result = await client.generate('extract', PAYLOAD);
+
+        expect(result).toMatchObject({ text: ANSWER, model: 'gemini-1.5-flash-latest', replayed: true });
+        expect(result.usage).toMatchObject({ prompt_tokens: 120, output_tokens: 30, total_tokens: 150 });
+        expect(client.isAvailable()).toBe(true);
+        expect(http.post).not.toHaveBeenCalled();
+    });
+
+    test('fails clearly when a request was never recorded', async () => {
+        const client = createLlmClient({ recorder: createRecorder({ mode: 'replay', dir: FIXTURES_DIR }) });
+        await expect(client.generate('extract', { contents: [] })).rejects.toMatchObject({ code: 'LLM_FIXTURE_MISSING' });
+    });
+
+    test('records responses that replay identically', async () => {
+        const recording = createClient(createHttpStub(), { recorder: createRecorder({ mode: 'record', dir: recordDir }) });
+        const recorded = await recording.generate('extract', PAYLOAD);
+
+        const replaying = createLlmClient({ recorder: createRecorder({ mode: 'replay', dir: recordDir }) });
+        const replayed = await replaying.generate('extract', PAYLOAD);
+        expect(replayed).toMatchObject({ text: recorded.text, model: 'model-a', usage: recorded.usage, replayed: true });
+    });
+});
+
+describe('retries and fallback', () => {
+    test('retries a rate-limited model before giving up on it', async () => {
+        const http = createHttpStub(httpError(503), httpError(429));
+        const result = await createClient(http).generate('extract', PAYLOAD);
+
+        expect(result.model).toBe('model-a');
+        expect(http.post.mock.calls.map(modelOf)).toEqual(['model-a', 'model-a', 'model-a']);
+    });
+
+    test('falls back to the next model when retries run out or the model is gone', async () => {
+        const exhausted = createHttpStub(httpError(503), httpError(503), httpError(503));
+        expect((await createClient(exhausted).generate('extract', PAYLOAD)).model).toBe('model-b');
+        expect(exhausted.post.mock.calls.map(modelOf)).toEqual(['model-a', 'model-a', 'model-a', 'model-b']);
+
+        const removed = createHttpStub(httpError(404));
+        expect((await createClient(removed).generate('extract', PAYLOAD)).model).toBe('model-b');
+    });
+
+    test('does not retry or fall back on request errors', async () => {
+        const http = createHttpStub(httpError(400));
+        await expect(createClient(http).generate('extract', PAYLOAD)).rejects.toMatchObject({ response: { status: 400 } });
+        expect(http.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops retrying and falling back at the wall-clock limit', async () => {
+        const http = {
+            post: jest.fn(async () => {
+                await new Promise(resolve => setTimeout(resolve, 60));
+                throw httpError(503);
+            })
+        };
+        const started = Date.now();
+        await expect(createClient(http, { maxRetries: 10, totalTimeoutMs: 100 }).generate('extract', PAYLOAD))
+            .rejects.toMatchObject({ code: 'LLM_TIMEOUT' });
+
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(http.post.mock.calls.map(modelOf)).not.toContain('model-b');
+        expect(http.post.mock.calls.every(call => call[2].timeout <= 100)).toBe(true);
+    });
+
+    test('does not wait for a Retry-After past the limit', async () => {
+        const http = createHttpStub(httpError(429, { 'retry-after': '5' }));
+        const started = Date.now();
+        const result = await createClient(http, { totalTimeoutMs: 1000 }).generate('extract', PAYLOAD);
+
+        expect(result.model).toBe('model-b');
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+});
+
+describe('daily budget', () => {
+    test('records the cost of every call and refuses calls once the budget is spent', async () => {
+        const usageStore = createMemoryUsageStore();
+        const pricing = { 'model-a': { input: 1000, output: 1000 } };
+        const http = createHttpStub();
+        const client = createClient(http, { usageStore, pricing, dailyBudgetUsd: 0.1 });
+
+        const first = await client.generate('extract', PAYLOAD);
+        expect(first.usage.cost_usd).toBeCloseTo(0.15);
+        expect(await client.getUsage(todayISO())).toMatchObject({ total_tokens: 150, requests: 1 });
+
+        await expect(client.generate('extract', PAYLOAD)).rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED' });
+        expect(http.post).toHaveBeenCalledTimes(1);
+    });
+});
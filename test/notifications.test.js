@@ -0,0 +1,75 @@
+const request = require('supertest');
+const { createWebhookChannel, isPublicAddress, publicLookup } = require('../lib/notifications/channels/webhookChannel');
+const { createLogChannel } = require('../lib/notifications/channels/logChannel');
+const { normalizeAlertPreferences, verifiedEmail } = require('../lib/notifications');
+const { BOOKING, createTestApp, authHeader } = require('./helpers/testApp');
+
+const ALERT = { subject: 'Price drop', text: 'Cheaper now', payload: { bookingId: 'booking-1' } };
+
+describe('webhook channel', () => {
+    test.each([
+        ['8.8.8.8', true],
+        ['2606:4700::1111', true],
+        ['10.0.0.5', false],
+        ['127.0.0.1', false],
+        ['169.254.169.254', false],
+        ['172.20.1.1', false],
+        ['192.168.1.1', false],
+        ['100.64.0.1', false],
+        ['::1', false],
+        ['fd00::1', false],
+        ['fe80::1', false],
+        ['::ffff:127.0.0.1', false],
+        ['metadata.google.internal', false]
+    ])('isPublicAddress(%s) is %s', (address, expected) => {
+        expect(isPublicAddress(address)).toBe(expected);
+    });
+
+    test.each([
+        'https://127.0.0.1/hook',
+        'https://[::1]/hook',
+        'https://169.254.169.254/latest/meta-data'
+    ])('refuses %s', async url => {
+        const channel = createWebhookChannel();
+        await expect(channel.send({ ...ALERT, recipient: { webhookUrl: url } })).rejects.toMatchObject({ code: 'WEBHOOK_ADDRESS_BLOCKED' });
+    });
+
+    test('refuses hosts that resolve to a private address', async () => {
+        await expect(new Promise((resolve, reject) => publicLookup('localhost', {}, (error, address) => (error ? reject(error) : resolve(address)))))
+            .rejects.toMatchObject({ code: 'WEBHOOK_ADDRESS_BLOCKED' });
+    });
+});
+
+describe('alert recipients', () => {
+    test('only the verified account email can receive alerts', () => {
+        const options = { verifiedEmail: 'alice@example.com' };
+        expect(normalizeAlertPreferences({ email: 'Alice@Example.com' }, undefined, options).errors).toEqual([]);
+        expect(normalizeAlertPreferences({ email: 'victim@example.com' }, undefined, options).errors)
+            .toEqual(['email must be your account\'s verified email address']);
+        expect(normalizeAlertPreferences({ email: 'alice@example.com' }).errors).toHaveLength(1);
+        expect(verifiedEmail({ email: 'alice@example.com', email_verified: false })).toBeNull();
+    });
+
+    test('tracking keeps only a verified email as the default recipient', async () => {
+        const { app } = createTestApp();
+        const tracked = await request(app).post('/api/track').set(authHeader('alice'))
+            .send({ bookingData: BOOKING, alertPreferences: { email: 'someone-else@example.com' } });
+        expect(tracked.status).toBe(400);
+
+        const ok = await request(app).post('/api/track').set(authHeader('alice')).send({ bookingData: BOOKING });
+        const res = await request(app).get(`/api/bookings/${ok.body.trackingId}`).set(authHeader('alice'));
+        expect(res.body.booking.userEmail).toBe('alice@example.com');
+    });
+});
+
+describe('log channel', () => {
+    test('keeps only the newest alerts', async () => {
+        const channel = createLogChannel({ logFile: null });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        for (let i = 0; i < 150; i++) await channel.send({ ...ALERT, subject: `alert ${i}` });
+        console.log.mockRestore();
+
+        expect(channel.sent).toHaveLength(100);
+        expect(channel.sent[0].subject).toBe('alert 50');
+    });
+});
@@ -0,0 +1,74 @@
+const { parseRankingQuery, rankOffers, isRefundable } = require('../lib/ranking');
+
+const report = (score, refundable) => ({ score, conditions: { cancellation: { offered: { refundable, deadline: null } } } });
+
+const OFFERS = [
+    { site: 'A', price: 3600, conditions_report: report(1, true) },
+    { site: 'B', price: 3400, conditions_report: report(0.5, false) },
+    { site: 'C', price: 3500, conditions_report: report(1, null) },
+    { site: 'D', price: 3700, free_cancellation: true },
+    { site: 'E', price: null },
+    // Still in USD (FX rates were unavailable) and a feed price that isn't for the stay
+    { site: 'F', price: 950, currency: 'USD', converted: false },
+    { site: 'G', price: 3000, stay_priced: false, free_cancellation: true }
+];
+
+// [query, expected options, fields with errors]
+const QUERY_CASES = [
+    [{}, { sort: 'price', page: 1, pageSize: 10 }, []],
+    [{ sort: 'match', page: '2', page_size: '5' }, { sort: 'match', page: 2, pageSize: 5 }, []],
+    [{ sort: 'refundable', page_size: '50' }, { sort: 'refundable', pageSize: 50 }, []],
+    [{ sort: 'rating' }, { sort: 'rating' }, ['sort']],
+    [{ page: '0' }, {}, ['page']],
+    [{ page: '1.5' }, {}, ['page']],
+    [{ page: 'last' }, {}, ['page']],
+    [{ page_size: '0' }, {}, ['page_size']],
+    [{ page_size: '51' }, {}, ['page_size']],
+    [{ sort: 'cheap', page: '-1', page_size: 'all' }, {}, ['sort', 'page', 'page_size']]
+];
+
+// [options, expected sites, expected pagination]
+const RANK_CASES = [
+    [{ sort: 'price' }, ['B', 'C', 'A', 'D', 'F', 'G'], { page: 1, page_size: 10, total: 6, total_pages: 1 }],
+    [{ sort: 'match' }, ['C', 'A', 'B', 'D', 'F', 'G'], { total: 6 }],
+    [{ sort: 'refundable' }, ['A', 'D', 'B', 'C', 'G', 'F'], { total: 6 }],
+    [{ sort: 'price', page: 2, pageSize: 3 }, ['D', 'F', 'G'], { page: 2, page_size: 3, total: 6, total_pages: 2 }],
+    [{ sort: 'price', page: 3, pageSize: 3 }, [], { page: 3, total_pages: 2 }]
+];
+
+describe('parseRankingQuery', () => {
+    test.each(QUERY_CASES)('%j', (query, options, errorFields) => {
+        const parsed = parseRankingQuery(query);
+        expect(parsed.options).toMatchObject(options);
+        expect(parsed.errors.map(error => error.field)).toEqual(errorFields);
+    });
+});
+
+describe('rankOffers', () => {
+    test.each(RANK_CASES)('%j', (options, sites, pagination) => {
+        const ranked = rankOffers(OFFERS, options);
+        expect(ranked.offers.map(offer => offer.site)).toEqual(sites);
+        expect(ranked.pagination).toMatchObject(pagination);
+    });
+
+    test('ranks are positions in the whole sorted list', () => {
+        const { offers } = rankOffers(OFFERS, { page: 2, pageSize: 2 });
+        expect(offers.map(offer => [offer.site, offer.rank])).toEqual([['A', 3], ['D', 4]]);
+    });
+
+    test('leaves the input untouched', () => {
+        const input = [...OFFERS];
+        rankOffers(input, { sort: 'refundable' });
+        expect(input).toEqual(OFFERS);
+    });
+
+    test.each([
+        [OFFERS[0], true],
+        [OFFERS[1], false],
+        [OFFERS[2], false],
+        [OFFERS[3], true],
+        [{ price: 3000, free_cancellation: true, conditions_report: report(1, false) }, false]
+    ])('isRefundable(%j) is %s', (offer, expected) => {
+        expect(isRefundable(offer)).toBe(expected);
+    });
+});
@@ -0,0 +1,328 @@
+const http = require('http');
+const request = require('supertest');
+const { BOOKING, createTestApp } = require('./helpers/testApp');
+const { MAX_OCCUPANCY, normalizeOccupancy } = require('../lib/occupancy');
+const { createProviderRegistry } = require('../lib/providers');
+const { createMockProvider } = require('../lib/providers/mockProvider');
+const { createHotelsComProvider } = require('../lib/providers/hotelsComProvider');
+const { createHotelDirectory } = require('../lib/hotels');
+const { createLocalFirestore } = require('../lib/storage');
+const { createFxConverter } = require('../lib/fx');
+const { createClickTracker, createMemoryClickStore } = require('../lib/clicks');
+
+const PARTNER_CLOSE = {
+    broad: [{ site: 'Expedia', price: 3500 }, { site: 'Agoda', price: 3400 }],
+    partner: [{ site: 'Hotels.com', price: 3450, partnerId: 'hotels_com' }]
+};
+
+describe('POST /api/search', () => {
+    test('recommends the partner when its savings are within the threshold', async () => {
+        const { app } = createTestApp({ offers: PARTNER_CLOSE });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('SAVINGS_FOUND_PARTNER');
+        expect(res.body.savings).toBe(550);
+        expect(res.body.is_affiliate).toBe(true);
+        expect(res.body.business_logic).toMatchObject({ partner_savings: 550, competitor_savings: 600, decision: 'partner', rule: 'savings_gap' });
+        expect(res.body.affiliateLink).toMatch(/\/go\/[\w-]+\.\d+$/);
+        expect(res.body.target_link).toMatch(/^https:\/\/www\.anrdoezrs\.net\/click-1702763-15042852\?url=/);
+        expect(res.body.search_id).toEqual(expect.any(String));
+    });
+
+    test('recommends the competitor when the gap exceeds the threshold', async () => {
+        const { app } = createTestApp({
+            offers: { broad: [{ site: 'Agoda', price: 3000 }], partner: [{ site: 'Hotels.com', price: 3900, partnerId: 'hotels_com' }] }
+        });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('SAVINGS_FOUND_COMPETITOR');
+        expect(res.body.provider).toBe('Agoda');
+        expect(res.body.directLink).toMatch(/\/go\//);
+        expect(res.body.target_link).toMatch(/^https:\/\/www\.agoda\.com\/search\?/);
+    });
+
+    test('reports no savings when nothing is cheaper', async () => {
+        const { app } = createTestApp({ offers: { broad: [{ site: 'Agoda', price: 4200 }], partner: [] } });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('NO_SAVINGS_FOUND');
+        expect(res.body.offers).toHaveLength(1);
+    });
+
+    test('says the price is unverified instead of inventing one', async () => {
+        const { app } = createTestApp({ offers: {} });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('PRICE_UNVERIFIED');
+        expect(res.body.price_verification).toMatchObject({ broad: 'unavailable', partner: 'unavailable' });
+    });
+
+    test('flags implausible prices instead of showing them', async () => {
+        const { app } = createTestApp({ offers: { broad: [{ site: 'Agoda', price: 100 }, { site: 'Kayak', price: 40000 }], partner: [] } });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('PRICE_UNVERIFIED');
+        expect(res.body.price_verification.flagged_offers).toEqual([
+            { site: 'Agoda', provider: 'mock', price: 100, currency: 'ILS', reason: 'price_too_low', scope: 'broad' },
+            { site: 'Kayak', provider: 'mock', price: 40000, currency: 'ILS', reason: 'price_too_high', scope: 'broad' }
+        ]);
+    });
+
+    test('ranks every offer and paginates', async () => {
+        const { app } = createTestApp({ offers: PARTNER_CLOSE });
+        const res = await request(app).post('/api/search?sort=price&page_size=2').send({ bookingData: BOOKING });
+
+        expect(res.body.offers.map(offer => offer.price)).toEqual([3400, 3450]);
+        expect(res.body.offers_pagination).toMatchObject({ sort: 'price', page: 1, page_size: 2, total: 3, total_pages: 2 });
+    });
+
+    test('reports provider failures without failing the search', async () => {
+        const { app } = createTestApp({
+            offers: (query, scope) => {
+                if (scope === 'partner') throw new Error('feed down');
+                return [{ site: 'Agoda', price: 3400 }];
+            }
+        });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('SAVINGS_FOUND_COMPETITOR');
+        expect(res.body.price_verification.provider_errors).toEqual([{ provider: 'mock', error: 'feed down', code: null }]);
+    });
+
+    test('never recommends or counts savings on prices that are not for the stay', async () => {
+        const { app } = createTestApp({
+            offers: {
+                broad: [{ site: 'Agoda', price: 3900 }],
+                partner: [{ site: 'Hotels.com', price: 2000, partnerId: 'hotels_com', stay_priced: false }]
+            }
+        });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('SAVINGS_FOUND_COMPETITOR');
+        expect(res.body.provider).toBe('Agoda');
+        expect(res.body.offers.find(offer => offer.site === 'Hotels.com')).toMatchObject({ price: 2000, stay_priced: false, savings: null, savings_percent: null });
+    });
+
+    test('keeps searching with unconverted prices when FX rates are unavailable', async () => {
+        const fx = createFxConverter({ rateSource: { getRates: async () => { throw new Error('rates down'); } } });
+        const provider = createMockProvider({ offers: { broad: [{ site: 'Agoda', price: 3500, currency: 'EUR' }, { site: 'Booking.com', price: 3800, currency: 'ILS' }] } });
+        const { app } = createTestApp({ priceProviders: createProviderRegistry([provider], { fx }) });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ status: 'SAVINGS_FOUND_COMPETITOR', provider: 'Booking.com', savings: 200 });
+        expect(res.body.offers.find(offer => offer.site === 'Agoda')).toMatchObject({ price: 3500, currency: 'EUR', converted: false, savings: null });
+    });
+
+    test('rejects invalid booking data', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/search').send({ bookingData: { ...BOOKING, check_out_date: '2030-11-30' } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.status).toBe('INVALID_BOOKING_DATA');
+        expect(res.body.errors.map(error => error.field)).toContain('check_out_date');
+    });
+
+    test('rejects occupancies above the caps', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/search')
+            .send({ bookingData: { ...BOOKING, num_rooms: 2e6, adults: 2e6, children: 3e6 } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ field: 'num_rooms', code: 'too_many' }),
+            expect.objectContaining({ field: 'adults', code: 'too_many' }),
+            expect.objectContaining({ field: 'children', code: 'too_many' })
+        ]));
+
+        const largest = await request(app).post('/api/search')
+            .send({ bookingData: { ...BOOKING, num_rooms: MAX_OCCUPANCY.rooms, adults: MAX_OCCUPANCY.adults, children: MAX_OCCUPANCY.children } });
+        expect(largest.status).toBe(200);
+    });
+
+    test('clamps occupancies that skipped validation', () => {
+        const occupancy = normalizeOccupancy({ num_rooms: 2e6, adults: 2e6, children: 3e6, child_ages: Array(50).fill(5) });
+        expect(occupancy).toMatchObject({ rooms: 9, adults: 30, children: 10 });
+        expect(occupancy.child_ages).toHaveLength(10);
+    });
+
+    test('rejects unknown sort options', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/search?sort=stars').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(400);
+        expect(res.body.status).toBe('INVALID_RANKING_OPTIONS');
+    });
+
+    test('serves repeated searches from the cache', async () => {
+        const offers = jest.fn(() => [{ site: 'Agoda', price: 3400 }]);
+        const { app } = createTestApp({ offers });
+        await request(app).post('/api/search').send({ bookingData: BOOKING });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.price_verification.cache).toEqual({ broad: 'hit', partner: 'hit' });
+        expect(offers).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('POST /api/search/stream', () => {
+    test('streams each stage and reports provider failures as search_error events', async () => {
+        const { app } = createTestApp({
+            offers: (query, scope) => {
+                if (scope === 'partner') throw new Error('feed down');
+                return [{ site: 'Agoda', price: 3400 }];
+            }
+        });
+        const res = await request(app).post('/api/search/stream').send({ bookingData: BOOKING });
+        const events = res.text.split('\n').filter(line => line.startsWith('event: ')).map(line => line.slice(7));
+
+        expect(events).toEqual(expect.arrayContaining(['broad_search_started', 'partner_search_finished', 'search_error', 'decision', 'result']));
+        expect(events).not.toContain('error');
+        expect(events[events.length - 1]).toBe('result');
+    });
+
+    test('aborts the search when the client disconnects', async () => {
+        let aborted;
+        const providerAborted = new Promise(resolve => { aborted = resolve; });
+        const { app } = createTestApp({
+            offers: (query, scope, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => {
+                    aborted(scope);
+                    reject(signal.reason);
+                });
+            })
+        });
+        const server = app.listen(0);
+        try {
+            const req = http.request({ port: server.address().port, method: 'POST', path: '/api/search/stream', headers: { 'Content-Type': 'application/json' } });
+            req.on('response', res => res.once('data', () => req.destroy()));
+            req.on('error', () => {});
+            req.end(JSON.stringify({ bookingData: BOOKING }));
+
+            await expect(providerAborted).resolves.toEqual(expect.any(String));
+        } finally {
+            server.close();
+        }
+    });
+});
+
+describe('Hotels.com rates', () => {
+    // Rapid API stand-in: one property near the Hilton Tel Aviv coordinates is the hotel, the other a neighbour
+    function createRapidStub() {
+        return {
+            post: jest.fn(async () => ({ data: { 1001: { property_id: '1001' }, 2002: { property_id: '2002' } } })),
+            get: jest.fn(async (url, { params }) => {
+                if (url.endsWith('/content')) {
+                    const properties = [
+                        { property_id: '1001', name: 'Hilton Tel Aviv', address: { city: 'Tel Aviv', country_code: 'IL' } },
+                        { property_id: '2002', name: 'Carlton Tel Aviv', address: { city: 'Tel Aviv', country_code: 'IL' } }
+                    ];
+                    return { data: Object.fromEntries(properties.filter(property => params.property_id.includes(property.property_id)).map(property => [property.property_id, property])) };
+                }
+                return {
+                    data: [{
+                        property_id: '1001',
+                        rooms: [{
+                            room_name: 'Deluxe King',
+                            rates: [{ refundable: true, occupancy_pricing: { 2: { totals: { inclusive: { request_currency: { value: '3450.00', currency: 'ILS' } } } } } }]
+                        }]
+                    }]
+                };
+            })
+        };
+    }
+
+    function createHotelsComApp(http) {
+        const db = createLocalFirestore();
+        const hotelDirectory = createHotelDirectory({ db });
+        const hotelsCom = createHotelsComProvider({ apiKey: 'key', secret: 'secret', hotelDirectory, http });
+        const broad = createMockProvider({ scopes: ['broad'], offers: { broad: [{ site: 'Agoda', price: 3400 }] } });
+        return createTestApp({ db, hotelDirectory, priceProviders: createProviderRegistry([broad, hotelsCom], { fx: createFxConverter() }) });
+    }
+
+    test('looks up the property of a directory hotel and searches its rates', async () => {
+        const http = createRapidStub();
+        const { app, services } = createHotelsComApp(http);
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('SAVINGS_FOUND_PARTNER');
+        expect(res.body.offers.find(offer => offer.provider === 'hotels_com')).toMatchObject({ price: 3450, provenance: 'sourced', stay_priced: true });
+        const availability = http.get.mock.calls.find(([url]) => url.endsWith('/availability'));
+        expect(availability[1].params).toMatchObject({ property_id: '1001', checkin: '2030-12-01', occupancy: ['2'] });
+        expect(services.hotelDirectory.get('hilton-tel-aviv').providerIds).toEqual({ hotels_com: '1001' });
+
+        // The saved ID is used from then on
+        await request(app).post('/api/search').send({ bookingData: { ...BOOKING, check_in_date: '2030-12-02', check_out_date: '2030-12-04' } });
+        expect(http.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips hotels it cannot match instead of guessing', async () => {
+        const http = createRapidStub();
+        http.post.mockResolvedValue({ data: { 2002: { property_id: '2002' } } });
+        const { app } = createHotelsComApp(http);
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.body.status).toBe('SAVINGS_FOUND_COMPETITOR');
+        expect(http.get.mock.calls.some(([url]) => url.endsWith('/availability'))).toBe(false);
+    });
+});
+
+describe('GET /go/:id', () => {
+    test('logs the click and redirects to the partner with the click ID as CJ sid', async () => {
+        const { app, services } = createTestApp({ offers: PARTNER_CLOSE });
+        const search = await request(app).post('/api/search').send({ bookingData: BOOKING });
+        const res = await request(app).get(new URL(search.body.affiliateLink).pathname);
+
+        expect(res.status).toBe(302);
+        const sid = new URL(res.headers.location).searchParams.get('sid');
+        expect(res.headers.location.replace(`sid=${sid}&`, '')).toBe(search.body.target_link);
+
+        const click = await services.clickTracker.getClick(sid);
+        expect(click).toMatchObject({ searchId: search.body.search_id, partnerId: 'hotels_com', decision: 'partner', placement: 'recommended' });
+    });
+
+    test('answers 404 for unknown links', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).get('/go/unknown');
+
+        expect(res.status).toBe(404);
+        expect((await request(app).get('/go/unknown.0')).status).toBe(404);
+    });
+
+    test('stores the links of a search in one write and expires them', async () => {
+        const store = createMemoryClickStore();
+        const saveLinks = jest.spyOn(store, 'saveLinks');
+        const { app } = createTestApp({ offers: PARTNER_CLOSE, clickTracker: createClickTracker({ store }) });
+        const search = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(saveLinks).toHaveBeenCalledTimes(1);
+        expect(saveLinks.mock.calls[0][0].links).toHaveLength(search.body.offers.length + 1);
+
+        const path = new URL(search.body.offers[0].link).pathname;
+        expect((await request(app).get(path)).status).toBe(302);
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 31 * 24 * 60 * 60 * 1000);
+        try {
+            expect((await request(app).get(path)).status).toBe(404);
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    test('keeps the in-memory store bounded', async () => {
+        const store = createMemoryClickStore({ maxLinkSets: 2, maxClicks: 2 });
+        const tracker = createClickTracker({ store });
+        const links = [{ url: 'https://www.agoda.com/a' }];
+        const linkIds = [];
+        for (const searchId of ['search-1', 'search-2', 'search-3']) {
+            const [tracked] = await tracker.registerLinks(links, { searchId });
+            linkIds.push(tracked.tracked_link.replace('/go/', ''));
+        }
+
+        expect(await store.getLink(linkIds[0])).toBeNull();
+        const clicks = [];
+        for (let i = 0; i < 3; i++) clicks.push((await tracker.recordClick(linkIds[2])).click);
+        expect(await store.getClick(clicks[0].id)).toBeNull();
+        expect(await store.getClick(clicks[2].id)).toMatchObject({ searchId: 'search-3' });
+    });
+});
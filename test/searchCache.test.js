@@ -0,0 +1,140 @@
+const { buildSearchKey, createMemoryCacheStore, createSearchCache } = require('../lib/searchCache');
+
+const QUERY = {
+    hotel_name: 'Hilton Tel Aviv',
+    check_in_date: '2030-12-01',
+    check_out_date: '2030-12-03',
+    currency: 'ILS',
+    occupancy: { rooms: 1, adults: 2, child_ages: [4, 9] },
+    conditions: { room_type: 'Deluxe Double', meal_plan: 'BB', free_cancellation: true }
+};
+
+const RESULT = { offers: [{ site: 'Agoda', price: 3400, converted: true }], errors: [] };
+
+// [name, changes to QUERY, same key]
+const KEY_CASES = [
+    ['hotel name casing and punctuation', { hotel_name: '  HILTON, tel-aviv ' }, true],
+    ['currency casing', { currency: 'ils' }, true],
+    ['child age order', { occupancy: { rooms: 1, adults: 2, child_ages: [9, 4] } }, true],
+    ['room type spacing', { conditions: { ...QUERY.conditions, room_type: 'deluxe   DOUBLE' } }, true],
+    ['meal plan wording', { conditions: { ...QUERY.conditions, meal_plan: 'Bed & Breakfast' } }, true],
+    ['breakfast_included instead of a meal plan', { conditions: { ...QUERY.conditions, meal_plan: null, breakfast_included: true } }, true],
+    ['another hotel', { hotel_name: 'Hilton Eilat' }, false],
+    ['a confirmed hotel_id', { hotel_id: 'hotel-1' }, false],
+    ['other dates', { check_out_date: '2030-12-04' }, false],
+    ['another currency', { currency: 'USD' }, false],
+    ['more guests', { occupancy: { rooms: 1, adults: 3, child_ages: [4, 9] } }, false],
+    ['another child age', { occupancy: { rooms: 1, adults: 2, child_ages: [4, 10] } }, false],
+    ['another meal plan', { conditions: { ...QUERY.conditions, meal_plan: 'HB' } }, false],
+    ['free cancellation unknown', { conditions: { ...QUERY.conditions, free_cancellation: undefined } }, false],
+    ['provider IDs', { providerIds: { hotels_com: '123' } }, false]
+];
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('buildSearchKey', () => {
+    test.each(KEY_CASES)('%s', (name, changes, same) => {
+        const key = buildSearchKey({ ...QUERY, ...changes }, 'broad');
+        expect(key === buildSearchKey(QUERY, 'broad')).toBe(same);
+    });
+
+    test('the scope is part of the key', () => {
+        expect(buildSearchKey(QUERY, 'broad')).not.toBe(buildSearchKey(QUERY, 'partner'));
+    });
+});
+
+describe('createSearchCache', () => {
+    test('a miss is stored and the next search is a hit', async () => {
+        const searchOffers = jest.fn(async () => RESULT);
+        const cache = createSearchCache({ searchOffers });
+
+        expect(await cache.searchOffers(QUERY, 'broad')).toMatchObject({ ...RESULT, cache: 'miss' });
+        expect(await cache.searchOffers(QUERY, 'broad')).toMatchObject({ ...RESULT, cache: 'hit' });
+        expect(searchOffers).toHaveBeenCalledTimes(1);
+    });
+
+    test('identical searches in flight share one provider call', async () => {
+        const pending = deferred();
+        const searchOffers = jest.fn(() => pending.promise);
+        const cache = createSearchCache({ searchOffers });
+
+        const first = cache.searchOffers(QUERY, 'broad');
+        const second = cache.searchOffers({ ...QUERY, hotel_name: 'hilton tel aviv' }, 'broad');
+        const other = cache.searchOffers(QUERY, 'partner');
+        pending.resolve(RESULT);
+
+        expect((await Promise.all([first, second, other])).map(result => result.cache)).toEqual(['miss', 'shared', 'miss']);
+        expect(searchOffers).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        ['a provider error', { ...RESULT, errors: [{ provider: 'gemini', error: 'timeout' }] }],
+        ['an unconverted offer', { ...RESULT, offers: [{ site: 'Agoda', price: 1000, converted: false }] }]
+    ])('results with %s are not cached', async (name, result) => {
+        const searchOffers = jest.fn(async () => result);
+        const cache = createSearchCache({ searchOffers });
+
+        await cache.searchOffers(QUERY, 'broad');
+        expect((await cache.searchOffers(QUERY, 'broad')).cache).toBe('miss');
+        expect(searchOffers).toHaveBeenCalledTimes(2);
+    });
+
+    test('without a store every search goes to the providers', async () => {
+        const searchOffers = jest.fn(async () => RESULT);
+        const cache = createSearchCache({ searchOffers, store: null });
+
+        expect((await cache.searchOffers(QUERY, 'broad')).cache).toBe('disabled');
+        expect((await cache.searchOffers(QUERY, 'broad')).cache).toBe('disabled');
+        expect(searchOffers).toHaveBeenCalledTimes(2);
+    });
+
+    test('a failing store read falls through to the providers', async () => {
+        const store = { get: async () => { throw new Error('unavailable'); }, set: async () => {} };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const cache = createSearchCache({ searchOffers: async () => RESULT, store });
+
+        expect((await cache.searchOffers(QUERY, 'broad')).cache).toBe('miss');
+        console.error.mockRestore();
+    });
+
+    test('the provider search is cancelled only once every waiter has aborted', async () => {
+        let providerSignal;
+        const searchOffers = jest.fn((query, scope, { signal }) => {
+            providerSignal = signal;
+            return new Promise(() => {});
+        });
+        const cache = createSearchCache({ searchOffers });
+        const callers = [new AbortController(), new AbortController()];
+        const searches = callers.map(caller => cache.searchOffers(QUERY, 'broad', { signal: caller.signal }).catch(error => error));
+
+        await new Promise(resolve => setImmediate(resolve));
+        callers[0].abort(new Error('first left'));
+        expect((await searches[0]).message).toBe('first left');
+        expect(providerSignal.aborted).toBe(false);
+
+        callers[1].abort(new Error('second left'));
+        await searches[1];
+        expect(providerSignal.aborted).toBe(true);
+    });
+});
+
+describe('memory store', () => {
+    test('drops the oldest entries beyond maxEntries', async () => {
+        const store = createMemoryCacheStore({ maxEntries: 2 });
+        await store.set('a', 1, 60);
+        await store.set('b', 2, 60);
+        await store.set('c', 3, 60);
+
+        expect(await Promise.all(['a', 'b', 'c'].map(key => store.get(key)))).toEqual([null, 2, 3]);
+    });
+
+    test('entries expire', async () => {
+        const store = createMemoryCacheStore();
+        await store.set('a', 1, 0);
+        expect(await store.get('a')).toBeNull();
+    });
+});
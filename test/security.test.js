@@ -0,0 +1,197 @@
+const request = require('supertest');
+const { BOOKING, createStubLlm, createTestApp, authHeader } = require('./helpers/testApp');
+const { createAuthVerifier } = require('../lib/auth');
+const { createRateLimiter, createMemoryRateLimitStore, normalizeRateLimits } = require('../lib/rateLimit');
+
+const EXTRACTED = JSON.stringify({ hotel_name: 'Hilton Tel Aviv', check_in_date: '2030-12-01', check_out_date: '2030-12-03', original_price: 4000, currency: 'ILS' });
+
+function appWithLimits(limits, options = {}) {
+    return createTestApp({ rateLimiter: createRateLimiter({ store: createMemoryRateLimitStore(), limits: normalizeRateLimits(limits) }), ...options });
+}
+
+describe('authentication', () => {
+    test('an invalid token is rejected even on public routes', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/search').set('Authorization', 'Bearer garbage').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('AUTH_TOKEN_INVALID');
+        expect(res.headers['www-authenticate']).toMatch(/error="invalid_token"/);
+    });
+
+    test('an expired token has its own code', async () => {
+        const expired = Object.assign(new Error('Firebase ID token has expired'), { code: 'auth/id-token-expired' });
+        const { app } = createTestApp({ authVerifier: { mode: 'firebase', verifyIdToken: async () => { throw expired; } } });
+        const res = await request(app).get('/api/my-bookings').set('Authorization', 'Bearer old-token');
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('AUTH_TOKEN_EXPIRED');
+    });
+
+    test('tokens cannot be checked without Firebase', async () => {
+        const { app } = createTestApp({ authVerifier: createAuthVerifier({ mode: 'firebase', firebaseApp: null }) });
+        const res = await request(app).get('/api/my-bookings').set('Authorization', 'Bearer some-token');
+
+        expect(res.status).toBe(503);
+        expect(res.body.code).toBe('AUTH_UNAVAILABLE');
+    });
+
+    test('an admin email counts only once it is verified', async () => {
+        process.env.ADMIN_EMAILS = 'admin@example.com';
+        const token = { uid: 'intruder', email: 'Admin@example.com', email_verified: false };
+        const authVerifier = { mode: 'firebase', verifyIdToken: async () => token };
+        const { app } = createTestApp({ authVerifier });
+        const list = () => request(app).get('/api/admin/hotels').set('Authorization', 'Bearer some-token');
+
+        const unverified = await list();
+        expect(unverified.status).toBe(403);
+        expect(unverified.body.code).toBe('ADMIN_REQUIRED');
+
+        token.email_verified = true;
+        expect((await list()).status).toBe(200);
+        delete process.env.ADMIN_EMAILS;
+    });
+});
+
+describe('rate limits', () => {
+    test('anonymous users get the smaller quota and are told to sign in', async () => {
+        const { app } = appWithLimits({ analyze: { windowSeconds: 3600, anonymous: 2, user: 5, ip: null } }, {
+            llmClient: createStubLlm(EXTRACTED, EXTRACTED, EXTRACTED, EXTRACTED)
+        });
+        const analyze = (headers = {}) => request(app).post('/api/analyze-file').set(headers).send({ content: 'booking' });
+
+        expect((await analyze()).status).toBe(200);
+        const second = await analyze();
+        expect(second.headers['ratelimit-remaining']).toBe('0');
+
+        const limited = await analyze();
+        expect(limited.status).toBe(429);
+        expect(limited.body).toMatchObject({ code: 'RATE_LIMITED', scope: 'anonymous', limit: 2, sign_in_for_more: true });
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+        expect((await analyze(authHeader('alice'))).status).toBe(200);
+    });
+
+    test('signed-in users are counted per user', async () => {
+        const { app } = appWithLimits({ search: { windowSeconds: 3600, anonymous: 0, user: 1, ip: null } });
+        const search = uid => request(app).post('/api/search').set(authHeader(uid)).send({ bookingData: BOOKING });
+
+        expect((await search('alice')).status).toBe(200);
+        expect((await search('alice')).body).toMatchObject({ code: 'RATE_LIMITED', scope: 'user' });
+        expect((await search('bob')).status).toBe(200);
+    });
+
+    test('the per-IP ceiling applies across accounts', async () => {
+        const { app } = appWithLimits({ search: { windowSeconds: 3600, anonymous: 10, user: 10, ip: 2 } });
+        const search = uid => request(app).post('/api/search').set(authHeader(uid)).send({ bookingData: BOOKING });
+
+        await search('alice');
+        await search('bob');
+        const res = await search('carol');
+
+        expect(res.status).toBe(429);
+        expect(res.body).toMatchObject({ scope: 'ip', sign_in_for_more: false });
+    });
+
+    test('rejected requests never reach Gemini', async () => {
+        const llmClient = createStubLlm(EXTRACTED);
+        const { app } = appWithLimits({ analyze: { windowSeconds: 3600, anonymous: 0, user: 1, ip: null } }, { llmClient });
+        const res = await request(app).post('/api/analyze-file').send({ content: 'booking' });
+
+        expect(res.status).toBe(429);
+        expect(llmClient.generate).not.toHaveBeenCalled();
+    });
+
+    test('a failing counter store lets requests through', async () => {
+        const store = { name: 'broken', hit: async () => { throw new Error('unavailable'); } };
+        const { app } = createTestApp({ rateLimiter: createRateLimiter({ store, limits: normalizeRateLimits() }) });
+        const res = await request(app).post('/api/search').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(200);
+    });
+
+    test('the memory store drops the oldest counters once it holds maxKeys', async () => {
+        const store = createMemoryRateLimitStore({ maxKeys: 2 });
+        const windowMs = 60000;
+        await store.hit('a', windowMs, 0);
+        await store.hit('b', windowMs, 0);
+        await store.hit('b', windowMs, 0);
+        await store.hit('c', windowMs, 0);
+
+        expect((await store.hit('b', windowMs, 0)).count).toBe(3);
+        expect((await store.hit('a', windowMs, 0)).count).toBe(1);
+    });
+
+    test('invalid limits fail loudly', () => {
+        expect(() => normalizeRateLimits({ search: { anonymous: -1 } })).toThrow('search.anonymous');
+        expect(() => normalizeRateLimits({ search: { perDay: 5 } })).toThrow('search.perDay is not a rate limit field');
+        expect(() => normalizeRateLimits({ search: { windowSeconds: 0 } })).toThrow('search.windowSeconds');
+    });
+});
+
+describe('CORS', () => {
+    const corsOrigins = process.env.CORS_ORIGINS;
+    afterEach(() => {
+        if (corsOrigins === undefined) delete process.env.CORS_ORIGINS;
+        else process.env.CORS_ORIGINS = corsOrigins;
+    });
+
+    test('only allowlisted origins get CORS headers', async () => {
+        process.env.CORS_ORIGINS = 'https://pricedrop.example.com,https://*.vercel.app';
+        const { app } = createTestApp();
+        const preflight = origin => request(app).options('/api/search').set('Origin', origin).set('Access-Control-Request-Method', 'POST');
+
+        const allowed = await preflight('https://pricedrop.example.com');
+        expect(allowed.headers['access-control-allow-origin']).toBe('https://pricedrop.example.com');
+        expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+        expect((await preflight('https://preview-123.vercel.app')).headers['access-control-allow-origin']).toBe('https://preview-123.vercel.app');
+        expect((await preflight('https://evil.example.com')).headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('without an allowlist any origin is allowed, without credentials', async () => {
+        delete process.env.CORS_ORIGINS;
+        const { app } = createTestApp();
+        const res = await request(app).get('/ping').set('Origin', 'https://anywhere.example.com');
+
+        expect(res.headers['access-control-allow-origin']).toBe('https://anywhere.example.com');
+        expect(res.headers['access-control-allow-credentials']).toBeUndefined();
+    });
+});
+
+describe('shared secrets', () => {
+    const env = { CRON_SECRET: process.env.CRON_SECRET, CJ_WEBHOOK_SECRET: process.env.CJ_WEBHOOK_SECRET };
+    beforeEach(() => {
+        process.env.CRON_SECRET = 'cron-secret';
+        process.env.CJ_WEBHOOK_SECRET = 'webhook-secret';
+    });
+    afterEach(() => {
+        for (const [name, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    test('cron requests need the cron secret', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).get('/api/cron/recheck').set('Authorization', 'Bearer wrong').set('Accept-Language', 'en');
+
+        expect(res.status).toBe(401);
+        expect(res.body).toEqual({ code: 'CRON_UNAUTHORIZED', error: 'This scheduled job request is not authorized' });
+    });
+
+    test('the CJ webhook needs its exact secret', async () => {
+        const { app } = createTestApp();
+        const commission = { commissionId: 'c-1' };
+
+        expect((await request(app).post('/api/conversions/cj').set('Authorization', 'Bearer webhook-secre').send(commission)).status).toBe(401);
+        expect((await request(app).post('/api/conversions/cj').set('Authorization', 'Bearer webhook-secret-2').send(commission)).status).toBe(401);
+    });
+
+    test('the CJ webhook is told when it sends no commissions', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/conversions/cj').set('Authorization', 'Bearer webhook-secret').send({});
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('NO_COMMISSIONS');
+    });
+});
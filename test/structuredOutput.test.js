@@ -0,0 +1,95 @@
+const {
+    LlmOutputError,
+    BROAD_OFFER_SCHEMA,
+    EXTRACTION_SCHEMA,
+    extractJsonCandidates,
+    repairJson,
+    parseStructuredOutput,
+    describeLlmError
+} = require('../lib/structuredOutput');
+
+// [name, model output, parsed after repair]
+const REPAIR_CASES = [
+    ['smart quotes', '{“site”: “Booking.com”}', { site: 'Booking.com' }],
+    ['trailing commas', '{"price": 3590, "tags": [1, 2,],}', { price: 3590, tags: [1, 2] }],
+    ['unquoted keys', '{site: "Agoda", price: 3400}', { site: 'Agoda', price: 3400 }],
+    ['single-quoted values', "{\"site\": 'Expedia'}", { site: 'Expedia' }],
+    ['Python literals', '{"a": True, "b": False, "c": None, "d": NaN}', { a: true, b: false, c: null, d: null }],
+    ['comment lines', '{\n// the cheapest one\n"price": 3590\n}', { price: 3590 }]
+];
+
+// [name, model output, expected candidates]
+const EXTRACT_CASES = [
+    ['a fenced block comes first, repeats are kept', 'Found it:\n```json\n{"price": 1}\n```\nAlso {"price": 2}', [{ price: 1 }, { price: 1 }, { price: 1 }, { price: 2 }]],
+    ['objects embedded in prose', 'Cheapest: {"price": 1} then {"price": 2}.', [{ price: 1 }, { price: 2 }]],
+    ['braces inside strings', 'Result {"site": "a}b{c", "price": 1}', [{ site: 'a}b{c', price: 1 }]],
+    ['repaired objects', 'Result {site: "Agoda",}', [{ site: 'Agoda' }]],
+    ['objects inside a top-level array', '[{"price": 1}]', [{ price: 1 }]],
+    ['no JSON at all', 'No prices found.', []]
+];
+
+describe('repairJson', () => {
+    test.each(REPAIR_CASES)('%s', (name, text, expected) => {
+        expect(JSON.parse(repairJson(text))).toEqual(expected);
+    });
+});
+
+describe('extractJsonCandidates', () => {
+    test.each(EXTRACT_CASES)('%s', (name, text, expected) => {
+        expect(extractJsonCandidates(text)).toEqual(expected);
+    });
+});
+
+describe('parseStructuredOutput', () => {
+    test.each([
+        ['numbers with separators and currency', '{"site": "Agoda", "price": "3,590 ILS"}', { site: 'Agoda', price: 3590 }],
+        ['placeholder values on nullable fields', '{"site": "Agoda", "price": 3590, "currency": "N/A", "room_type": "unknown"}', { currency: null, room_type: null }],
+        ['boolean strings', '{"site": "Agoda", "price": 3590, "free_cancellation": "true"}', { free_cancellation: true }],
+        ['the first valid object wins', '{"site": "Agoda"} {"site": "Expedia", "price": 3400}', { site: 'Expedia', price: 3400 }]
+    ])('%s', (name, text, expected) => {
+        expect(parseStructuredOutput(text, BROAD_OFFER_SCHEMA)).toMatchObject(expected);
+    });
+
+    test.each([
+        ['empty output', 'LLM_NO_JSON', ''],
+        ['prose only', 'LLM_NO_JSON', 'Sorry, I could not find prices.'],
+        ['broken JSON', 'LLM_INVALID_JSON', '{"site": "Agoda", "price": '],
+        ['a required field is missing', 'LLM_SCHEMA_MISMATCH', '{"site": "Agoda"}'],
+        ['a field has the wrong type', 'LLM_SCHEMA_MISMATCH', '{"site": "Agoda", "price": "cheap"}']
+    ])('%s fails with %s', (name, code, text) => {
+        expect(() => parseStructuredOutput(text, BROAD_OFFER_SCHEMA)).toThrow(expect.objectContaining({ code }));
+    });
+
+    test('reports the issues of the first candidate', () => {
+        const text = '{"hotel_name": "Hilton", "check_in_date": "2030-12-01", "check_out_date": "2030-12-03", "original_price": 4000, "adults": 2.5}';
+        expect(() => parseStructuredOutput(text, EXTRACTION_SCHEMA)).toThrow(expect.objectContaining({
+            schema: 'extraction_result',
+            issues: [{ path: 'adults', message: 'must be an integer' }]
+        }));
+    });
+});
+
+describe('describeLlmError', () => {
+    const withCode = code => Object.assign(new Error(code), { code });
+    const withStatus = status => Object.assign(new Error(`status ${status}`), { response: { status } });
+
+    test.each([
+        ['invalid output', new LlmOutputError('LLM_INVALID_JSON', 'bad'), { status: 502, code: 'LLM_INVALID_JSON' }],
+        ['the daily budget', withCode('LLM_BUDGET_EXCEEDED'), { status: 503, code: 'LLM_BUDGET_EXCEEDED' }],
+        ['a missing API key', withCode('LLM_NOT_CONFIGURED'), { status: 503, code: 'LLM_NOT_CONFIGURED' }],
+        ['a missing fixture', withCode('LLM_FIXTURE_MISSING'), { status: 503, code: 'LLM_FIXTURE_MISSING' }],
+        ['the wall-clock limit', withCode('LLM_TIMEOUT'), { status: 503, code: 'LLM_UNAVAILABLE' }],
+        ['rate limiting', withStatus(429), { status: 503, code: 'LLM_UNAVAILABLE' }],
+        ['an overloaded model', withStatus(503), { status: 503, code: 'LLM_UNAVAILABLE' }],
+        ['a dropped connection', withCode('ECONNRESET'), { status: 503, code: 'LLM_UNAVAILABLE' }]
+    ])('maps %s', (name, error, expected) => {
+        expect(describeLlmError(error, 'en')).toMatchObject({ ...expected, message: expect.any(String) });
+    });
+
+    test.each([
+        ['request errors', withStatus(400)],
+        ['anything else', new Error('boom')]
+    ])('leaves %s to the caller', (name, error) => {
+        expect(describeLlmError(error)).toBeNull();
+    });
+});
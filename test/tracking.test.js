@@ -0,0 +1,226 @@
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { BOOKING, createTestApp, authHeader } = require('./helpers/testApp');
+const { TRACKED_COLLECTION, SNAPSHOT_COLLECTION, MIGRATIONS_COLLECTION, createRecheckWorker, getPriceHistory } = require('../lib/recheck');
+const { createLocalFirestore } = require('../lib/storage');
+
+describe('POST /api/track', () => {
+    test('requires a signed-in user', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/track').send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(401);
+    });
+
+    test('tells an invalid token apart from a missing one', async () => {
+        const { app } = createTestApp();
+        const missing = await request(app).post('/api/track').send({ bookingData: BOOKING });
+        const invalid = await request(app).post('/api/track').set('Authorization', 'Bearer not-a-token').send({ bookingData: BOOKING });
+
+        expect(missing.body.code).toBe('AUTH_REQUIRED');
+        expect(invalid.status).toBe(401);
+        expect(invalid.body.code).toBe('AUTH_TOKEN_INVALID');
+    });
+
+    test('rejects invalid booking data', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/track').set(authHeader('alice'))
+            .send({ bookingData: { ...BOOKING, original_price: -5 } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(error => error.field)).toContain('original_price');
+    });
+
+    test('refuses bookings whose stay has already started', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).post('/api/track').set(authHeader('alice'))
+            .send({ bookingData: { ...BOOKING, check_in_date: '2020-01-01', check_out_date: '2020-01-03' } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.reason).toBe('check_in_passed');
+    });
+
+    test('stores the booking for the signed-in user', async () => {
+        const { app, services } = createTestApp();
+        const res = await request(app).post('/api/track').set(authHeader('alice'))
+            .send({ bookingData: BOOKING, alertPreferences: { minDropAmount: 100 } });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ success: true, trackingId: expect.any(String) });
+
+        const doc = await services.db.collection(TRACKED_COLLECTION).doc(res.body.trackingId).get();
+        expect(doc.data()).toMatchObject({ ...BOOKING, userId: 'alice', userEmail: 'alice@example.com', status: 'active' });
+        expect(doc.data().alertPreferences.minDropAmount).toBe(100);
+    });
+
+    test('answers 503 without a datastore', async () => {
+        const { app } = createTestApp({ db: null });
+        const res = await request(app).post('/api/track').set(authHeader('alice')).send({ bookingData: BOOKING });
+
+        expect(res.status).toBe(503);
+    });
+});
+
+describe('GET /api/my-bookings', () => {
+    test('requires a signed-in user', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).get('/api/my-bookings');
+
+        expect(res.status).toBe(401);
+    });
+
+    test("lists only the user's own bookings, newest first", async () => {
+        const { app } = createTestApp();
+        await request(app).post('/api/track').set(authHeader('alice')).send({ bookingData: BOOKING });
+        await request(app).post('/api/track').set(authHeader('bob')).send({ bookingData: { ...BOOKING, hotel_name: 'Dan Tel Aviv' } });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await request(app).post('/api/track').set(authHeader('alice')).send({ bookingData: { ...BOOKING, hotel_name: 'Carlton Tel Aviv' } });
+
+        const res = await request(app).get('/api/my-bookings').set(authHeader('alice'));
+
+        expect(res.status).toBe(200);
+        expect(res.body.bookings.map(booking => booking.hotel_name)).toEqual(['Carlton Tel Aviv', 'Hilton Tel Aviv']);
+        expect(res.body.bookings[0]).toMatchObject({
+            status: 'active',
+            userId: 'alice',
+            priceSummary: { checks: 0, lastPrice: null, lastPriceSite: null, lastCheckedAt: null },
+            createdAt: expect.any(String)
+        });
+        expect(res.body.bookings[0].priceHistory).toBeUndefined();
+    });
+
+    test('shows the prices found by the re-check', async () => {
+        const { app, services } = createTestApp({ offers: { broad: [{ site: 'Agoda', price: 3600 }], partner: [] } });
+        await request(app).post('/api/track').set(authHeader('alice')).send({ bookingData: BOOKING });
+        await services.recheckWorker.runOnce();
+
+        const res = await request(app).get('/api/my-bookings').set(authHeader('alice'));
+        const [booking] = res.body.bookings;
+
+        expect(booking.lowestPrice).toBe(3600);
+        expect(booking.priceSummary).toEqual({ checks: 1, lastPrice: 3600, lastPriceSite: 'Agoda', lastCheckedAt: expect.any(String) });
+        expect(booking.bestPrice).toMatchObject({ price: 3600 });
+    });
+});
+
+describe('editing and deleting bookings', () => {
+    test('deletes a booking with more price snapshots than fit in one batch', async () => {
+        const { app, services } = createTestApp();
+        const tracked = await request(app).post('/api/track').set(authHeader('alice')).send({ bookingData: BOOKING });
+        const bookingRef = services.db.collection(TRACKED_COLLECTION).doc(tracked.body.trackingId);
+        for (let i = 0; i < 650; i++) {
+            await bookingRef.collection(SNAPSHOT_COLLECTION).add({ price: 3600, site: 'Agoda' });
+        }
+
+        const res = await request(app).delete(`/api/bookings/${tracked.body.trackingId}`).set(authHeader('alice'));
+
+        expect(res.status).toBe(200);
+        expect((await bookingRef.get()).exists).toBe(false);
+        expect((await bookingRef.collection(SNAPSHOT_COLLECTION).get()).size).toBe(0);
+    });
+
+    test('renaming the hotel drops the hotel_id of the old one', async () => {
+        const { app } = createTestApp();
+        const tracked = await request(app).post('/api/track').set(authHeader('alice'))
+            .send({ bookingData: { ...BOOKING, hotel_id: 'hilton-tel-aviv' } });
+        const url = `/api/bookings/${tracked.body.trackingId}`;
+
+        const renamed = await request(app).patch(url).set(authHeader('alice')).send({ hotel_name: 'Dan Tel Aviv' });
+        expect(renamed.body.booking).toMatchObject({ hotel_name: 'Dan Tel Aviv', hotel_id: null });
+
+        const confirmed = await request(app).patch(url).set(authHeader('alice')).send({ hotel_name: 'Dan Tel Aviv Hotel', hotel_id: 'dan-tel-aviv' });
+        expect(confirmed.body.booking).toMatchObject({ hotel_name: 'Dan Tel Aviv Hotel', hotel_id: 'dan-tel-aviv' });
+    });
+});
+
+describe('re-check worker', () => {
+    const HOUR = 60 * 60 * 1000;
+    const checkedAgo = hours => admin.firestore.Timestamp.fromMillis(Date.now() - hours * HOUR);
+    const emptySearch = () => ({ offers: [] });
+
+    test('re-checks the least recently checked active bookings first', async () => {
+        const db = createLocalFirestore();
+        const bookings = {
+            never: { status: 'active', lastCheckedAt: null },
+            old: { status: 'active', lastCheckedAt: checkedAgo(30) },
+            older: { status: 'active', lastCheckedAt: checkedAgo(60) },
+            recent: { status: 'active', lastCheckedAt: checkedAgo(1) },
+            paused: { status: 'paused', lastCheckedAt: null }
+        };
+        for (const [id, fields] of Object.entries(bookings)) {
+            await db.collection(TRACKED_COLLECTION).doc(id).set({ ...BOOKING, ...fields });
+        }
+        const searchOffers = jest.fn(async () => ({ offers: [{ site: 'Agoda', price: 3600 }] }));
+        const worker = createRecheckWorker({ db, searchOffers, batchSize: 2, concurrency: 1 });
+
+        const summary = await worker.runOnce();
+
+        expect(summary).toMatchObject({ due: 3, checked: 2, errors: [] });
+        expect(searchOffers.mock.calls.length).toBe(4);
+        const checked = await Promise.all(['never', 'older', 'old'].map(id => db.collection(TRACKED_COLLECTION).doc(id).get()));
+        expect(checked.map(doc => doc.data().lastPrice ?? null)).toEqual([3600, 3600, null]);
+    });
+
+    test('runs the broad and partner searches together', async () => {
+        const db = createLocalFirestore();
+        await db.collection(TRACKED_COLLECTION).doc('booking-1').set({ ...BOOKING, status: 'active', lastCheckedAt: null });
+        let running = 0;
+        let peak = 0;
+        const searchOffers = async () => {
+            peak = Math.max(peak, ++running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            return { offers: [] };
+        };
+
+        await createRecheckWorker({ db, searchOffers }).runOnce();
+        expect(peak).toBe(2);
+    });
+
+    test('expires more started stays than fit in one batch', async () => {
+        const db = createLocalFirestore();
+        for (let i = 0; i < 520; i++) {
+            await db.collection(TRACKED_COLLECTION).doc(`stay-${i}`)
+                .set({ ...BOOKING, check_in_date: '2020-01-01', check_out_date: '2020-01-03', status: i % 2 ? 'active' : 'paused', lastCheckedAt: null });
+        }
+
+        const summary = await createRecheckWorker({ db, searchOffers: emptySearch }).runOnce();
+
+        expect(summary).toMatchObject({ expired: 520, checked: 0 });
+        const left = await db.collection(TRACKED_COLLECTION).where('status', 'in', ['active', 'paused']).get();
+        expect(left.size).toBe(0);
+    });
+
+    test('bookings tracked without status or lastCheckedAt are backfilled once and then re-checked', async () => {
+        const db = createLocalFirestore();
+        const bookings = db.collection(TRACKED_COLLECTION);
+        await bookings.doc('legacy').set({ ...BOOKING });
+        await bookings.doc('legacy-started').set({ ...BOOKING, check_in_date: '2020-01-01', check_out_date: '2020-01-03' });
+        const searchOffers = jest.fn(async () => ({ offers: [{ site: 'Agoda', price: 3600 }] }));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const summary = await createRecheckWorker({ db, searchOffers }).runOnce();
+
+        expect(summary).toMatchObject({ checked: 1, expired: 1, errors: [] });
+        expect((await bookings.doc('legacy').get()).data()).toMatchObject({ status: 'active', lastPrice: 3600 });
+        expect((await bookings.doc('legacy-started').get()).data().status).toBe('expired');
+        expect((await db.collection(MIGRATIONS_COLLECTION).doc('legacyBookingFields').get()).data()).toMatchObject({ updated: 2 });
+
+        // Later workers see the marker and leave the collection alone
+        await bookings.doc('late-legacy').set({ ...BOOKING });
+        await createRecheckWorker({ db, searchOffers }).runOnce();
+        expect((await bookings.doc('late-legacy').get()).data().status).toBeUndefined();
+        console.log.mockRestore();
+    });
+
+    test('returns only the newest price snapshots', async () => {
+        const db = createLocalFirestore();
+        const snapshots = db.collection(TRACKED_COLLECTION).doc('booking-1').collection(SNAPSHOT_COLLECTION);
+        for (let i = 0; i < 5; i++) {
+            await snapshots.add({ price: 4000 - i, checkedAt: checkedAgo(5 - i) });
+        }
+
+        const history = await getPriceHistory(db, 'booking-1', { limit: 3 });
+        expect(history.map(entry => entry.price)).toEqual([3998, 3997, 3996]);
+    });
+});